@@ -190,6 +190,19 @@ window.EUC_DASH = window.EUC_DASH || {};
 window.eucChartSync = {
     charts: {},
     gpsMap: null,
+    cursorListeners: [], // Non-chart followers of the cursor (e.g. video sync); kept across cleanup
+    zoomSync: true, // Zoom/pan of one chart applies to all charts (toggle in the Charts card)
+    rangeListeners: [], // Followers of time spans brushed on a chart or set with the map's trim handles (the trim slider); kept across cleanup
+
+    // Subscribe to cursor moves from any source: listener({ index, timestamp }, sourceId)
+    addCursorListener: function(listener) {
+        this.cursorListeners.push(listener);
+    },
+
+    // Subscribe to brush selections on any chart and trim handle drags on the map: listener({ start, end }, sourceId), times in ms
+    addRangeListener: function(listener) {
+        this.rangeListeners.push(listener);
+    },
 
     // Register a chart instance
     registerChart: function(chartId, chartInstance) {
@@ -204,7 +217,8 @@ window.eucChartSync = {
     },
 
     // Synchronize hover-in events across all components (supports index or {index, timestamp})
-    syncHover: function(dataIndexOrObj, sourceId) {
+    // mapOptions: position options for the GPS map (defaults to centering near the edge with a popup)
+    syncHover: function(dataIndexOrObj, sourceId, mapOptions) {
         const perfStart = performance.now();
         var index = (typeof dataIndexOrObj === 'object' && dataIndexOrObj !== null) ? dataIndexOrObj.index : dataIndexOrObj;
         var timestamp = (typeof dataIndexOrObj === 'object' && dataIndexOrObj !== null) ? dataIndexOrObj.timestamp : undefined;
@@ -244,11 +258,12 @@ window.eucChartSync = {
 
         // Sync with the GPS map (always show popup when syncing from graphs)
         const mapSyncStart = performance.now();
+        var positionOptions = mapOptions || { centerIfNearEdge: true, showPopup: true };
         if (this.gpsMap && sourceId !== 'gps-map') {
             if (timestamp && typeof this.gpsMap.updatePositionByTimestamp === 'function') {
-                this.gpsMap.updatePositionByTimestamp(timestamp, { centerIfNearEdge: true, showPopup: true });
+                this.gpsMap.updatePositionByTimestamp(timestamp, positionOptions);
             } else if (typeof this.gpsMap.updatePosition === 'function') {
-                this.gpsMap.updatePosition(index, { centerIfNearEdge: true, showPopup: true });
+                this.gpsMap.updatePosition(index, positionOptions);
             } else {
                 console.warn(`[SYNC] ⚠️ GPS map has no updatePosition methods available`);
             }
@@ -257,6 +272,10 @@ window.eucChartSync = {
         }
         const mapSyncTime = performance.now() - mapSyncStart;
 
+        this.cursorListeners.forEach(function(listener) {
+            listener({ index: index, timestamp: timestamp }, sourceId);
+        });
+
         const totalTime = performance.now() - perfStart;
 
         // Only log if performance is poor (>33ms = <30fps)
@@ -298,6 +317,54 @@ window.eucChartSync = {
         }
     },
 
+    // Synchronize the visible time range ({ start, end } in ms, or null for all data) of a zoomed/panned chart
+    syncZoom: function(range, sourceId) {
+        if (!this.zoomSync) return;
+        if (window.EUC_DASH && window.EUC_DASH.syncTrace) {
+            window.EUC_DASH.syncTrace.push({
+                when: Date.now(),
+                type: 'zoom',
+                source: sourceId,
+                range: range
+            });
+        }
+
+        Object.keys(this.charts).forEach(chartId => {
+            if (chartId !== sourceId) {
+                const chart = this.charts[chartId];
+                if (chart && typeof chart.setZoom === 'function') {
+                    chart.setZoom(range);
+                }
+            }
+        });
+    },
+
+    // A time span was brushed on a chart (Alt-drag or long-press) or set by dragging a map trim handle,
+    // sent on every move of the gesture
+    syncRangeSelect: function(range, sourceId) {
+        if (window.EUC_DASH && window.EUC_DASH.syncTrace) {
+            window.EUC_DASH.syncTrace.push({
+                when: Date.now(),
+                type: 'range_select',
+                source: sourceId,
+                range: range
+            });
+        }
+        this.rangeListeners.forEach(function(listener) {
+            listener(range, sourceId);
+        });
+    },
+
+    // Reset zoom/pan of all charts (data and map are never changed by zooming)
+    resetZoom: function() {
+        Object.keys(this.charts).forEach(chartId => {
+            const chart = this.charts[chartId];
+            if (chart && typeof chart.setZoom === 'function') {
+                chart.setZoom(null);
+            }
+        });
+    },
+
     // Broadcast overlay state changes from GPS map to all charts
     broadcastOverlayChange: function(overlayId, isVisible) {
 
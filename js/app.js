@@ -3,15 +3,41 @@
  * Client-Side Version
  */
 
-import { FormatDetector } from './processors/format-detector.js';
-import { EUCWorldProcessor } from './processors/eucworld-processor.js';
-import { WheelLogProcessor } from './processors/wheellog-processor.js';
-import { DarknessBotProcessor } from './processors/darknessbot-processor.js';
+import {
+    FormatDetector, getRegisteredProcessors, getProcessorDefinition, detectCSVDialect,
+    getCanonicalColumns, TIMESTAMP_MODES, getHeaderSignature, loadMappingProfiles, saveMappingProfile, findMappingProfile,
+    deleteMappingProfile,
+    sliceRide, sliceRideByTime, selectRowSegments, normalizeExcludedIntervals, excludeRideIntervals
+} from './processors/index.js';
+import { createJobProcessor, getParseConfig } from './processors/csv-pipeline.js';
+import { unpackTransferable } from './processors/ride-transfer.js';
+import { startCSVJob, canUseWorkers } from './csv-worker-client.js';
+import { buildTrackPoints, buildActivitySamples } from './exporters/track-points.js';
+import {
+    GAUGE_VIDEO_BACKGROUNDS, GAUGE_VIDEO_SIZES, GAUGE_VIDEO_FRAME_RATES, getRecorderMimeType, recordGaugeVideo,
+    getGaugeVideoDuration
+} from './exporters/gauge-video.js';
+import { buildGPX } from './exporters/gpx-exporter.js';
+import { encodeFITActivity } from './exporters/fit-encoder.js';
+import { buildTCX } from './exporters/tcx-exporter.js';
+import { buildRouteGeoJSON, buildRouteKML } from './exporters/route-exporter.js';
+import { parseGPXTrack, applyGPXTrack } from './importers/gpx-track.js';
 import { createTimeRangeManager } from './time-range-manager.mjs';
-import { calculateRideStats } from './ride-stats.js';
+import { calculateRideStats, buildRideSummary } from './ride-stats.js';
 import { calculateOverviewStats, formatExtraKey } from './overview-stats.js';
+import { detectRides, SPLIT_DEFAULTS } from './ride-split.js';
+import { ALIGN_MODES, alignRides, buildComparisonSeries, buildComparisonStats } from './ride-compare.js';
+import { createRidePlayback } from './ride-playback.js';
+import { createVideoSync } from './video-sync.js';
+import { createGaugeDashboard } from './gauge-dashboard.js';
+import { createViewHistory } from './view-history.js';
+import { isFolderBrowsingAvailable, pickFolder, scanFolder } from './folder-browser.js';
+import {
+    isLibraryAvailable, saveRide, listRides, loadRide, deleteRide,
+    getLibraryUsage, requestPersistentStorage, getCachedSummary, putCachedSummary
+} from './ride-library.js';
 import { getTooltipContent } from './stat-metadata.js';
-import { formatFileSize } from './format-utils.js';
+import { formatFileSize, formatTimestamp, formatDuration, escapeHTML } from './format-utils.js';
 
 /**
  * Initialize Bootstrap tooltips within a container element.
@@ -40,11 +66,29 @@ let originalData = null;
 let currentProcessor = null;
 let gpsMapInstance = null;
 let timeRangeManager = null;
-let rawParsedCSV = null; // Store raw parsed CSV for reprocessing
+let trimRows = null; // Rows of originalData kept by the applied trim ({ start, end })
+let excludedIntervals = []; // Time intervals cut out of the trimmed ride ([{ start, end }] in ms)
+let rawParsedCSV = null; // Raw parsed CSV rows, parsed lazily via getRawParsedCSV()
+let currentCSVContent = null; // Raw CSV text of the loaded file (array of texts in timeline order for a merged ride)
+let currentParseConfig = null; // Papa Parse config used for the loaded file (one per text for a merged ride)
+let activeCSVJob = null; // Running worker job ({ promise, cancel })
 let csvHeaders = null; // Store CSV column headers for diagnostic view
+let csvDelimiter = ','; // Detected field delimiter, reused when exporting
 let currentFilename = null; // Store filename for reprocessing
-let loadedFromServer = false; // Track if file was loaded from server directory listing
+let loadedFromServer = false; // Track if file was picked from a file list (server directory listing or opened folder)
+let fileBrowser = null; // Listed files with sort/filter state and background ride summaries (see renderFileBrowser)
+let folderBrowser = null; // Local folder opened with "Open Folder": { name, files } (files from scanFolder)
+let loadedFromLibrary = false; // Ride reopened from the ride library (not saved again)
 let currentFileModifiedDate = null; // Store file modified date for display
+let pendingGPXFile = null; // GPX dropped together with the CSV, imported once the ride has loaded
+let detectedRides = null; // Rides found by the Ride Split card (row indices into originalData)
+let comparisonRide = null; // Second ride overlaid by the Compare Rides card: { data, filename, detectedMode }
+let ridePlayback = null; // Playback bar in the GPS Map card (see ride-playback.js)
+let videoSync = null; // Video Sync card (see video-sync.js)
+let gaugeDashboard = null; // Gauges card (see gauge-dashboard.js)
+let gaugeRecording = null; // Running gauge overlay recording ({ promise, cancel })
+let viewHistory = null; // Undo/redo of trims and view settings (see view-history.js)
+let mapViewSettings = null; // Route overlay and privacy settings, kept when the map is re-created
 
 // ==================== Theme Hue Customization ====================
 
@@ -102,6 +146,10 @@ function redrawAllCharts() {
             if (chart && typeof chart.redraw === 'function') chart.redraw();
         });
     }
+    // Gauges use the same theme variables
+    if (gaugeDashboard) {
+        gaugeDashboard.redraw();
+    }
 }
 
 /**
@@ -309,12 +357,115 @@ function init() {
     timeRangeManager = createTimeRangeManager(
         null, // GPS map instance will be set later
         handleApplyTimeRange,
-        handleResetTimeRange
+        handleResetTimeRange,
+        handleExcludeTimeRange
     );
 
     // Setup export trimmed CSV button
     document.getElementById('export-trimmed-csv-btn').addEventListener('click', handleExportTrimmedCSV);
 
+    // Setup track export buttons
+    document.getElementById('export-gpx-btn').addEventListener('click', handleExportGPX);
+    document.getElementById('export-geojson-btn').addEventListener('click', () => handleExportRoute('geojson'));
+    document.getElementById('export-kml-btn').addEventListener('click', () => handleExportRoute('kml'));
+    document.getElementById('export-fit-btn').addEventListener('click', () => handleExportActivity('fit'));
+    document.getElementById('export-tcx-btn').addEventListener('click', () => handleExportActivity('tcx'));
+
+    // Setup gauge overlay video export
+    const toOptions = (entries) => entries.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    document.getElementById('gauge-video-background').innerHTML = toOptions(Object.entries(GAUGE_VIDEO_BACKGROUNDS));
+    document.getElementById('gauge-video-size').innerHTML = toOptions(Object.entries(GAUGE_VIDEO_SIZES));
+    document.getElementById('gauge-video-fps').innerHTML = toOptions(GAUGE_VIDEO_FRAME_RATES.map(fps => [fps, `${fps} fps`]));
+    document.getElementById('gauge-video-fps').value = 30;
+    const gaugeVideoBtn = document.getElementById('export-gauge-video-btn');
+    gaugeVideoBtn.addEventListener('click', handleExportGaugeVideo);
+    if (!getRecorderMimeType()) {
+        gaugeVideoBtn.disabled = true;
+        gaugeVideoBtn.title = 'This browser cannot record video from a canvas (MediaRecorder)';
+    }
+
+    // Setup GPX track import (GPS for logs without it)
+    const gpxFileInput = document.getElementById('gpx-file-input');
+    document.getElementById('import-gpx-btn').addEventListener('click', () => gpxFileInput.click());
+    gpxFileInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow picking the same file again
+        if (file) {
+            handleGPXFile(file);
+        }
+    });
+    document.getElementById('gpx-realign-btn').addEventListener('click', handleGPXRealign);
+
+    // Setup ride split (open/export buttons in the results table are delegated)
+    document.getElementById('split-gap-input').value = SPLIT_DEFAULTS.gapMinutes;
+    document.getElementById('split-stop-input').value = SPLIT_DEFAULTS.stopMinutes;
+    document.getElementById('detect-rides-btn').addEventListener('click', handleDetectRides);
+    document.getElementById('export-all-rides-btn').addEventListener('click', handleExportAllRides);
+    document.getElementById('ride-split-results').addEventListener('click', (event) => {
+        const button = event.target.closest('[data-ride-action]');
+        if (!button || !detectedRides) return;
+        const ride = detectedRides[Number(button.dataset.ride)];
+        if (button.dataset.rideAction === 'open') {
+            handleApplyTimeRange(ride.startTime, ride.endTime);
+        } else {
+            exportRideCSV(ride);
+        }
+    });
+
+    // Setup ride comparison
+    const compareFileInput = document.getElementById('compare-file-input');
+    document.getElementById('compare-load-btn').addEventListener('click', () => compareFileInput.click());
+    compareFileInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow picking the same file again
+        if (file) {
+            handleComparisonFile(file);
+        }
+    });
+    document.getElementById('compare-align-select').addEventListener('change', () => {
+        if (comparisonRide) rerenderCurrentView();
+    });
+    document.getElementById('compare-clear-btn').addEventListener('click', () => {
+        resetComparison();
+        rerenderCurrentView();
+    });
+
+    // Setup ride playback (loaded with each rendered view in renderCharts)
+    ridePlayback = createRidePlayback();
+
+    // Setup video sync (follows the cursor through eucChartSync)
+    videoSync = createVideoSync();
+
+    // Setup gauge dashboard (follows the cursor through eucChartSync)
+    gaugeDashboard = createGaugeDashboard();
+
+    // Setup undo/redo (started for each loaded ride once its map is ready)
+    viewHistory = createViewHistory(restoreViewState);
+
+    // Cut-out intervals: the × on each restores it (delegated)
+    document.getElementById('excluded-intervals-list').addEventListener('click', (event) => {
+        const button = event.target.closest('[data-interval]');
+        if (button) {
+            restoreExcludedInterval(Number(button.dataset.interval));
+        }
+    });
+
+    // A span brushed on any chart moves the trim slider (Apply Trim then works as usual)
+    window.eucChartSync.addRangeListener((range) => {
+        if (timeRangeManager) {
+            timeRangeManager.setRange(range.start, range.end);
+        }
+    });
+
+    // Chart zoom controls (each chart handles its own drag/wheel/pinch zoom)
+    document.getElementById('chart-zoom-reset-btn').addEventListener('click', () => window.eucChartSync.resetZoom());
+    document.getElementById('chart-zoom-sync-toggle').addEventListener('change', (event) => {
+        window.eucChartSync.zoomSync = event.target.checked;
+    });
+
+    // Cancel button on the loading overlay (worker jobs)
+    document.getElementById('cancel-loading-btn').addEventListener('click', handleCancelLoading);
+
     // Show initial placeholder state
     showPlaceholderState();
 
@@ -374,9 +525,11 @@ function init() {
  * @param {Event} event - File input change event
  */
 function handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (file) {
-        processFile(file);
+    const files = [...event.target.files];
+    if (files.length > 1) {
+        processFiles(files);
+    } else if (files.length === 1) {
+        processFile(files[0]);
     }
 }
 
@@ -422,6 +575,425 @@ function showPlaceholderState() {
     `;
 }
 
+/**
+ * Display names of all registered CSV formats, in detection order
+ * @returns {Array<string>} Format display names
+ */
+function getSupportedFormatNames() {
+    return getRegisteredProcessors().map(entry => entry.displayName);
+}
+
+// Sortable file browser columns (summary columns fill in as files are summarized)
+const FILE_BROWSER_COLUMNS = [
+    { key: 'name', label: 'Path' },
+    { key: 'format', label: 'Format' },
+    { key: 'rideDate', label: 'Ride Date' },
+    { key: 'duration', label: 'Duration' },
+    { key: 'distance', label: 'Distance' },
+    { key: 'maxSpeed', label: 'Max Speed' },
+    { key: 'wheel', label: 'Wheel' },
+    { key: 'size', label: 'Size' },
+    { key: 'modified', label: 'Modified' }
+];
+
+const fileSummaryCache = new Map(); // File identity -> summary, for this session (IndexedDB keeps them across sessions)
+
+/**
+ * Ride start as a short local date and time
+ * @param {number} time - Unix milliseconds
+ * @returns {string} e.g. "Jul 8, 2025 03:39"
+ */
+function formatRideDate(time) {
+    const date = new Date(time).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    return `${date} ${formatTimestamp(time).slice(0, 5)}`;
+}
+
+/**
+ * @param {Object|undefined} summary - From buildRideSummary()
+ * @returns {string} Wheel make and model, or '' when unknown
+ */
+function getWheelName(summary) {
+    return summary ? [summary.make, summary.model].filter(Boolean).join(' ') : '';
+}
+
+/**
+ * Value of a file browser column, for sorting
+ * @returns {number|string|null} null when not known (yet)
+ */
+function getFileSortValue(file, summary, key) {
+    const ride = summary && !summary.error ? summary : null;
+    switch (key) {
+        case 'name': return `${file.folder}/${file.name}`.toLowerCase();
+        case 'format': return getProcessorDefinition(file.format)?.displayName || null;
+        case 'rideDate': return ride ? ride.startTime : null;
+        case 'duration': return ride ? ride.durationSeconds : null;
+        case 'distance': return ride ? ride.distance : null;
+        case 'maxSpeed': return ride ? ride.maxSpeed : null;
+        case 'wheel': return getWheelName(ride).toLowerCase() || null;
+        case 'size': return file.size;
+        case 'modified': return file.modified;
+        default: return null;
+    }
+}
+
+/**
+ * Stop summarizing files in the background (a ride is opening or the list is replaced)
+ */
+function stopFileSummaries() {
+    if (!fileBrowser) return;
+    fileBrowser.stopped = true;
+    if (fileBrowser.job) {
+        fileBrowser.job.cancel();
+        fileBrowser.job = null;
+    }
+}
+
+/**
+ * Render the file browser (server listing or an opened local folder)
+ * Rows can be sorted by any column and filtered by text (name, folder, wheel), ride date
+ * and format. Ride summaries are computed one file at a time in the background and cached.
+ * @param {Array} files - Entries shaped like /api/files ({ name, path, folder, size, modified, modified_date, format })
+ * @param {Object} options
+ * @param {string} options.title - Heading
+ * @param {string} options.actionsHTML - Buttons shown next to the heading
+ * @param {Function} options.openAction - (file, index) => onclick JavaScript that loads the file
+ * @param {string} options.source - Identifies the listing in summary cache keys
+ * @param {Function} options.readFile - file => Promise<string> with the CSV content
+ */
+function renderFileBrowser(files, { title, actionsHTML, openAction, source, readFile }) {
+    stopFileSummaries();
+    fileBrowser = {
+        files,
+        openAction,
+        source,
+        readFile,
+        sort: { key: 'name', dir: 1 },
+        filter: { text: '', from: '', to: '', format: '' },
+        summaries: new Map(),
+        job: null,
+        stopped: false,
+        noWorker: false,
+        renderTimer: null
+    };
+
+    // Count formats for summary
+    const formatCounts = { unknown: 0 };
+    files.forEach(file => {
+        const entry = getProcessorDefinition(file.format);
+        const key = entry ? entry.id : 'unknown';
+        formatCounts[key] = (formatCounts[key] || 0) + 1;
+    });
+
+    // Build format summary with abbreviated names
+    const formatSummary = [];
+    const formatOptions = [];
+    getRegisteredProcessors().forEach(entry => {
+        const count = formatCounts[entry.id] || 0;
+        if (count === 0) return;
+        const icon = entry.icon ? `<img src="${entry.icon}" class="summary-icon" alt="${entry.shortName}"> ` : '';
+        formatSummary.push(`${icon}${entry.shortName} ${entry.displayName} [${count}]`);
+        formatOptions.push(`<option value="${entry.id}">${entry.displayName}</option>`);
+    });
+    // Always show Undetected count (even if 0)
+    formatSummary.push(`❓ Undetected [${formatCounts.unknown}]`);
+    if (formatCounts.unknown > 0) {
+        formatOptions.push('<option value="unknown">Undetected</option>');
+    }
+
+    const headerCells = FILE_BROWSER_COLUMNS.map(column =>
+        `<th class="sortable" data-sort="${column.key}" style="cursor: pointer; white-space: nowrap;">${column.label}</th>`
+    ).join('');
+
+    document.getElementById('overview-stats').innerHTML = `
+        <div class="grid-full-width">
+            <div class="d-flex justify-content-between align-items-center mb-2">
+                <div>
+                    <h5 class="mb-1">${title}</h5>
+                    <small class="text-muted">${formatSummary.join(' | ')}</small>
+                </div>
+                <div>${actionsHTML}</div>
+            </div>
+            <div class="row g-2 mb-2">
+                <div class="col-md-5">
+                    <input type="search" class="form-control form-control-sm" id="file-filter-text" placeholder="Filter by name, folder or wheel">
+                </div>
+                <div class="col-6 col-md-2">
+                    <input type="date" class="form-control form-control-sm" id="file-filter-from" title="Rides from (ride date, or modified date until summarized)">
+                </div>
+                <div class="col-6 col-md-2">
+                    <input type="date" class="form-control form-control-sm" id="file-filter-to" title="Rides until">
+                </div>
+                <div class="col-md-3">
+                    <select class="form-select form-select-sm" id="file-filter-format">
+                        <option value="">All formats</option>
+                        ${formatOptions.join('')}
+                    </select>
+                </div>
+            </div>
+            <small class="text-muted d-block mb-1" id="file-summary-status"></small>
+            <div class="table-responsive">
+                <table class="table table-sm">
+                    <thead>
+                        <tr>${headerCells}</tr>
+                    </thead>
+                    <tbody id="file-browser-rows"></tbody>
+                </table>
+            </div>
+            <div class="text-center mt-3">
+                <small class="text-muted">Click on any file to load it, or drag & drop a file anywhere on the page</small>
+            </div>
+        </div>
+    `;
+
+    const { filter } = fileBrowser;
+    const bindFilter = (id, field, eventName) => {
+        document.getElementById(id).addEventListener(eventName, (event) => {
+            filter[field] = event.target.value;
+            renderFileBrowserRows();
+        });
+    };
+    bindFilter('file-filter-text', 'text', 'input');
+    bindFilter('file-filter-from', 'from', 'change');
+    bindFilter('file-filter-to', 'to', 'change');
+    bindFilter('file-filter-format', 'format', 'change');
+
+    document.querySelector('#overview-stats thead').addEventListener('click', (event) => {
+        const th = event.target.closest('th[data-sort]');
+        if (!th) return;
+        const { sort } = fileBrowser;
+        // Names sort A→Z first; numbers and dates newest/largest first
+        sort.dir = sort.key === th.dataset.sort ? -sort.dir : (th.dataset.sort === 'name' || th.dataset.sort === 'format' || th.dataset.sort === 'wheel' ? 1 : -1);
+        sort.key = th.dataset.sort;
+        renderFileBrowserRows();
+    });
+
+    renderFileBrowserRows();
+    summarizeFileBrowser(fileBrowser);
+}
+
+/**
+ * Render the filtered, sorted file browser rows
+ * Sorted by path, files are grouped under folder rows like the server lists them.
+ */
+function renderFileBrowserRows() {
+    const tbody = document.getElementById('file-browser-rows');
+    if (!fileBrowser || !tbody) return;
+    const { files, summaries, sort, filter, openAction } = fileBrowser;
+
+    const terms = filter.text.toLowerCase().split(/\s+/).filter(Boolean);
+    const from = filter.from ? new Date(`${filter.from}T00:00:00`).getTime() : null;
+    const to = filter.to ? new Date(`${filter.to}T23:59:59.999`).getTime() : null;
+
+    const visible = [];
+    files.forEach((file, index) => {
+        const summary = summaries.get(index);
+        const ride = summary && !summary.error ? summary : null;
+        const entry = getProcessorDefinition(file.format);
+
+        if (filter.format && (entry ? entry.id : 'unknown') !== filter.format) return;
+        if (terms.length > 0) {
+            const haystack = `${file.path} ${getWheelName(ride)}`.toLowerCase();
+            if (!terms.every(term => haystack.includes(term))) return;
+        }
+        if (from !== null || to !== null) {
+            const time = ride && ride.startTime ? ride.startTime : file.modified * 1000;
+            if ((from !== null && time < from) || (to !== null && time > to)) return;
+        }
+        visible.push(index);
+    });
+
+    visible.sort((a, b) => {
+        const va = getFileSortValue(files[a], summaries.get(a), sort.key);
+        const vb = getFileSortValue(files[b], summaries.get(b), sort.key);
+        // Unknown values last in either direction
+        if (va === null || vb === null) return (va === null) - (vb === null);
+        if (va < vb) return -sort.dir;
+        if (va > vb) return sort.dir;
+        return 0;
+    });
+
+    const grouped = sort.key === 'name';
+    let currentFolder = null;
+    let html = '';
+
+    visible.forEach(index => {
+        const file = files[index];
+        const summary = summaries.get(index);
+        const ride = summary && !summary.error ? summary : null;
+
+        // Show folder separator if folder changed
+        if (grouped && file.folder !== currentFolder) {
+            currentFolder = file.folder;
+            const folderDisplay = currentFolder === '/' ? 'Root' : currentFolder;
+            html += `
+                <tr class="table-secondary" style="cursor: default;">
+                    <td colspan="${FILE_BROWSER_COLUMNS.length}"><strong>📂 ${escapeHTML(folderDisplay)}</strong></td>
+                </tr>
+            `;
+        }
+
+        // Get format icon
+        const formatEntry = getProcessorDefinition(file.format);
+        const iconPath = formatEntry?.icon || '';
+        let formatCell;
+        if (file.error) {
+            formatCell = `<span class="text-danger" title="${escapeHTML(`Could not read the file: ${file.error}`)}">⚠</span>`;
+        } else if (formatEntry && file.formatGuessed) {
+            // Headers are not an exact match: opening the file asks to confirm the guess
+            formatCell = `<span class="text-warning" title="Best guess: ${formatEntry.displayName} (headers do not match exactly)">${formatEntry.shortName}?</span>`;
+        } else if (iconPath) {
+            formatCell = `<img src="${iconPath}" class="file-list-icon" alt="${formatEntry.shortName}" title="${formatEntry.displayName}">`;
+        } else if (formatEntry) {
+            formatCell = `<span title="${formatEntry.displayName}">${formatEntry.shortName}</span>`;
+        } else {
+            formatCell = '<span class="text-warning" title="Undetected format (opening it uses a saved column mapping or the mapping wizard)">❓</span>';
+        }
+
+        // Undetected files still open: a saved column mapping or the wizard may read them
+        const isUnknown = !formatEntry;
+        const rowAttributes = file.error
+            ? 'class="format-unknown"'
+            : `${isUnknown ? 'class="format-undetected" ' : ''}style="cursor: pointer;" onclick="${openAction(file, index)}"`;
+        const folderPrefix = !grouped && file.folder !== '/' ? `<small class="text-muted">${escapeHTML(file.folder)}/</small>` : '';
+
+        // Summary cells: pending (…), failed (—, reason on hover) or values
+        let summaryCells;
+        if (ride) {
+            summaryCells = `
+                <td>${ride.startTime ? formatRideDate(ride.startTime) : 'N/A'}</td>
+                <td>${formatDuration(ride.durationSeconds)}</td>
+                <td>${ride.distance !== null ? ride.distance.toFixed(1) + ' km' : 'N/A'}</td>
+                <td>${ride.maxSpeed !== null ? ride.maxSpeed.toFixed(1) + ' km/h' : 'N/A'}</td>
+                <td>${escapeHTML(getWheelName(ride) || '—')}</td>
+            `;
+        } else {
+            const placeholder = summary
+                ? `<span class="text-muted" title="${escapeHTML(String(summary.error))}">—</span>`
+                : `<span class="text-muted">${isSummarizable(file) && !fileBrowser.noWorker ? '…' : ''}</span>`;
+            summaryCells = `<td>${placeholder}</td>`.repeat(5);
+        }
+
+        html += `
+            <tr ${rowAttributes}>
+                <td>${folderPrefix}<strong>${escapeHTML(file.name)}</strong></td>
+                <td class="text-center">${formatCell}</td>
+                ${summaryCells}
+                <td>${formatFileSize(file.size)}</td>
+                <td>${file.modified_date}</td>
+            </tr>
+        `;
+    });
+
+    if (visible.length === 0) {
+        html = `<tr style="cursor: default;"><td colspan="${FILE_BROWSER_COLUMNS.length}" class="text-center text-muted">No files match the filter</td></tr>`;
+    }
+    tbody.innerHTML = html;
+
+    // Sort indicator
+    document.querySelectorAll('#overview-stats th[data-sort]').forEach(th => {
+        const column = FILE_BROWSER_COLUMNS.find(c => c.key === th.dataset.sort);
+        th.textContent = column.label + (th.dataset.sort === sort.key ? (sort.dir > 0 ? ' ▲' : ' ▼') : '');
+    });
+
+    // Background summary progress
+    const summarizable = files.filter(isSummarizable).length;
+    const status = document.getElementById('file-summary-status');
+    if (fileBrowser.noWorker) {
+        status.textContent = `Showing ${visible.length} of ${files.length} files · ` +
+            'ride summaries need Web Workers, so only previously summarized files show them';
+    } else {
+        status.textContent = summaries.size < summarizable
+            ? `Summarizing rides in the background… ${summaries.size} / ${summarizable}`
+            : `Showing ${visible.length} of ${files.length} files`;
+    }
+}
+
+/**
+ * Files summarized in the background: readable, with a detected (not guessed) format
+ * @param {Object} file - File browser entry
+ * @returns {boolean}
+ */
+function isSummarizable(file) {
+    return !file.error && !file.formatGuessed && !!getProcessorDefinition(file.format);
+}
+
+/**
+ * Re-render rows at most a few times per second while summaries arrive
+ * @param {Object} state - fileBrowser state the summary belongs to
+ */
+function scheduleFileBrowserRows(state) {
+    if (state.renderTimer) return;
+    state.renderTimer = setTimeout(() => {
+        state.renderTimer = null;
+        if (fileBrowser === state) renderFileBrowserRows();
+    }, 250);
+}
+
+/**
+ * Summarize the listed files one at a time (cache, then worker) until stopped
+ * @param {Object} state - fileBrowser state
+ */
+async function summarizeFileBrowser(state) {
+    const useLibrary = isLibraryAvailable();
+
+    for (let index = 0; index < state.files.length; index++) {
+        const file = state.files[index];
+        if (!isSummarizable(file)) continue;
+        const entry = getProcessorDefinition(file.format);
+        if (state.stopped) return;
+
+        const key = `${state.source}|${file.path}|${file.size}|${file.modified}`;
+        let summary = fileSummaryCache.get(key);
+
+        if (!summary && useLibrary) {
+            try {
+                summary = await getCachedSummary(key);
+            } catch (error) {
+                console.warn('[FILES] Summary cache unavailable:', error);
+            }
+        }
+
+        // Parsing on the main thread would freeze the page for every file: cached summaries only
+        if (!summary && (state.noWorker || !canUseWorkers())) {
+            if (!state.noWorker) {
+                state.noWorker = true;
+                scheduleFileBrowserRows(state);
+            }
+            continue;
+        }
+
+        if (!summary) {
+            try {
+                const content = await state.readFile(file);
+                if (state.stopped) return;
+                state.job = startCSVJob(content, { format: entry.id, filename: file.name, summaryOnly: true }, undefined, { allowMainThread: false });
+                summary = (await state.job.promise).summary;
+                state.job = null;
+                if (useLibrary) {
+                    putCachedSummary(key, summary).catch(error => console.warn('[FILES] Could not cache summary:', error));
+                }
+            } catch (error) {
+                if (error.cancelled) return;
+                state.job = null;
+                if (error.noWorker) {
+                    state.noWorker = true;
+                    scheduleFileBrowserRows(state);
+                    continue;
+                }
+                // Not cached, so the file is tried again next time
+                summary = { error: error.message };
+            }
+        }
+
+        if (state.stopped) return;
+        if (!summary.error) {
+            fileSummaryCache.set(key, summary);
+        }
+        state.summaries.set(index, summary);
+        scheduleFileBrowserRows(state);
+    }
+}
+
 /**
  * Load and display CSV file browser
  */
@@ -429,6 +1001,18 @@ async function loadCSVFileBrowser() {
     const overviewContainer = document.getElementById('overview-stats');
     const startTime = performance.now(); // Track detection time
 
+    // Lists other than the file table (basic mode, errors) have nothing to summarize
+    stopFileSummaries();
+    fileBrowser = null;
+
+    // A local folder opened in this session replaces the server listing
+    if (folderBrowser) {
+        renderFolderBrowser();
+        renderRideLibrary();
+        renderMappingProfiles();
+        return;
+    }
+
     try {
         const response = await fetch('/api/files');
 
@@ -455,7 +1039,7 @@ async function loadCSVFileBrowser() {
                     </button>
                     <div class="mt-4">
                         <small class="text-muted">
-                            <strong>Supported formats:</strong> EUC World, WheelLog, DarknessBot
+                            <strong>Supported formats:</strong> ${getSupportedFormatNames().join(', ')}
                         </small>
                     </div>
                 </div>
@@ -463,105 +1047,35 @@ async function loadCSVFileBrowser() {
             return;
         }
 
-        // Calculate detection time
-        const detectionTime = ((performance.now() - startTime) / 1000).toFixed(2);
-
-        // Count formats for summary
-        const formatCounts = { eucworld: 0, wheellog: 0, darknessbot: 0, unknown: 0 };
-        data.files.forEach(file => {
-            if (file.format) formatCounts[file.format]++;
+        // The server sends the start of each file; formats are detected here, with the
+        // same registry as dropped files and folders (so registered formats are listed too)
+        const files = data.files.map(({ head, ...file }) => {
+            const detection = FormatDetector.detectListingFormat(head || '');
+            return { ...file, format: detection.format, formatGuessed: detection.guessed };
         });
 
-        // Build format summary with abbreviated names
-        const formatSummary = [];
-        if (formatCounts.eucworld > 0) formatSummary.push(`<img src="assets/icons/ew.png" class="summary-icon" alt="EW"> EW EUC World [${formatCounts.eucworld}]`);
-        if (formatCounts.wheellog > 0) formatSummary.push(`<img src="assets/icons/wl.png" class="summary-icon" alt="WL"> WL WheelLog [${formatCounts.wheellog}]`);
-        if (formatCounts.darknessbot > 0) formatSummary.push(`<img src="assets/icons/db.png" class="summary-icon" alt="DB"> DB DarknessBot [${formatCounts.darknessbot}]`);
-        // Always show Undetected count (even if 0)
-        formatSummary.push(`❓ Undetected [${formatCounts.unknown}]`);
-
-        // Build file browser table
-        let html = `
-            <div class="grid-full-width">
-                <div class="d-flex justify-content-between align-items-center mb-2">
-                    <div>
-                        <h5 class="mb-1">📄 CSV Files [${data.count}] | Detected in ${detectionTime} seconds</h5>
-                        <small class="text-muted">${formatSummary.join(' | ')}</small>
-                    </div>
-                    <button class="btn btn-sm btn-outline-primary" onclick="document.getElementById('csv-file-input').click()">
-                        + Upload File
-                    </button>
-                </div>
-                <div class="table-responsive">
-                    <table class="table table-sm">
-                        <thead>
-                            <tr>
-                                <th>Path</th>
-                                <th>Format</th>
-                                <th>Size</th>
-                                <th>Modified</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-        `;
-
-        // Group files by folder
-        let currentFolder = null;
-
-        // Add each file as a row
-        data.files.forEach(file => {
-            // Format file size
-            const sizeStr = formatFileSize(file.size);
-
-            // Show folder separator if folder changed
-            if (file.folder !== currentFolder) {
-                currentFolder = file.folder;
-                const folderDisplay = currentFolder === '/' ? 'Root' : currentFolder;
-                html += `
-                    <tr class="table-secondary" style="cursor: default;">
-                        <td colspan="4"><strong>📂 ${folderDisplay}</strong></td>
-                    </tr>
-                `;
-            }
-
-            // Get format icon
-            const formatIcons = {
-                'eucworld': 'assets/icons/ew.png',
-                'wheellog': 'assets/icons/wl.png',
-                'darknessbot': 'assets/icons/db.png',
-                'unknown': ''
-            };
-            const iconPath = formatIcons[file.format] || '';
-            const formatCell = iconPath
-                ? `<img src="${iconPath}" class="file-list-icon" alt="${file.format}" title="${file.format}">`
-                : '<span class="text-warning" title="Undetected format">❓</span>';
+        // Calculate detection time
+        const detectionTime = ((performance.now() - startTime) / 1000).toFixed(2);
 
+        renderFileBrowser(files, {
+            title: `📄 CSV Files [${data.count}] | Detected in ${detectionTime} seconds`,
+            actionsHTML: `
+                <button class="btn btn-sm btn-outline-primary" onclick="document.getElementById('csv-file-input').click()">
+                    + Upload File
+                </button>
+            `,
             // Escape quotes in path for onclick handler
-            const escapedPath = file.path.replace(/'/g, "\\'");
-            const isUnknown = file.format === 'unknown';
-
-            html += `
-                <tr ${isUnknown ? 'class="format-unknown"' : `style="cursor: pointer;" onclick="loadCSVFromServer('${escapedPath}')"`}>
-                    <td><strong>${file.name}</strong></td>
-                    <td class="text-center">${formatCell}</td>
-                    <td>${sizeStr}</td>
-                    <td>${file.modified_date}</td>
-                </tr>
-            `;
+            openAction: file => `loadCSVFromServer('${file.path.replace(/'/g, "\\'")}')`,
+            source: 'server',
+            readFile: async (file) => {
+                const response = await fetch(`/api/csv/${encodeURIComponent(file.path)}`);
+                if (!response.ok) {
+                    throw new Error(`Failed to load file: ${response.statusText}`);
+                }
+                return response.text();
+            }
         });
 
-        html += `
-                        </tbody>
-                    </table>
-                </div>
-                <div class="text-center mt-3">
-                    <small class="text-muted">Click on any file to load it, or drag & drop a file anywhere on the page</small>
-                </div>
-            </div>
-        `;
-
-        overviewContainer.innerHTML = html;
-
     } catch (error) {
         // Check if it's because Flask API is not available (basic mode)
         if (error.message === 'FILE_BROWSER_NOT_AVAILABLE') {
@@ -577,11 +1091,15 @@ async function loadCSVFileBrowser() {
                     <hr class="my-4">
                     <p class="text-muted mb-2">Drag and drop a CSV file anywhere on this page</p>
                     <p class="text-muted mb-4">
-                        <small>Supported formats: EUC World, WheelLog, DarknessBot</small>
+                        <small>Supported formats: ${getSupportedFormatNames().join(', ')}</small>
                     </p>
                     <button class="btn map-style-btn btn-lg" onclick="document.getElementById('csv-file-input').click()">
                         Choose CSV File
                     </button>
+                    ${isFolderBrowsingAvailable() ? `
+                    <button class="btn map-style-btn btn-lg" onclick="openLocalFolder()">
+                        Open Folder
+                    </button>` : ''}
                     <small class="text-muted d-block mt-2">📱 Mobile: files in root Downloads may not open — use a subfolder<br>Common log locations: Downloads/EUCWorld, Downloads/WheelLog, Downloads/DarknessBot</small>
                     <hr class="my-4">
                     <small class="text-muted d-block mb-2">or preview a sample log</small>
@@ -605,41 +1123,367 @@ async function loadCSVFileBrowser() {
             `;
         }
     }
+
+    renderRideLibrary();
+    renderMappingProfiles();
 }
 
+// ==================== Ride Library ====================
+
+const LIBRARY_AUTOSAVE_KEY = 'rideLibraryAutoSave';
+
 /**
- * Load sample CSV data for demo purposes
+ * @returns {boolean} True if loaded rides are saved to the library (default: on)
  */
-async function loadSampleData() {
+function isLibraryAutoSaveEnabled() {
+    return localStorage.getItem(LIBRARY_AUTOSAVE_KEY) !== 'false';
+}
+
+/**
+ * Render the ride library below the file browser
+ * The section is left out when IndexedDB is unavailable (e.g. some private windows).
+ */
+async function renderRideLibrary() {
+    if (!isLibraryAvailable()) return;
+
+    let rides, usage;
     try {
-        showLoading(true);
-        const response = await fetch('sample-data/sample-wheellog.csv');
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        const csvText = await response.text();
-        const file = new File([csvText], 'Moscow Circle APEX 2025_07_08_03_39_12.csv', { type: 'text/csv' });
-        processFile(file);
+        rides = await listRides();
+        usage = await getLibraryUsage(rides);
     } catch (error) {
-        console.error('[APP] Failed to load sample data:', error);
-        alert('Failed to load sample data: ' + error.message);
-        showLoading(false);
+        console.warn('[LIBRARY] Could not read the ride library:', error);
+        return;
+    }
+
+    // A ride was loaded while the library was being read
+    if (currentData) return;
+
+    const overviewContainer = document.getElementById('overview-stats');
+    let section = document.getElementById('ride-library');
+    if (!section) {
+        section = document.createElement('div');
+        section.id = 'ride-library';
+        section.className = 'grid-full-width mt-4';
+        overviewContainer.appendChild(section);
+    }
+
+    let usageText = `${formatFileSize(usage.rideBytes)} of CSV logs`;
+    if (usage.usage !== null && usage.quota) {
+        usageText += ` · browser storage ${formatFileSize(usage.usage)} used of ${formatFileSize(usage.quota)}`;
+    }
+
+    let body;
+    if (rides.length === 0) {
+        body = '<p class="text-muted small mb-0">No saved rides yet — rides you load are kept here so you can reopen them without the file.</p>';
+    } else {
+        const rows = rides.map(ride => {
+            const s = ride.summary;
+            const dateStr = s.startTime ? formatRideDate(s.startTime) : 'N/A';
+            const wheel = escapeHTML(getWheelName(s) || '—');
+            const formatEntry = getProcessorDefinition(ride.format);
+            const formatCell = formatEntry?.icon
+                ? `<img src="${formatEntry.icon}" class="file-list-icon" alt="${formatEntry.shortName}" title="${formatEntry.displayName}">`
+                : (formatEntry ? formatEntry.shortName : '—');
+            const files = ride.job.filenames
+                ? ` <small class="text-muted" title="${escapeHTML(ride.job.filenames.join('\n'))}">+ ${ride.job.filenames.length - 1} more (merged)</small>`
+                : '';
+
+            return `
+                <tr style="cursor: pointer;" onclick="openLibraryRide(${ride.id})">
+                    <td>${dateStr}</td>
+                    <td><strong>${escapeHTML(ride.filename)}</strong>${files}</td>
+                    <td>${wheel}</td>
+                    <td class="text-center">${formatCell}</td>
+                    <td>${s.distance !== null ? s.distance.toFixed(2) + ' km' : 'N/A'}</td>
+                    <td>${formatDuration(s.durationSeconds)}</td>
+                    <td>${formatFileSize(ride.size)}</td>
+                    <td class="text-end">
+                        <button class="btn btn-sm btn-outline-danger" title="Delete from library" onclick="event.stopPropagation(); deleteLibraryRide(${ride.id})">✕</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        body = `
+            <div class="table-responsive">
+                <table class="table table-sm align-middle">
+                    <thead>
+                        <tr><th>Date</th><th>File</th><th>Wheel</th><th>Format</th><th>Distance</th><th>Duration</th><th>Size</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    section.innerHTML = `
+        <div class="d-flex justify-content-between align-items-center mb-2">
+            <div>
+                <h5 class="mb-1">📚 Ride Library [${rides.length}]</h5>
+                <small class="text-muted">Stored in this browser only · ${usageText}</small>
+            </div>
+            <div class="form-check form-switch mb-0">
+                <input class="form-check-input" type="checkbox" id="library-autosave-toggle" ${isLibraryAutoSaveEnabled() ? 'checked' : ''}>
+                <label class="form-check-label small" for="library-autosave-toggle">Save loaded rides</label>
+            </div>
+        </div>
+        ${body}
+    `;
+
+    document.getElementById('library-autosave-toggle').addEventListener('change', (event) => {
+        localStorage.setItem(LIBRARY_AUTOSAVE_KEY, event.target.checked ? 'true' : 'false');
+    });
+}
+
+/**
+ * Save the loaded ride to the library (raw CSV plus summary)
+ * Failures (e.g. storage quota) are logged; the ride stays open either way.
+ * @param {string|Array<string>} csvContent - Raw CSV content as loaded
+ * @param {File|Object} file - Source file (name, size)
+ * @param {Object} workerJob - Job the ride was processed with
+ * @param {string} format - Format id
+ * @param {Object} data - Loaded ride (rideStats calculated)
+ */
+async function saveToLibrary(csvContent, file, workerJob, format, data) {
+    if (!isLibraryAvailable() || !isLibraryAutoSaveEnabled()) return;
+
+    const { filename, ...job } = workerJob;
+    try {
+        await saveRide({
+            filename,
+            format,
+            job,
+            size: file.size,
+            lastModified: currentFileModifiedDate ? currentFileModifiedDate.getTime() : null,
+            summary: buildRideSummary(originalData, data.rideStats)
+        }, csvContent);
+        requestPersistentStorage();
+        console.log(`[LIBRARY] Saved ${filename}`);
+    } catch (error) {
+        console.warn('[LIBRARY] Could not save ride:', error);
     }
 }
-window.loadSampleData = loadSampleData;
 
 /**
- * Load CSV file from server
- * @param {string} filePath - CSV file path (relative to csv directory, may include subdirectories)
+ * Reopen a ride from the library
+ * @param {number} id - Ride id
  */
-async function loadCSVFromServer(filePath) {
+async function openLibraryRide(id) {
     try {
         showLoading(true);
+        const { entry, csvContent } = await loadRide(id);
 
-        // Mark that this file came from server
-        loadedFromServer = true;
+        loadedFromServer = false;
+        loadedFromLibrary = true;
+        currentFileModifiedDate = entry.lastModified ? new Date(entry.lastModified) : null;
 
-        // Fetch file metadata to get modified date
+        const file = { name: entry.filename, size: entry.size };
+        parseAndRenderCSV(csvContent, file, entry.job, performance.now(), entry.format);
+    } catch (error) {
+        console.error('[LIBRARY] Could not open ride:', error);
+        alert(`Could not open ride: ${error.message}`);
+        loadedFromLibrary = false;
+        showLoading(false);
+    }
+}
+
+/**
+ * Delete a ride from the library after confirmation
+ * @param {number} id - Ride id
+ */
+async function deleteLibraryRide(id) {
+    if (!confirm('Delete this ride from the library? The original file is not affected.')) return;
+    try {
+        await deleteRide(id);
+    } catch (error) {
+        console.error('[LIBRARY] Could not delete ride:', error);
+        alert(`Could not delete ride: ${error.message}`);
+    }
+    renderRideLibrary();
+}
+
+/**
+ * List the saved column mapping profiles below the file browser, each with a delete button
+ * (a profile is applied automatically, so deleting it is the way back to the wizard)
+ */
+function renderMappingProfiles() {
+    const profiles = loadMappingProfiles();
+    let section = document.getElementById('mapping-profiles');
+    if (profiles.length === 0) {
+        if (section) section.remove();
+        return;
+    }
+
+    if (!section) {
+        section = document.createElement('div');
+        section.id = 'mapping-profiles';
+        section.className = 'grid-full-width mt-4';
+        document.getElementById('overview-stats').appendChild(section);
+    }
+
+    const rows = profiles.map((profile, i) => `
+        <tr>
+            <td><strong>${escapeHTML(profile.name)}</strong></td>
+            <td><small class="text-muted">${escapeHTML(Object.keys(profile.columns).join(', '))}</small></td>
+            <td>${profile.savedAt ? formatRideDate(profile.savedAt) : '—'}</td>
+            <td class="text-end">
+                <button class="btn btn-sm btn-outline-danger" title="Delete mapping profile" onclick="deleteColumnMappingProfile(${i})">✕</button>
+            </td>
+        </tr>
+    `).join('');
+
+    section.innerHTML = `
+        <h5 class="mb-1">🧭 Saved Column Mappings [${profiles.length}]</h5>
+        <small class="text-muted">Applied automatically to files with the same headers · delete one to map those files again</small>
+        <div class="table-responsive mt-2">
+            <table class="table table-sm align-middle">
+                <thead>
+                    <tr><th>Profile</th><th>Mapped Columns</th><th>Saved</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Delete a saved column mapping profile after confirmation
+ * @param {number} index - Index into loadMappingProfiles()
+ */
+function deleteColumnMappingProfile(index) {
+    const profile = loadMappingProfiles()[index];
+    if (!profile) return;
+    if (!confirm(`Delete the column mapping "${profile.name}"? Files with these headers will open the mapping wizard again.`)) return;
+    deleteMappingProfile(profile.name);
+    renderMappingProfiles();
+}
+
+/**
+ * Render the listing of the opened local folder
+ */
+function renderFolderBrowser() {
+    const { name, files } = folderBrowser;
+    const overviewContainer = document.getElementById('overview-stats');
+
+    if (files.length === 0) {
+        overviewContainer.innerHTML = `
+            <div class="grid-full-width text-center py-5">
+                <h4 class="text-muted mb-4">📂 No CSV Files in ${name}</h4>
+                <button class="btn map-style-btn mt-2" onclick="openLocalFolder()">Open Another Folder</button>
+                <button class="btn map-style-btn mt-2" onclick="closeLocalFolder()">Close Folder</button>
+            </div>
+        `;
+        return;
+    }
+
+    renderFileBrowser(files, {
+        title: `📂 ${name} [${files.length}]`,
+        actionsHTML: `
+            <button class="btn btn-sm btn-outline-primary" onclick="openLocalFolder()">Open Another Folder</button>
+            <button class="btn btn-sm btn-outline-secondary" onclick="closeLocalFolder()">Close Folder</button>
+        `,
+        openAction: (file, index) => `loadCSVFromFolder(${index})`,
+        source: `folder:${name}`,
+        readFile: async (file) => (await file.handle.getFile()).text()
+    });
+}
+
+/**
+ * Pick a local folder and list its CSV logs (File System Access API)
+ */
+async function openLocalFolder() {
+    let dirHandle;
+    try {
+        dirHandle = await pickFolder();
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.error('[APP] Could not open folder:', error);
+            alert(`Could not open folder: ${error.message}`);
+        }
+        return;
+    }
+
+    const overviewContainer = document.getElementById('overview-stats');
+    overviewContainer.innerHTML = `
+        <div class="grid-full-width text-center py-5">
+            <div class="spinner-border text-primary" role="status">
+                <span class="visually-hidden">Loading...</span>
+            </div>
+            <p class="text-muted mt-3">Scanning ${dirHandle.name}… <span id="folder-scan-count">0</span> CSV files</p>
+        </div>
+    `;
+
+    try {
+        const files = await scanFolder(dirHandle, count => {
+            const counter = document.getElementById('folder-scan-count');
+            if (counter) counter.textContent = count;
+        });
+        folderBrowser = { name: dirHandle.name, files };
+        console.log(`[APP] Opened folder ${dirHandle.name}: ${files.length} CSV files`);
+    } catch (error) {
+        console.error('[APP] Error scanning folder:', error);
+        alert(`Error scanning folder: ${error.message}`);
+    }
+    loadCSVFileBrowser();
+}
+
+/**
+ * Close the opened local folder and go back to the default file browser
+ */
+function closeLocalFolder() {
+    folderBrowser = null;
+    loadCSVFileBrowser();
+}
+
+/**
+ * Load a CSV file from the opened local folder
+ * @param {number} index - Index into folderBrowser.files
+ */
+async function loadCSVFromFolder(index) {
+    try {
+        const file = await folderBrowser.files[index].handle.getFile();
+        loadedFromServer = true;
+        processFile(file);
+    } catch (error) {
+        // File moved or deleted since the folder was scanned
+        console.error('[APP] Error loading CSV from folder:', error);
+        alert(`Error loading file: ${error.message}`);
+    }
+}
+
+/**
+ * Load sample CSV data for demo purposes
+ */
+async function loadSampleData() {
+    try {
+        showLoading(true);
+        const response = await fetch('sample-data/sample-wheellog.csv');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const csvText = await response.text();
+        const file = new File([csvText], 'Moscow Circle APEX 2025_07_08_03_39_12.csv', { type: 'text/csv' });
+        processFile(file);
+    } catch (error) {
+        console.error('[APP] Failed to load sample data:', error);
+        alert('Failed to load sample data: ' + error.message);
+        showLoading(false);
+    }
+}
+window.loadSampleData = loadSampleData;
+
+/**
+ * Load CSV file from server
+ * @param {string} filePath - CSV file path (relative to csv directory, may include subdirectories)
+ */
+async function loadCSVFromServer(filePath) {
+    try {
+        showLoading(true);
+
+        // Mark that this file came from server
+        loadedFromServer = true;
+
+        // Fetch file metadata to get modified date
         try {
             const metaResponse = await fetch('/api/files');
             if (metaResponse.ok) {
@@ -714,9 +1558,20 @@ function handleDrop(event) {
     event.stopPropagation();
     document.body.classList.remove('drag-over');
 
-    const files = event.dataTransfer.files;
-    if (files.length > 0) {
-        processFile(files[0]);
+    // A GPX track can be dropped with the CSV, or on its own once a ride is loaded
+    const files = [...event.dataTransfer.files];
+    const gpxFile = files.find(f => f.name.toLowerCase().endsWith('.gpx')) || null;
+    const csvFiles = files.filter(f => f !== gpxFile);
+
+    if (csvFiles.length > 0) {
+        pendingGPXFile = gpxFile;
+        if (csvFiles.length > 1) {
+            processFiles(csvFiles);
+        } else {
+            processFile(csvFiles[0]);
+        }
+    } else if (gpxFile) {
+        handleGPXFile(gpxFile);
     }
 }
 
@@ -737,6 +1592,7 @@ function processFile(file) {
     if (!loadedFromServer) {
         loadedFromServer = false; // Drag & drop or file input
     }
+    loadedFromLibrary = false;
 
     // Validate file type
     if (!file.name.toLowerCase().endsWith('.csv')) {
@@ -744,8 +1600,7 @@ function processFile(file) {
         return;
     }
 
-    // Track file size and processing time
-    const fileSize = file.size;
+    // Track processing time
     const processingStartTime = performance.now();
 
     // Show loading overlay
@@ -756,119 +1611,272 @@ function processFile(file) {
     reader.onload = function(e) {
         const csvContent = e.target.result;
 
-        // Detect format
-        const format = FormatDetector.detectFormat(csvContent, file.name);
+        // Detect format (exact match, or best guess with confidence)
+        const detection = FormatDetector.analyze(csvContent);
+
+        if (!detection.exact) {
+            // Reuse a saved column-mapping profile for files with the same headers
+            const headers = Papa.parse(csvContent, { header: true, preview: 1, delimiter: detection.delimiter }).meta.fields || [];
+            const profile = findMappingProfile(headers);
+            if (profile) {
+                console.log(`[APP] Applying saved column mapping profile "${profile.name}"`);
+                parseAndRenderCSV(csvContent, file, { profile }, processingStartTime);
+                return;
+            }
 
-        if (format === 'Unknown') {
-            showUnknownFormatDiagnostic(csvContent, file.name);
+            // Let the user confirm the best guess, pick another format or map columns
+            showUnknownFormatDiagnostic(csvContent, file.name, file, detection);
             showLoading(false);
             return;
         }
 
-        // Create appropriate processor
-        let processor;
-        switch (format) {
-            case 'EUCWorld':
-                processor = new EUCWorldProcessor();
-                break;
-            case 'WheelLog':
-                processor = new WheelLogProcessor();
-                break;
-            case 'DarknessBot':
-                processor = new DarknessBotProcessor();
-                break;
-            default:
-                alert('Unsupported format');
-                showLoading(false);
-                return;
+        loadAsFormat(csvContent, file, detection.format, processingStartTime);
+    };
+
+    reader.onerror = function() {
+        console.error('[APP] File reading error');
+        alert('Error reading file');
+        showLoading(false);
+    };
+
+    reader.readAsText(file);
+}
+
+/**
+ * Process several CSV files as one ride (app restarted mid-ride)
+ * Every file must be recognized as the same format. The worker puts them in timeline
+ * order, checks they are time-adjacent and merges them (see processors/ride-merge.js).
+ * @param {Array<File>} files - CSV files
+ */
+function processFiles(files) {
+    if (files.some(f => !f.name.toLowerCase().endsWith('.csv'))) {
+        alert('Please upload CSV files');
+        return;
+    }
+
+    // Name order is usually time order, which saves the worker a second processing pass
+    files = [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    loadedFromServer = false;
+    loadedFromLibrary = false;
+    const lastModified = Math.max(...files.map(f => f.lastModified || 0));
+    currentFileModifiedDate = lastModified ? new Date(lastModified) : null;
+
+    const processingStartTime = performance.now();
+    showLoading(true);
+
+    Promise.all(files.map(f => f.text())).then(contents => {
+        const detections = contents.map(content => FormatDetector.analyze(content));
+        const formats = new Set(detections.map(d => (d.exact ? d.format : null)));
+
+        if (formats.has(null) || formats.size > 1) {
+            const described = files.map((f, i) =>
+                `${f.name}: ${detections[i].exact ? FormatDetector.getDisplayName(detections[i].format) : 'not recognized'}`
+            ).join('\n');
+            alert(`Only logs recognized as the same format can be merged into one ride:\n\n${described}`);
+            showLoading(false);
+            return;
         }
 
-        currentProcessor = processor;
-
-        // Parse CSV with Papa Parse
-        Papa.parse(csvContent, {
-            header: true,
-            dynamicTyping: false, // Keep as strings, let processors handle conversion
-            skipEmptyLines: true,
-            complete: function(results) {
-                try {
-                    // Store raw parsed CSV for reprocessing (e.g., PWM flip)
-                    rawParsedCSV = results.data;
-                    csvHeaders = results.meta.fields;
-                    currentFilename = file.name;
-
-                    // Process data
-                    const processedData = processor.processCSV(results.data, file.name);
-
-                    // Store data
-                    currentData = processedData;
-                    originalData = JSON.parse(JSON.stringify(processedData)); // Deep copy
-
-                    // Set PWM flip checkbox to OFF (user must manually toggle to apply transformation)
-                    const pwmToggle = document.getElementById('pwm-flip-toggle');
-                    pwmToggle.checked = false;
-
-                    // Update PWM mode status display to show detected mode
-                    updatePWMModeStatus(processor.detectedMode, false);
-
-                    // Calculate processing time and get data point count
-                    const processingTime = performance.now() - processingStartTime;
-                    const dataPoints = processedData.timestamps ? processedData.timestamps.length : 0;
-
-                    // Update UI with file stats
-                    updateFileInfo(file.name, format, fileSize, dataPoints, processingTime, currentFileModifiedDate);
-                    renderOverview(processedData);
-                    renderCharts(processedData.chartGroups);
-
-                    // Render GPS map with callback to initialize time range manager
-                    renderGPSMap(processedData.gpsRoute, () => {
-                        // Cleanup existing time range manager if present
-                        if (timeRangeManager) {
-                            timeRangeManager.cleanup();
-                        }
-
-                        // Create new time range manager with GPS map instance
-                        timeRangeManager = createTimeRangeManager(
-                            window.gpsMapInstance,
-                            handleApplyTimeRange,
-                            handleResetTimeRange
-                        );
-
-                        // Initialize with processed data
-                        timeRangeManager.initialize(processedData);
-
-                        // Update render statistics after everything is loaded
-                        updateRenderStatsFromCurrentData();
-                    });
+        const format = detections[0].format;
+        const mergedFile = {
+            name: files[0].name,
+            size: files.reduce((sum, f) => sum + f.size, 0)
+        };
+        parseAndRenderCSV(contents, mergedFile, { format, filenames: files.map(f => f.name) }, processingStartTime, format);
+    }).catch(error => {
+        console.error('[APP] File reading error:', error);
+        alert(`Error reading files: ${error.message}`);
+        showLoading(false);
+    });
+}
+
+/**
+ * Load CSV content with a registered format's processor
+ * Headers are matched case-insensitively onto the processor's expected columns.
+ * @param {string} csvContent - Raw CSV content
+ * @param {File} file - Source file
+ * @param {string} format - Registered format id
+ * @param {number} processingStartTime - performance.now() when loading started
+ */
+function loadAsFormat(csvContent, file, format, processingStartTime) {
+    if (!getProcessorDefinition(format)) {
+        alert('Unsupported format');
+        showLoading(false);
+        return;
+    }
+
+    parseAndRenderCSV(csvContent, file, { format }, processingStartTime, format);
+}
+
+/**
+ * Parse, process and render CSV content
+ * Parsing, processing and ride stats run in a Web Worker (see csv-worker-client.js);
+ * progress is shown on the loading overlay and the job can be cancelled from there.
+ * @param {string|Array<string>} csvContent - Raw CSV content (one per log for a merged ride)
+ * @param {File|Object} file - Source file (name, size)
+ * @param {Object} job - { format } for a registered format or { profile } for a column mapping profile,
+ *   plus filenames for a merged ride
+ * @param {number} processingStartTime - performance.now() when loading started
+ * @param {string} format - Format id for the file info bar (defaults to the processor's format name)
+ */
+function parseAndRenderCSV(csvContent, file, job, processingStartTime, format = null) {
+    if (activeCSVJob) {
+        activeCSVJob.cancel();
+    }
+
+    stopFileSummaries();
+    const workerJob = { ...job, filename: file.name };
+    activeCSVJob = startCSVJob(csvContent, workerJob, updateLoadingProgress);
+    showLoading(true, { cancellable: true });
 
-                    showLoading(false);
+    const thisJob = activeCSVJob;
+    thisJob.promise.then(result => {
+        if (activeCSVJob !== thisJob) return;
+        activeCSVJob = null;
 
-                    // Reset diagnostic toggle and hide card on new file load
-                    const diagToggle = document.getElementById('diagnostic-view-toggle');
-                    diagToggle.checked = false;
-                    document.getElementById('diagnostic-card').style.display = 'none';
+        try {
+            // Main-thread processor keeps PWM flip state and column mapping for the UI
+            const processor = createJobProcessor(workerJob);
+            processor.detectedMode = result.tree.detectedMode;
+            processor.setDecimalComma(result.tree.dialect.decimalComma);
+            currentProcessor = processor;
+
+            // Raw rows are re-parsed lazily (diagnostics / export) instead of being cloned from the worker
+            const partOrder = result.tree.partOrder;
+            if (partOrder) {
+                // Merged ride: logs in timeline order, so raw rows line up with the processed rows
+                currentCSVContent = partOrder.map(part => csvContent[part]);
+                currentParseConfig = partOrder.map(part => getParseConfig(workerJob, result.tree.dialects[part]));
+            } else {
+                currentCSVContent = csvContent;
+                currentParseConfig = getParseConfig(workerJob, result.tree.dialect);
+            }
+            rawParsedCSV = null;
+            csvHeaders = result.tree.headers;
+            csvDelimiter = result.tree.dialect.delimiter;
+            currentFilename = partOrder ? workerJob.filenames[partOrder[0]] : file.name;
+
+            // Columns are immutable, so the current view shares originalData's buffers
+            originalData = unpackTransferable(result).processedData;
+            const processedData = sliceRide(originalData);
+            processedData.rideStats = originalData.rideStats;
+            delete originalData.rideStats; // Recomputed on reset, like the rest of the derived state
+            currentData = processedData;
+            trimRows = processedData.rowRange;
+            excludedIntervals = [];
+            renderExcludedIntervals();
+
+            // Set PWM flip checkbox to OFF (user must manually toggle to apply transformation)
+            const pwmToggle = document.getElementById('pwm-flip-toggle');
+            pwmToggle.checked = false;
+
+            // Update PWM mode status display to show detected mode
+            updatePWMModeStatus(processor.detectedMode, false);
+
+            // Calculate processing time and get data point count
+            const processingTime = performance.now() - processingStartTime;
+            const dataPoints = processedData.timestamps ? processedData.timestamps.length : 0;
+
+            // Update UI with file stats
+            const displayName = partOrder ? `${currentFilename} + ${partOrder.length - 1} more (merged)` : file.name;
+            updateFileInfo(displayName, format || processor.getFormatName(), file.size, dataPoints, processingTime, currentFileModifiedDate);
+            renderOverview(processedData);
+            renderCharts(processedData.chartGroups);
+
+            if (!loadedFromLibrary) {
+                saveToLibrary(csvContent, file, workerJob, format || processor.getFormatName(), processedData);
+            }
 
-                } catch (error) {
-                    console.error('[APP] Processing error:', error);
-                    alert(`Error processing CSV: ${error.message}`);
-                    showLoading(false);
+            document.getElementById('export-track-row').style.display = '';
+            document.getElementById('export-video-row').style.display = '';
+            updateTrackExportButtons();
+            document.getElementById('gpx-offset-input').value = 0;
+            updateGPXImportRow();
+            resetRideSplit();
+            resetComparison();
+            ridePlayback.hide(); // Start from the beginning of the new ride
+            videoSync.reset();
+            gaugeDashboard.reset();
+            mapViewSettings = null; // New map starts with its default overlay and privacy settings
+
+            // Render GPS map with callback to initialize time range manager
+            renderGPSMap(processedData.gpsRoute, () => {
+                // Cleanup existing time range manager if present
+                if (timeRangeManager) {
+                    timeRangeManager.cleanup();
                 }
-            },
-            error: function(error) {
-                console.error('[APP] CSV parsing error:', error);
-                alert(`Error parsing CSV: ${error.message}`);
-                showLoading(false);
+
+                // Create new time range manager with GPS map instance
+                timeRangeManager = createTimeRangeManager(
+                    window.gpsMapInstance,
+                    handleApplyTimeRange,
+                    handleResetTimeRange,
+                    handleExcludeTimeRange
+                );
+
+                // Initialize with processed data
+                timeRangeManager.initialize(processedData);
+
+                // Undo history starts from the loaded ride
+                viewHistory.reset(captureViewState());
+
+                // Update render statistics after everything is loaded
+                updateRenderStatsFromCurrentData();
+            });
+
+            showLoading(false);
+
+            // Reset diagnostic toggle and hide card on new file load
+            const diagToggle = document.getElementById('diagnostic-view-toggle');
+            diagToggle.checked = false;
+            document.getElementById('diagnostic-card').style.display = 'none';
+
+            // GPX dropped together with this CSV
+            if (pendingGPXFile) {
+                const gpxFile = pendingGPXFile;
+                pendingGPXFile = null;
+                handleGPXFile(gpxFile);
             }
-        });
-    };
 
-    reader.onerror = function() {
-        console.error('[APP] File reading error');
-        alert('Error reading file');
+        } catch (error) {
+            console.error('[APP] Processing error:', error);
+            alert(`Error processing CSV: ${error.message}`);
+            showLoading(false);
+        }
+    }).catch(error => {
+        pendingGPXFile = null;
+        if (error.cancelled) return;
+        if (activeCSVJob === thisJob) activeCSVJob = null;
+
+        console.error('[APP] Processing error:', error);
+        alert(`Error processing CSV: ${error.message}`);
         showLoading(false);
-    };
+    });
+}
 
-    reader.readAsText(file);
+/**
+ * Raw parsed CSV rows for the loaded file, parsed on first use
+ * @returns {Array<Object>|null} Papa Parse rows (same headers the processor saw)
+ */
+function getRawParsedCSV() {
+    if (!rawParsedCSV && currentCSVContent) {
+        rawParsedCSV = Array.isArray(currentCSVContent)
+            ? currentCSVContent.flatMap((content, part) => Papa.parse(content, currentParseConfig[part]).data)
+            : Papa.parse(currentCSVContent, currentParseConfig).data;
+    }
+    return rawParsedCSV;
+}
+
+/**
+ * Cancel the running CSV job (loading overlay Cancel button)
+ */
+function handleCancelLoading() {
+    if (!activeCSVJob) return;
+
+    activeCSVJob.cancel();
+    activeCSVJob = null;
+    showLoading(false);
+    console.log('[APP] CSV processing cancelled by user');
 }
 
 /**
@@ -907,7 +1915,7 @@ function updateFileInfo(filename, format, fileSize = 0, dataPoints = 0, processi
 
     // Add file info in a wrapper div
     fileInfoHTML += `<div>`;
-    fileInfoHTML += `${filename} (${displayName})`;
+    fileInfoHTML += `${escapeHTML(filename)} (${displayName})`;
 
     // Add file stats
     if (fileSize > 0) {
@@ -929,8 +1937,8 @@ function updateFileInfo(filename, format, fileSize = 0, dataPoints = 0, processi
         }
     }
 
-    // Add "drop another CSV" hint if not loaded from server (no back button)
-    if (!loadedFromServer && fileSize > 0) {
+    // Add "drop another CSV" hint if there is no back button
+    if (!loadedFromServer && !loadedFromLibrary && fileSize > 0) {
         fileInfoHTML += ` <span class="text-muted">• drop another CSV anywhere on this page</span>`;
     }
 
@@ -948,10 +1956,10 @@ function updateFileInfo(filename, format, fileSize = 0, dataPoints = 0, processi
         statRenderTime.textContent = processingTimeStr;
     }
 
-    // Show/hide back button based on whether file was loaded from server
+    // Show/hide back button based on whether file was picked from a list (server or library)
     const backBtn = document.getElementById('back-to-files-btn');
     if (backBtn) {
-        backBtn.style.display = loadedFromServer ? 'inline-block' : 'none';
+        backBtn.style.display = loadedFromServer || loadedFromLibrary ? 'inline-block' : 'none';
     }
 }
 
@@ -1051,7 +2059,7 @@ function updateRenderStats(sourcePoints = 0, displayedPoints = 0, mapSegments =
     // Third row: file metadata + extras
     const statGpsPoints = document.getElementById('stat-gps-points');
     if (statGpsPoints) {
-        const gpsCount = currentData?.gpsRoute?.coordinates?.length || 0;
+        const gpsCount = currentData?.gpsRoute?.has_gps ? currentData.gpsRoute.lat.countValid() : 0;
         if (gpsCount > 0) {
             statGpsPoints.textContent = `${gpsCount.toLocaleString()} points`;
         } else {
@@ -1067,9 +2075,7 @@ function updateRenderStats(sourcePoints = 0, displayedPoints = 0, mapSegments =
             const chartCount = entries.length;
             // Count only series with at least one non-null value
             const perChart = entries.map(([key, group]) => {
-                const active = group.series.filter(s =>
-                    s.data && s.data.some(v => v !== null && v !== undefined)
-                ).length;
+                const active = group.series.filter(s => s.data && s.data.hasValues()).length;
                 return { key, active };
             });
             const totalActive = perChart.reduce((a, c) => a + c.active, 0);
@@ -1258,6 +2264,13 @@ function renderOverview(data) {
     html += renderColumn('🔄 Tilt Angle', columns.tilt, true, 'col-tilt');
     html += renderColumn('🆕 New Additions', columns.system, true, 'col-system');
 
+    // Comparison ride with deltas against this one
+    if (comparisonRide) {
+        const compared = getComparisonStatsRide();
+        const compareStats = buildComparisonStats({ data, rideStats: data.rideStats }, compared);
+        html += renderColumn(`🆚 vs ${escapeHTML(comparisonRide.filename)}`, compareStats, false, 'col-compare');
+    }
+
     // EUC World Details column - dynamic from extra column data (starts collapsed)
     const extraFields = data.metadata?.extraFields;
     if (extraFields && Object.keys(extraFields).length > 0) {
@@ -1336,6 +2349,16 @@ function renderGPSMap(gpsRoute, onMapReadyCallback) {
                     window.eucChartSync.registerGPSMap(window.gpsMapInstance);
                 }
 
+                // Keep the route overlay and privacy settings of the previous map (trim, re-render)
+                if (mapViewSettings) {
+                    window.gpsMapInstance.applyViewSettings(mapViewSettings);
+                }
+                window.gpsMapInstance.onViewSettingsChange((settings) => {
+                    const privacyChanged = JSON.stringify(settings.privacy) !== JSON.stringify(mapViewSettings?.privacy);
+                    mapViewSettings = settings;
+                    viewHistory.record(privacyChanged ? 'Privacy Mode' : 'Route Overlay', captureViewState());
+                });
+
                 // Convert GPS route data to format expected by GPS map module
                 const gpsData = convertGPSRouteData(gpsRoute, currentData);
 
@@ -1344,6 +2367,9 @@ function renderGPSMap(gpsRoute, onMapReadyCallback) {
                 } else {
                     console.warn('[APP] GPS data conversion failed');
                 }
+                if (!mapViewSettings) {
+                    mapViewSettings = window.gpsMapInstance.getViewSettings();
+                }
 
                 // Call callback - GPS map is ready
                 if (onMapReadyCallback) {
@@ -1378,60 +2404,37 @@ function renderGPSMap(gpsRoute, onMapReadyCallback) {
 
 /**
  * Calculate overlay marker positions from data
- * @param {Object} fullData - Full processed data including series
- * @param {Object} gpsRoute - GPS route with coordinates
+ * @param {Array} routePoints - Route points built by convertGPSRouteData
+ * @param {Map} rowToPointIndex - Data row index → routePoints index (rows with a GPS fix only)
  * @param {Object} rideStats - Calculated ride statistics
  * @param {boolean} flipPWM - PWM mode flag (false=Mode1, true=Mode2)
  * @returns {Array} Array of overlay objects with position and value
  */
-function calculateOverlays(fullData, gpsRoute, rideStats, flipPWM = false) {
+function calculateOverlays(routePoints, rowToPointIndex, rideStats, flipPWM = false) {
     const overlays = [];
-    const coords = gpsRoute.coordinates;
-    const originalIndices = gpsRoute.originalIndices || [];
 
-    if (!coords || coords.length === 0) {
+    if (routePoints.length === 0) {
         return overlays;
     }
 
-
-    // Helper to convert original CSV row index to coords array index
-    const rowIndexToCoordsIndex = (rowIndex) => {
-        if (!originalIndices || originalIndices.length === 0) {
-            // Fallback for backward compatibility (if originalIndices not available)
-            return rowIndex;
-        }
-        return originalIndices.indexOf(rowIndex);
-    };
-
-    // Helper to add overlay if valid coordinates exist
-    // NOTE: 'rowIndex' is the original CSV row index, not coords array index!
+    // Helper to add overlay if the row has a GPS fix
+    // NOTE: 'rowIndex' is the data row index, not the route point index!
     const addOverlay = (overlayId, value, rowIndex) => {
         if (value === null || value === undefined || rowIndex === null || rowIndex === undefined) return;
 
-        // Convert original row index to coords array index
-        const coordsIndex = rowIndexToCoordsIndex(rowIndex);
-
-        if (coordsIndex === -1) {
-            console.warn(`[OVERLAY] ${overlayId}: Row index ${rowIndex} not found in GPS coordinates (no GPS data at this point)`);
-            return;
-        }
-
-        if (coordsIndex >= coords.length) {
-            console.warn(`[OVERLAY] ${overlayId}: Coords index ${coordsIndex} out of range (max: ${coords.length})`);
+        const pointIndex = rowToPointIndex.get(rowIndex);
+        if (pointIndex === undefined) {
+            console.warn(`[OVERLAY] ${overlayId}: Row index ${rowIndex} has no GPS point (no GPS data at this point)`);
             return;
         }
 
-        const coord = coords[coordsIndex];
-        if (!coord || !Array.isArray(coord)) return;
-        const [lat, lng] = coord;
-        if (lat == null || lng == null || isNaN(lat) || isNaN(lng)) return;
-
+        const point = routePoints[pointIndex];
         overlays.push({
             overlayId: overlayId,
-            index: coordsIndex,  // Store coords array index for map rendering
+            index: pointIndex,  // Store route point index for map rendering
             value: value,
-            lat: lat,
-            lng: lng
+            lat: point.lat,
+            lng: point.lng
         });
     };
 
@@ -1484,30 +2487,22 @@ function calculateOverlays(fullData, gpsRoute, rideStats, flipPWM = false) {
 
             let criticalCount = 0;
             rideStats.pwmZeroIndices.forEach(rowIndex => {
-                // Convert original row index to coords array index
-                const coordsIndex = rowIndexToCoordsIndex(rowIndex);
+                const pointIndex = rowToPointIndex.get(rowIndex);
 
-                if (coordsIndex === -1) {
+                if (pointIndex === undefined) {
                     console.warn(`[OVERLAY] zeroSafety: Row ${rowIndex} has no GPS data (skipping)`);
                     return;
                 }
 
-                if (coordsIndex >= coords.length) return;
-
-                const coord = coords[coordsIndex];
-                if (coord && Array.isArray(coord)) {
-                    const [lat, lng] = coord;
-                    if (lat != null && lng != null && !isNaN(lat) && !isNaN(lng)) {
-                        overlays.push({
-                            overlayId: 'zeroSafety',
-                            index: coordsIndex,  // Use coords array index, not row index
-                            value: criticalThreshold,
-                            lat: lat,
-                            lng: lng
-                        });
-                        criticalCount++;
-                    }
-                }
+                const point = routePoints[pointIndex];
+                overlays.push({
+                    overlayId: 'zeroSafety',
+                    index: pointIndex,  // Use route point index, not row index
+                    value: criticalThreshold,
+                    lat: point.lat,
+                    lng: point.lng
+                });
+                criticalCount++;
             });
 
         }
@@ -1537,59 +2532,59 @@ function calculateOverlays(fullData, gpsRoute, rideStats, flipPWM = false) {
  * @returns {Object} GPS data in map module format
  */
 function convertGPSRouteData(gpsRoute, fullData) {
-    if (!gpsRoute || !gpsRoute.has_gps || !gpsRoute.coordinates || gpsRoute.coordinates.length === 0) {
+    if (!gpsRoute || !gpsRoute.has_gps || !gpsRoute.lat || !gpsRoute.lon) {
         return { has_gps: false, route_points: [] };
     }
 
 
     // Build route_points array with all required data
     const routePoints = [];
+    const rowToPointIndex = new Map();  // Data row index → route point index (for overlays)
     const timestamps = fullData.timestamps;
     const series = fullData.series;
-
-    // GPS coordinates should match the data length 1:1
-    // Each coordinate corresponds to the same index in the data arrays
-    for (let i = 0; i < gpsRoute.coordinates.length; i++) {
-        const coord = gpsRoute.coordinates[i];
-
-        // Skip undefined or invalid coordinates
-        if (!coord || !Array.isArray(coord)) {
+    const value = (key, dataIndex) => series[key] ? series[key].get(dataIndex) : null;
+    // Join times of a merged ride or a cut-out interval: the first point after one starts a new route section
+    const joins = fullData.joins || [];
+    let joinIdx = 0;
+
+    // lat/lon columns are row-aligned with timestamps and series;
+    // rows without a GPS fix are invalid in both columns
+    for (let dataIndex = 0; dataIndex < gpsRoute.lat.length; dataIndex++) {
+        if (!gpsRoute.lat.isValid(dataIndex) || !gpsRoute.lon.isValid(dataIndex)) {
             continue;
         }
 
-        const [lat, lon] = coord;
-
-        // Skip invalid coordinates
-        if (lat === null || lon === null || isNaN(lat) || isNaN(lon)) {
-            continue;
-        }
-
-        // Use the same index for all data - they should all be aligned
-        const dataIndex = i;
-
         // Only add if we have valid timestamp at this index
         if (dataIndex < timestamps.length && timestamps[dataIndex]) {
+            let gapBefore = false;
+            while (joinIdx < joins.length && joins[joinIdx].time <= timestamps[dataIndex]) {
+                gapBefore = routePoints.length > 0;
+                joinIdx++;
+            }
+
+            rowToPointIndex.set(dataIndex, routePoints.length);
             routePoints.push({
-                lat: lat,
-                lng: lon,
+                lat: gpsRoute.lat.get(dataIndex),
+                lng: gpsRoute.lon.get(dataIndex),
                 timestamp: timestamps[dataIndex],
                 index: dataIndex,  // CRITICAL: This maps GPS point to data array index
-                wheel_speed: series.speed ? series.speed[dataIndex] : null,
-                speed: series.gps_speed ? series.gps_speed[dataIndex] : null,
-                altitude: series.gps_alt ? series.gps_alt[dataIndex] : null,
-                battery: series.battery ? series.battery[dataIndex] : null,
-                power: series.power ? series.power[dataIndex] : null,
-                pwm: series.pwm ? series.pwm[dataIndex] : null,
-                voltage: series.voltage ? series.voltage[dataIndex] : null,
-                current: series.current ? series.current[dataIndex] : null,
-                temp: series.temp ? series.temp[dataIndex] : null,
-                temp_motor: series.temp_motor ? series.temp_motor[dataIndex] : null,
-                temp_batt: series.temp_batt ? series.temp_batt[dataIndex] : null,
-                energy_consumption: series.energy_consumption ? series.energy_consumption[dataIndex] : null,
-                distance: series.distance ? series.distance[dataIndex] : null,
-                tilt: series.tilt ? series.tilt[dataIndex] : null,
-                roll: series.roll ? series.roll[dataIndex] : null,
-                pwmFlipped: currentProcessor ? currentProcessor.flipPWM : false  // Add flip state per point
+                wheel_speed: value('speed', dataIndex),
+                speed: value('gps_speed', dataIndex),
+                altitude: value('gps_alt', dataIndex),
+                battery: value('battery', dataIndex),
+                power: value('power', dataIndex),
+                pwm: value('pwm', dataIndex),
+                voltage: value('voltage', dataIndex),
+                current: value('current', dataIndex),
+                temp: value('temp', dataIndex),
+                temp_motor: value('temp_motor', dataIndex),
+                temp_batt: value('temp_batt', dataIndex),
+                energy_consumption: value('energy_consumption', dataIndex),
+                distance: value('distance', dataIndex),
+                tilt: value('tilt', dataIndex),
+                roll: value('roll', dataIndex),
+                pwmFlipped: currentProcessor ? currentProcessor.flipPWM : false,  // Add flip state per point
+                gapBefore: gapBefore  // First point after a join of merged logs or a cut-out interval
             });
         }
     }
@@ -1597,9 +2592,18 @@ function convertGPSRouteData(gpsRoute, fullData) {
     if (routePoints.length > 0) {
     }
 
+    // Comparison ride's route (drawn dashed; only needs positions)
+    const comparisonRoute = buildComparisonRoute();
+
     // Calculate bounds
     const lats = routePoints.map(p => p.lat);
     const lngs = routePoints.map(p => p.lng);
+    if (comparisonRoute) {
+        comparisonRoute.forEach(p => {
+            lats.push(p.lat);
+            lngs.push(p.lng);
+        });
+    }
 
     // Use cached rideStats from calculateOverviewStats() (which always runs before this),
     // or calculate if not yet available
@@ -1609,13 +2613,14 @@ function convertGPSRouteData(gpsRoute, fullData) {
     });
 
     // Calculate overlay markers (max speed, max power, etc.) using ride stats
-    const overlays = calculateOverlays(fullData, gpsRoute, rideStats, currentProcessor?.flipPWM || false);
+    const overlays = calculateOverlays(routePoints, rowToPointIndex, rideStats, currentProcessor?.flipPWM || false);
 
     return {
         has_gps: true,
         route_points: routePoints,
         total_points: routePoints.length,
         overlays: overlays,
+        comparison_route: comparisonRoute,
         bounds: {
             north: Math.max(...lats),
             south: Math.min(...lats),
@@ -1647,6 +2652,13 @@ function renderCharts(chartGroups) {
 
     chartsContainer.innerHTML = html;
 
+    // Comparison ride resampled onto the rows of the current view
+    const comparisonPositions = comparisonRide ? getComparisonPositions() : null;
+    const comparisonSeries = comparisonPositions
+        ? buildComparisonSeries({ chartGroups }, comparisonRide.data, comparisonPositions)
+        : {};
+    updateComparisonStatus(comparisonPositions);
+
     // Initialize canvas charts after DOM is ready
     setTimeout(() => {
         for (const [key, chartData] of Object.entries(chartGroups)) {
@@ -1665,9 +2677,7 @@ function renderCharts(chartGroups) {
                 chart.init();
 
                 // Prepare data for chart — only include series with non-null data
-                const activeSeries = chartData.series.filter(s =>
-                    s.data && s.data.some(v => v !== null && v !== undefined)
-                );
+                const activeSeries = chartData.series.filter(s => s.data && s.data.hasValues());
                 const chartInput = {
                     datetime: chartData.timestamps,
                     series: activeSeries.map(s => ({
@@ -1689,6 +2699,27 @@ function renderCharts(chartGroups) {
                     }
                 }
 
+                // Join times of a merged ride and of cut-out intervals (drawn as gaps)
+                if (currentData?.joins?.length) {
+                    chartInput.joins = currentData.joins.map(join => join.time);
+                }
+                if (currentData?.excluded?.length) {
+                    chartInput.excluded = currentData.excluded;
+                }
+
+                // Comparison ride, dashed in the colour of the series it compares with
+                for (const s of comparisonSeries[key] || []) {
+                    chartInput.series.push({
+                        name: s.name,
+                        comparisonOf: s.comparisonOf,
+                        data: s.data,
+                        color: s.color,
+                        unit: s.unit,
+                        secondary_y: s.secondaryY || false,
+                        dash: [6, 4]
+                    });
+                }
+
                 // Set data and render (after init)
                 chart.setData(chartInput);
 
@@ -1702,6 +2733,13 @@ function renderCharts(chartGroups) {
             window.EUCChartSync.init();
         }
 
+        // Playback and video drive the cursor of the charts just created
+        if (currentData) {
+            ridePlayback.load(currentData);
+            videoSync.load(currentData, originalData.timestamps[0]);
+            gaugeDashboard.load(currentData, { flipPWM: currentProcessor?.flipPWM || false });
+        }
+
         // Update render stats now that charts have data (may have been called
         // earlier by the map callback before charts existed)
         updateRenderStatsFromCurrentData();
@@ -1721,7 +2759,8 @@ function getLeftAxisTitle(chartType) {
         'electrical': 'Voltage (V)',
         'temperature': 'Temperature (°C)',
         'acceleration': 'Acceleration (m/s²)',
-        'orientation': 'Angle (°)'
+        'orientation': 'Angle (°)',
+        'altitude': 'Altitude (m)'
     };
     return titles[chartType] || '';
 }
@@ -1770,7 +2809,8 @@ function handleDiagnosticToggle(event) {
  * Analyzes loaded CSV headers against the current processor's column mapping.
  */
 function renderDiagnosticView() {
-    if (!currentProcessor || !csvHeaders || !rawParsedCSV) {
+    const rawRows = getRawParsedCSV();
+    if (!currentProcessor || !csvHeaders || !rawRows) {
         document.getElementById('diagnostic-summary').innerHTML = '';
         document.getElementById('diagnostic-table-container').innerHTML =
             '<p class="text-muted">Load a CSV file to see column diagnostics.</p>';
@@ -1785,8 +2825,8 @@ function renderDiagnosticView() {
     const columns = csvHeaders.map(header => {
         const mapping = columnMapping[header];
         const samples = [];
-        for (let i = 0; i < Math.min(3, rawParsedCSV.length); i++) {
-            const val = rawParsedCSV[i][header];
+        for (let i = 0; i < Math.min(3, rawRows.length); i++) {
+            const val = rawRows[i][header];
             if (val !== undefined && val !== null && val !== '') {
                 samples.push(String(val).length > 50 ? String(val).substring(0, 50) + '...' : String(val));
             }
@@ -2002,13 +3042,13 @@ function updatePWMModeStatus(detectedMode, flipped) {
 
 /**
  * Flip PWM data in a processed data object.
- * Creates new arrays (does not mutate the original pwm array).
+ * Creates a new column (columns are immutable, so views of the old one are unaffected).
  * Also updates the matching chart series reference and clears cached rideStats.
- * @param {Object} data - Processed data object (currentData or originalData)
+ * @param {Object} data - Processed data object (originalData)
  */
 function flipPWMData(data) {
     if (data.series.pwm) {
-        data.series.pwm = data.series.pwm.map(v => v !== null ? 100 - v : null);
+        data.series.pwm = data.series.pwm.map(v => 100 - v);
     }
     // Point the chart series to the already-flipped array
     if (data.chartGroups?.battery) {
@@ -2025,7 +3065,7 @@ function flipPWMData(data) {
 
 /**
  * Handle PWM flip toggle.
- * Flips PWM values in-place on both currentData and originalData,
+ * Flips PWM values on originalData and re-slices currentData from it,
  * preserving any active time range trim.
  * @param {Event} event - Change event
  */
@@ -2039,9 +3079,9 @@ function handlePWMFlip(event) {
 
     currentProcessor.setPWMFlip(flipEnabled);
 
-    // Flip PWM on both current and original (preserves any active trim)
-    flipPWMData(currentData);
+    // Flip PWM on the original and re-slice the current view (preserves any active trim and cut-outs)
     flipPWMData(originalData);
+    currentData = buildRideView(trimRows, excludedIntervals);
 
     // Re-render components that depend on PWM
     renderOverview(currentData);
@@ -2057,38 +3097,77 @@ function handlePWMFlip(event) {
 
     // Update PWM mode status display
     updatePWMModeStatus(currentProcessor.detectedMode, flipEnabled);
+
+    viewHistory.record('PWM Flip', captureViewState());
 }
 
 /**
  * Show/hide loading overlay
  * @param {boolean} show - Show or hide
+ * @param {Object} options - { cancellable } shows the Cancel button
  */
-function showLoading(show) {
+function showLoading(show, { cancellable = false } = {}) {
     document.getElementById('loading-overlay').style.display = show ? 'flex' : 'none';
+    document.getElementById('cancel-loading-btn').style.display = show && cancellable ? 'inline-block' : 'none';
+    if (!show) {
+        document.getElementById('loading-text').textContent = 'Processing CSV file...';
+        document.getElementById('loading-progress').style.display = 'none';
+    }
 }
 
 /**
- * Handle Apply Time Range button (called by time range manager)
- * @param {number} startTime - Start time in milliseconds
- * @param {number} endTime - End time in milliseconds
+ * Update loading overlay with worker progress
+ * @param {Object} progress - { stage, percent }
  */
-function handleApplyTimeRange(startTime, endTime) {
-    if (!originalData) {
-        console.warn('[TIME RANGE] No original data to filter');
+function updateLoadingProgress({ stage, percent }) {
+    if (stage === 'main-thread') {
+        // No Web Worker: processing blocks the page and cannot be cancelled
+        document.getElementById('cancel-loading-btn').style.display = 'none';
+        document.getElementById('loading-text').textContent = 'Processing on the main thread (cancel needs Web Workers)...';
         return;
     }
 
+    const stageLabels = {
+        parsing: 'Parsing CSV',
+        processing: 'Processing data',
+        stats: 'Calculating ride statistics',
+        done: 'Rendering'
+    };
+    document.getElementById('loading-text').textContent = `${stageLabels[stage] || 'Processing'}... ${percent}%`;
+
+    const progressBar = document.getElementById('loading-progress');
+    progressBar.style.display = 'block';
+    progressBar.querySelector('.progress-bar').style.width = `${percent}%`;
+}
 
-    // Filter data
-    const filteredData = filterDataByTimeRange(originalData, startTime, endTime);
+/**
+ * Handle Apply Time Range button (called by time range manager)
+ * @param {number} startTime - Start time in milliseconds
+ * @param {number} endTime - End time in milliseconds
+ */
+function handleApplyTimeRange(startTime, endTime) {
+    if (!originalData) {
+        console.warn('[TIME RANGE] No original data to filter');
+        return;
+    }
+
+
+    // Slice data (zero-copy views over the original columns); cut-outs within the range stay cut
+    const trimmed = sliceRideByTime(originalData, startTime, endTime);
+    const intervals = excludedIntervals.filter(interval => interval.end >= startTime && interval.start <= endTime);
+    const filteredData = trimmed && buildRideView(trimmed.rowRange, intervals);
 
     if (!filteredData) {
+        console.error('[TIME RANGE] No data points in selected range');
         alert('Time range filtering failed - no data in selected range');
         return;
     }
 
     // Update current data
     currentData = filteredData;
+    trimRows = trimmed.rowRange;
+    excludedIntervals = intervals;
+    renderExcludedIntervals();
 
     // Show export trimmed CSV button
     document.getElementById('export-trim-row').style.display = '';
@@ -2109,7 +3188,8 @@ function handleApplyTimeRange(startTime, endTime) {
         timeRangeManager = createTimeRangeManager(
             window.gpsMapInstance,
             handleApplyTimeRange,
-            handleResetTimeRange
+            handleResetTimeRange,
+            handleExcludeTimeRange
         );
 
         // Initialize with FILTERED data (new range is the trimmed range)
@@ -2119,6 +3199,7 @@ function handleApplyTimeRange(startTime, endTime) {
         updateRenderStatsFromCurrentData();
     });
 
+    viewHistory.record('Trim', captureViewState());
 }
 
 /**
@@ -2131,8 +3212,11 @@ function handleResetTimeRange() {
         return;
     }
 
-    // Reset to original data
-    currentData = JSON.parse(JSON.stringify(originalData));
+    // Reset to a full-range view of the original data (cut-outs restored too)
+    currentData = sliceRide(originalData);
+    trimRows = currentData.rowRange;
+    excludedIntervals = [];
+    renderExcludedIntervals();
 
     // Hide export trimmed CSV button
     document.getElementById('export-trim-row').style.display = 'none';
@@ -2153,7 +3237,8 @@ function handleResetTimeRange() {
         timeRangeManager = createTimeRangeManager(
             window.gpsMapInstance,
             handleApplyTimeRange,
-            handleResetTimeRange
+            handleResetTimeRange,
+            handleExcludeTimeRange
         );
 
         // Initialize with ORIGINAL data (full range restored)
@@ -2163,55 +3248,971 @@ function handleResetTimeRange() {
         updateRenderStatsFromCurrentData();
     });
 
+    viewHistory.record('Reset Trim', captureViewState());
+}
+
+/**
+ * Handle Cut Out Selection button (called by time range manager)
+ * Removes the interval from the current view and keeps the ride on both sides of it.
+ * @param {number} startTime - Start time in milliseconds
+ * @param {number} endTime - End time in milliseconds
+ */
+function handleExcludeTimeRange(startTime, endTime) {
+    if (!originalData) {
+        console.warn('[TIME RANGE] No original data to cut');
+        return;
+    }
+
+    const intervals = normalizeExcludedIntervals([...excludedIntervals, { start: startTime, end: endTime }]);
+    const view = buildRideView(trimRows, intervals);
+    if (!view) {
+        alert('Cutting out this interval would leave no data');
+        return;
+    }
+
+    excludedIntervals = intervals;
+    showCutView(view);
+    viewHistory.record('Cut Out', captureViewState());
+}
+
+/**
+ * Put a cut-out interval back into the current view
+ * @param {number} index - Index into excludedIntervals
+ */
+function restoreExcludedInterval(index) {
+    if (!originalData || !excludedIntervals[index]) return;
+
+    excludedIntervals = excludedIntervals.filter((_, i) => i !== index);
+    showCutView(buildRideView(trimRows, excludedIntervals));
+    viewHistory.record('Restore Cut', captureViewState());
+}
+
+/**
+ * Show a view after its cut-out intervals changed
+ * @param {Object} view - From buildRideView()
+ */
+function showCutView(view) {
+    currentData = view;
+    renderExcludedIntervals();
+    document.getElementById('export-trim-row').style.display = isTrimmed() ? '' : 'none';
+    console.log(`[TIME RANGE] ${excludedIntervals.length} interval(s) cut out, ${view.timestamps.length} rows left`);
+    rerenderCurrentView();
+}
+
+/**
+ * Rows of originalData without the excluded intervals
+ * @param {Object} rows - { start, end } rows of originalData (the applied trim)
+ * @param {Array} intervals - [{ start, end }] time intervals to cut out (ms)
+ * @returns {Object|null} Ride model view, null when no rows are left
+ */
+function buildRideView(rows, intervals) {
+    const view = sliceRide(originalData, rows.start, rows.end);
+    return intervals.length > 0 ? excludeRideIntervals(view, intervals) : view;
+}
+
+/**
+ * List the cut-out intervals under the trim slider, each with a button to restore it
+ */
+function renderExcludedIntervals() {
+    document.getElementById('excluded-intervals-row').style.display = excludedIntervals.length > 0 ? '' : 'none';
+    document.getElementById('excluded-intervals-list').innerHTML = excludedIntervals.map((interval, i) => `
+        <span class="badge bg-secondary me-1">
+            ${formatTimestamp(interval.start)} – ${formatTimestamp(interval.end)}
+            <button type="button" class="btn-close btn-close-white ms-1" style="font-size: 0.5rem;"
+                    data-interval="${i}" title="Restore this interval" aria-label="Restore"></button>
+        </span>
+    `).join('');
+}
+
+/**
+ * Snapshot of the view settings for the undo history
+ * @returns {Object} { trimRows, excludedIntervals, flipPWM, mapSettings }
+ */
+function captureViewState() {
+    return {
+        trimRows: { ...trimRows },
+        excludedIntervals: excludedIntervals.map(interval => ({ ...interval })),
+        flipPWM: document.getElementById('pwm-flip-toggle').checked,
+        mapSettings: mapViewSettings
+    };
+}
+
+/**
+ * Show a snapshot from the undo history (undo/redo)
+ * Rebuilds the view from originalData when the trim, cut-outs or PWM flip differ;
+ * map-only changes are applied to the current map.
+ * @param {Object} state - From captureViewState()
+ */
+function restoreViewState(state) {
+    if (!originalData) return;
+
+    const pwmToggle = document.getElementById('pwm-flip-toggle');
+    const flipChanged = state.flipPWM !== pwmToggle.checked;
+    const viewChanged = flipChanged ||
+        JSON.stringify(state.trimRows) !== JSON.stringify(trimRows) ||
+        JSON.stringify(state.excludedIntervals) !== JSON.stringify(excludedIntervals);
+
+    if (flipChanged) {
+        pwmToggle.checked = state.flipPWM;
+        currentProcessor.setPWMFlip(state.flipPWM);
+        flipPWMData(originalData);
+        updatePWMModeStatus(currentProcessor.detectedMode, state.flipPWM);
+    }
+    if (state.mapSettings) {
+        mapViewSettings = state.mapSettings;
+    }
+
+    if (!viewChanged) {
+        if (window.gpsMapInstance && mapViewSettings) {
+            window.gpsMapInstance.applyViewSettings(mapViewSettings);
+        }
+        return;
+    }
+
+    trimRows = { ...state.trimRows };
+    excludedIntervals = state.excludedIntervals.map(interval => ({ ...interval }));
+    currentData = buildRideView(trimRows, excludedIntervals);
+    renderExcludedIntervals();
+    document.getElementById('export-trim-row').style.display = isTrimmed() ? '' : 'none';
+    rerenderCurrentView();
 }
 
 /**
  * Handle Export Trimmed CSV button click
- * Downloads the trimmed CSV rows using the original CSV format
+ * Downloads the rows of the current view (trim and cut-outs) using the original CSV format
  */
 function handleExportTrimmedCSV() {
-    if (!currentData || !currentData.filteredIndices) {
-        console.error('[EXPORT] No trimmed data to export — filteredIndices missing');
+    if (!currentData || !currentData.rowSegments) {
+        console.error('[EXPORT] No trimmed data to export — rowSegments missing');
         return;
     }
-    if (!rawParsedCSV) {
+    const rawRows = getRawParsedCSV();
+    if (!rawRows) {
         console.error('[EXPORT] No rawParsedCSV available');
         return;
     }
 
     if (!confirm('Are you sure you want to export the trimmed CSV?')) return;
 
-    const trimmedRows = currentData.filteredIndices.map(i => rawParsedCSV[i]);
-    const csvString = Papa.unparse(trimmedRows);
-    const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
+    const downloadName = getExportBaseName() + '_trimmed.csv';
+    const rowCount = downloadCSVRows(rawRows, currentData.rowSegments, downloadName);
+
+    console.log('[EXPORT] Downloaded trimmed CSV:', downloadName, '(' + rowCount + ' rows)');
+}
+
+/**
+ * Download raw CSV rows in the original CSV format
+ * @param {Array<Object>} rawRows - From getRawParsedCSV()
+ * @param {Array} segments - [{ start, end }] rows to write (end exclusive), in order
+ * @param {string} downloadName - File name
+ * @returns {number} Rows written
+ */
+function downloadCSVRows(rawRows, segments, downloadName) {
+    const rows = segments.flatMap(segment => rawRows.slice(segment.start, segment.end));
+    // Explicit columns: merged logs may not all have every column
+    const csvString = Papa.unparse(rows, { delimiter: csvDelimiter, columns: csvHeaders });
+    downloadFile(csvString, 'text/csv;charset=utf-8;', downloadName);
+    return rows.length;
+}
+
+/**
+ * Show the Ride Split card for a newly loaded ride, with no results yet
+ */
+function resetRideSplit() {
+    detectedRides = null;
+    document.getElementById('ride-split-section').style.display = '';
+    document.getElementById('export-all-rides-btn').disabled = true;
+    document.getElementById('ride-split-results').innerHTML =
+        '<small class="text-muted">Find the separate rides in a log that covers several, then open or export each one.</small>';
+}
+
+/**
+ * Handle Detect Rides button: split the full log at gaps and long stops
+ */
+function handleDetectRides() {
+    if (!originalData) return;
+
+    const readMinutes = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return value > 0 ? value : fallback;
+    };
+    detectedRides = detectRides(originalData, {
+        gapMinutes: readMinutes('split-gap-input', SPLIT_DEFAULTS.gapMinutes),
+        stopMinutes: readMinutes('split-stop-input', SPLIT_DEFAULTS.stopMinutes)
+    });
+    console.log(`[RIDE SPLIT] Detected ${detectedRides.length} ride(s)`);
+
+    document.getElementById('export-all-rides-btn').disabled = detectedRides.length < 2;
+    renderRideSplitResults(detectedRides);
+}
+
+/**
+ * Render the detected rides table
+ * @param {Array} rides - From detectRides()
+ */
+function renderRideSplitResults(rides) {
+    const container = document.getElementById('ride-split-results');
+
+    if (rides.length === 0) {
+        container.innerHTML = '<small class="text-muted">No rides found — the wheel never moved long enough with these settings.</small>';
+        return;
+    }
+
+    const rows = rides.map((ride, i) => `
+        <tr>
+            <td>${ride.number}</td>
+            <td>${formatTimestamp(ride.startTime)} – ${formatTimestamp(ride.endTime)}</td>
+            <td>${formatDuration(ride.durationSeconds)}</td>
+            <td>${ride.distance !== null ? ride.distance.toFixed(2) + ' km' : 'N/A'}</td>
+            <td>${ride.maxSpeed !== null ? ride.maxSpeed.toFixed(1) + ' km/h' : 'N/A'}</td>
+            <td class="text-end">
+                <button class="btn btn-sm map-style-btn" data-ride-action="open" data-ride="${i}">Open</button>
+                <button class="btn btn-sm map-style-btn" data-ride-action="export" data-ride="${i}">Export CSV</button>
+            </td>
+        </tr>
+    `).join('');
+
+    const summary = rides.length === 1
+        ? 'One ride found — this log does not need splitting with these settings.'
+        : `${rides.length} rides found. Open one to view it on its own (like a trim), or export each as a CSV.`;
+
+    container.innerHTML = `
+        <p class="text-muted small mb-2">${summary}</p>
+        <div class="table-responsive">
+            <table class="table table-sm align-middle mb-0">
+                <thead>
+                    <tr><th>#</th><th>Time</th><th>Duration</th><th>Distance</th><th>Max Speed</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Export one detected ride as a CSV in the original format
+ * @param {Object} ride - From detectRides()
+ */
+function exportRideCSV(ride) {
+    const rawRows = getRawParsedCSV();
+    if (!rawRows) {
+        console.error('[EXPORT] No rawParsedCSV available');
+        return;
+    }
+    // Ride indices are rows of originalData, which starts at raw row 0
+    const downloadName = `${getExportBaseName()}_ride${ride.number}.csv`;
+    const rowCount = downloadCSVRows(rawRows, [{ start: ride.startIndex, end: ride.endIndex }], downloadName);
+    console.log('[EXPORT] Downloaded ride CSV:', downloadName, '(' + rowCount + ' rows)');
+}
+
+/**
+ * Handle Export All button: one CSV per detected ride
+ */
+function handleExportAllRides() {
+    if (!detectedRides || detectedRides.length === 0) return;
+    if (!confirm(`Download ${detectedRides.length} CSV files, one per ride?`)) return;
+    detectedRides.forEach(exportRideCSV);
+}
+
+/**
+ * Re-render overview, charts and map for currentData (keeps the current trim)
+ */
+function rerenderCurrentView() {
+    renderOverview(currentData);
+    renderCharts(currentData.chartGroups);
+
+    renderGPSMap(currentData.gpsRoute, () => {
+        if (timeRangeManager) {
+            timeRangeManager.cleanup();
+        }
+
+        timeRangeManager = createTimeRangeManager(
+            window.gpsMapInstance,
+            handleApplyTimeRange,
+            handleResetTimeRange,
+            handleExcludeTimeRange
+        );
+
+        timeRangeManager.initialize(currentData);
+
+        updateRenderStatsFromCurrentData();
+    });
+}
+
+/**
+ * Show the Compare Rides card for a newly loaded ride, without a comparison ride
+ */
+function resetComparison() {
+    comparisonRide = null;
+    document.getElementById('compare-section').style.display = '';
+    updateComparisonStatus(null);
+}
+
+/**
+ * Update the Compare Rides status line and Remove button
+ * @param {Float64Array|null} positions - From getComparisonPositions()
+ */
+function updateComparisonStatus(positions) {
+    const status = document.getElementById('compare-status');
+    document.getElementById('compare-clear-btn').disabled = !comparisonRide;
+
+    if (!comparisonRide) {
+        status.textContent = 'Overlay a second ride (same route, different wheel or tire pressure): ' +
+            'dashed lines on the charts and map, deltas in the overview.';
+        return;
+    }
+
+    const mode = document.getElementById('compare-align-select').value;
+    if (!positions) {
+        status.textContent = `${comparisonRide.filename}: cannot align by ${ALIGN_MODES[mode].toLowerCase()} ` +
+            '(no distance or speed data in one of the rides) — overview deltas only.';
+        return;
+    }
+    const hasGPS = comparisonRide.data.gpsRoute?.has_gps;
+    status.textContent = `Comparing with ${comparisonRide.filename}, aligned by ${ALIGN_MODES[mode].toLowerCase()}: ` +
+        `dashed chart lines${hasGPS ? ', magenta dashed route on the map' : ''}.`;
+}
+
+/**
+ * Load a CSV as the comparison ride and overlay it on the current view
+ * The file must be a recognized format or match a saved column mapping profile.
+ * @param {File} file - CSV file
+ */
+function handleComparisonFile(file) {
+    if (!originalData) return;
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+        alert('Please choose a CSV file');
+        return;
+    }
+
+    showLoading(true);
+    file.text().then(csvContent => {
+        const detection = FormatDetector.analyze(csvContent);
+        let job;
+        if (detection.exact) {
+            job = { format: detection.format };
+        } else {
+            const headers = Papa.parse(csvContent, { header: true, preview: 1, delimiter: detection.delimiter }).meta.fields || [];
+            const profile = findMappingProfile(headers);
+            if (!profile) {
+                alert(`${file.name} is not a recognized log format. Open it on its own first to map its columns, then compare again.`);
+                showLoading(false);
+                return;
+            }
+            job = { profile };
+        }
+
+        if (activeCSVJob) {
+            activeCSVJob.cancel();
+        }
+        activeCSVJob = startCSVJob(csvContent, { ...job, filename: file.name }, updateLoadingProgress);
+        showLoading(true, { cancellable: true });
+
+        const thisJob = activeCSVJob;
+        return thisJob.promise.then(result => {
+            if (activeCSVJob !== thisJob) return;
+            activeCSVJob = null;
+
+            comparisonRide = {
+                data: unpackTransferable(result).processedData,
+                filename: file.name,
+                detectedMode: result.tree.detectedMode
+            };
+            console.log(`[COMPARE] Loaded ${file.name} (${comparisonRide.data.timestamps.length} rows)`);
+            showLoading(false);
+            rerenderCurrentView();
+        });
+    }).catch(error => {
+        if (error.cancelled) return;
+        console.error('[COMPARE] Error loading comparison ride:', error);
+        alert(`Error loading comparison ride: ${error.message}`);
+        showLoading(false);
+    });
+}
+
+/**
+ * Comparison ride positions for the rows of the current view
+ * Aligned from the start of the full ride, so a trim shows the matching part of the comparison ride.
+ * @returns {Float64Array|null} From alignRides(), null when the rides cannot be aligned this way
+ */
+function getComparisonPositions() {
+    const mode = document.getElementById('compare-align-select').value;
+    const positions = alignRides(originalData, comparisonRide.data, mode);
+    return positions && selectRowSegments(positions, currentData.rowSegments);
+}
+
+/**
+ * Comparison ride rows shown against the current view: all of them, or the aligned part when trimmed
+ * @returns {Object|null} { start, end } rows of the comparison ride, null when nothing lines up
+ */
+function getComparisonRowRange() {
+    const rowCount = comparisonRide.data.timestamps.length;
+    if (!isTrimmed()) return { start: 0, end: rowCount };
+
+    const positions = getComparisonPositions();
+    if (!positions) return { start: 0, end: rowCount };
+
+    let first = Infinity, last = -Infinity;
+    for (const p of positions) {
+        if (isNaN(p)) continue;
+        first = Math.min(first, p);
+        last = Math.max(last, p);
+    }
+    if (first === Infinity) return null;
+    return { start: Math.floor(first), end: Math.min(rowCount, Math.ceil(last) + 1) };
+}
+
+/**
+ * Comparison ride for the overview deltas (the aligned part of it when the view is trimmed)
+ * @returns {Object} { data, rideStats }
+ */
+function getComparisonStatsRide() {
+    const { data } = comparisonRide;
+    const range = getComparisonRowRange();
+    if (!range || (range.start === 0 && range.end === data.timestamps.length)) {
+        return { data, rideStats: data.rideStats };
+    }
+
+    const view = sliceRide(data, range.start, range.end);
+    return { data: view, rideStats: calculateRideStats(view, { detectedMode: comparisonRide.detectedMode }) };
+}
+
+/**
+ * Route points of the comparison ride for the map
+ * @returns {Array|null} [{ lat, lng, gapBefore }], null without a comparison ride with GPS
+ */
+function buildComparisonRoute() {
+    const gpsRoute = comparisonRide?.data.gpsRoute;
+    if (!gpsRoute || !gpsRoute.has_gps) return null;
+    const range = getComparisonRowRange();
+    if (!range) return null;
+
+    const { timestamps } = comparisonRide.data;
+    const joins = comparisonRide.data.joins || [];
+    let joinIdx = 0;
+    const points = [];
+    for (let i = range.start; i < range.end; i++) {
+        if (!gpsRoute.lat.isValid(i) || !gpsRoute.lon.isValid(i) || !timestamps[i]) continue;
+
+        let gapBefore = false;
+        while (joinIdx < joins.length && joins[joinIdx].time <= timestamps[i]) {
+            gapBefore = points.length > 0;
+            joinIdx++;
+        }
+        points.push({ lat: gpsRoute.lat.get(i), lng: gpsRoute.lon.get(i), gapBefore });
+    }
+    return points.length > 0 ? points : null;
+}
+
+/**
+ * Enable the track export buttons for the loaded ride
+ * GPX/GeoJSON/KML need GPS; FIT/TCX work from speed and distance alone.
+ */
+function updateTrackExportButtons() {
+    const hasGPS = !!originalData?.gpsRoute?.has_gps;
+    for (const id of ['export-gpx-btn', 'export-geojson-btn', 'export-kml-btn']) {
+        document.getElementById(id).disabled = !hasGPS;
+    }
+}
+
+/**
+ * Show the GPX import controls for rides without GPS of their own
+ */
+function updateGPXImportRow() {
+    const gpsImport = originalData?.gpsImport;
+    const show = !!originalData && (!originalData.gpsRoute.has_gps || !!gpsImport);
+    document.getElementById('gpx-import-row').style.display = show ? '' : 'none';
+    document.getElementById('gpx-realign-btn').disabled = !gpsImport;
+    document.getElementById('gpx-import-status').textContent = gpsImport
+        ? `GPS from ${gpsImport.filename}: ${gpsImport.matched.toLocaleString()} of ${originalData.timestamps.length.toLocaleString()} rows matched`
+        : 'No GPS in this log — import a GPX track (or drop one with the CSV)';
+}
+
+/**
+ * Read a GPX file and add its track to the loaded ride
+ * @param {File} file - GPX file
+ */
+function handleGPXFile(file) {
+    if (!originalData) {
+        alert('Load a CSV ride before importing a GPX track');
+        return;
+    }
+    if (originalData.gpsRoute.has_gps && !originalData.gpsImport) {
+        alert('This log already contains GPS data');
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        try {
+            applyGPSImport(parseGPXTrack(e.target.result), file.name);
+        } catch (error) {
+            console.error('[GPX IMPORT] Error importing GPX:', error);
+            alert(`Error importing GPX: ${error.message}`);
+        }
+    };
+    reader.onerror = function() {
+        console.error('[GPX IMPORT] File reading error');
+        alert('Error reading GPX file');
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Handle Re-align button: import the same track again with the current clock offset
+ */
+function handleGPXRealign() {
+    const gpsImport = originalData?.gpsImport;
+    if (!gpsImport) return;
+    applyGPSImport(gpsImport.track, gpsImport.filename);
+}
+
+/**
+ * Align a parsed GPX track to originalData and re-render the current view
+ * (preserves any active trim, like the PWM flip).
+ * @param {Object} track - From parseGPXTrack()
+ * @param {string} filename - GPX file name
+ */
+function applyGPSImport(track, filename) {
+    const offsetMs = (parseFloat(document.getElementById('gpx-offset-input').value) || 0) * 1000;
+    const imported = applyGPXTrack(originalData, track, { filename, offsetMs });
+
+    if (!imported.gpsRoute.has_gps) {
+        // Usually a clock or timezone mismatch; suggest the offset that lines up the starts
+        const points = track.points;
+        const suggestedOffset = Math.round((originalData.timestamps[0] - points[0].time) / 1000);
+        alert(`The GPX track (${new Date(points[0].time).toLocaleString()} – ${new Date(points[points.length - 1].time).toLocaleString()}) ` +
+            `does not overlap this ride with a clock offset of ${offsetMs / 1000} s.\n\n` +
+            `Try a clock offset of about ${suggestedOffset} s and press Re-align.`);
+        if (!originalData.gpsImport) {
+            // Keep the track so Re-align can use it
+            originalData.gpsImport = { ...imported.gpsImport, matched: 0 };
+            updateGPXImportRow();
+        }
+        return;
+    }
 
-    const baseName = currentFilename ? currentFilename.replace(/\.csv$/i, '') : 'export';
-    const downloadName = baseName + '_trimmed.csv';
+    console.log(`[GPX IMPORT] ${filename}: ${imported.gpsImport.matched} of ${imported.timestamps.length} rows matched (offset ${offsetMs / 1000} s)`);
+    originalData = imported;
+    currentData = buildRideView(trimRows, excludedIntervals);
+
+    updateGPXImportRow();
+    updateTrackExportButtons();
+    renderOverview(currentData);
+    renderCharts(currentData.chartGroups);
+
+    // Render GPS map with callback to reinitialize time range manager with the map
+    renderGPSMap(currentData.gpsRoute, () => {
+        if (timeRangeManager) {
+            timeRangeManager.cleanup();
+        }
+
+        timeRangeManager = createTimeRangeManager(
+            window.gpsMapInstance,
+            handleApplyTimeRange,
+            handleResetTimeRange,
+            handleExcludeTimeRange
+        );
+
+        timeRangeManager.initialize(currentData);
+
+        updateRenderStatsFromCurrentData();
+    });
+}
+
+/**
+ * Handle Export GPX button click
+ * Exports the current (trimmed) GPS track with telemetry, honouring the map's privacy mode
+ */
+function handleExportGPX() {
+    if (!currentData || !currentData.gpsRoute?.has_gps) {
+        console.error('[EXPORT] No GPS data to export');
+        return;
+    }
+
+    const privacy = window.gpsMapInstance?.getPrivacyState?.() || null;
+    const points = buildTrackPoints(currentData, { privacy });
+    if (points.length === 0) {
+        alert('No GPS points to export in the current range');
+        return;
+    }
+
+    const baseName = getExportBaseName();
+    const gpx = buildGPX(points, { name: baseName });
+    const downloadName = baseName + (isTrimmed() ? '_trimmed' : '') + '.gpx';
+    downloadFile(gpx, 'application/gpx+xml;charset=utf-8;', downloadName);
+
+    console.log('[EXPORT] Downloaded GPX:', downloadName, '(' + points.length + ' points)');
+}
+
+/**
+ * Handle Export GeoJSON / KML button click
+ * Exports the active colored route overlay and its visible markers as shown on the map
+ * @param {string} type - 'geojson' or 'kml'
+ */
+function handleExportRoute(type) {
+    const routeExport = window.gpsMapInstance?.getRouteExportData?.();
+    if (!routeExport || routeExport.segments.length === 0) {
+        alert('Select a route overlay on the GPS map to export');
+        return;
+    }
+
+    const baseName = getExportBaseName();
+    const downloadName = `${baseName}_${routeExport.overlayId}${isTrimmed() ? '_trimmed' : ''}.${type}`;
+    if (type === 'kml') {
+        const kml = buildRouteKML(routeExport, { name: baseName });
+        downloadFile(kml, 'application/vnd.google-earth.kml+xml;charset=utf-8;', downloadName);
+    } else {
+        const geojson = buildRouteGeoJSON(routeExport, { name: baseName });
+        downloadFile(JSON.stringify(geojson, null, 2), 'application/geo+json;charset=utf-8;', downloadName);
+    }
+
+    console.log(`[EXPORT] Downloaded ${type.toUpperCase()}:`, downloadName, '(' + routeExport.segments.length + ' segments)');
+}
+
+/**
+ * Handle Export FIT / TCX button click
+ * Exports the current (trimmed) ride as a fitness activity, sampled at 1 Hz
+ * @param {string} type - 'fit' or 'tcx'
+ */
+function handleExportActivity(type) {
+    if (!currentData) {
+        console.error('[EXPORT] No ride data to export');
+        return;
+    }
+
+    const privacy = window.gpsMapInstance?.getPrivacyState?.() || null;
+    const samples = buildActivitySamples(currentData, { privacy });
+    if (samples.length === 0) {
+        alert('No data points to export in the current range');
+        return;
+    }
+
+    const baseName = getExportBaseName();
+    const downloadName = baseName + (isTrimmed() ? '_trimmed' : '') + '.' + type;
+    if (type === 'fit') {
+        downloadFile(new Blob([encodeFITActivity(samples)], { type: 'application/vnd.ant.fit' }), null, downloadName);
+    } else {
+        downloadFile(buildTCX(samples, { name: baseName }), 'application/vnd.garmin.tcx+xml;charset=utf-8;', downloadName);
+    }
+
+    console.log(`[EXPORT] Downloaded ${type.toUpperCase()}:`, downloadName, '(' + samples.length + ' samples)');
+}
+
+/**
+ * Handle Render Gauge Video button click (Stop while recording)
+ * Records the current (trimmed) range in real time, previewed below the button.
+ */
+function handleExportGaugeVideo() {
+    if (gaugeRecording) {
+        gaugeRecording.cancel();
+        return;
+    }
+    if (!currentData || currentData.timestamps.length < 2) {
+        console.error('[EXPORT] No ride data to render');
+        return;
+    }
+
+    const { timestamps } = currentData;
+    const startTime = timestamps[0];
+    const endTime = timestamps[timestamps.length - 1];
+    // Cut-out intervals are skipped, so they take no recording time
+    const durationSeconds = getGaugeVideoDuration(currentData, startTime, endTime) / 1000;
+    if (!confirm(`Recording runs in real time: this range takes ${formatDuration(durationSeconds)} to render.\n\n` +
+        'Keep this tab in front while it records (background tabs slow it down). Continue?')) {
+        return;
+    }
+
+    const [width, height] = document.getElementById('gauge-video-size').value.split('x').map(Number);
+    const privacy = window.gpsMapInstance?.getPrivacyState?.() || null;
+    const button = document.getElementById('export-gauge-video-btn');
+    const status = document.getElementById('gauge-video-status');
+    const preview = document.getElementById('gauge-video-preview');
+
+    try {
+        gaugeRecording = recordGaugeVideo(currentData, {
+            startTime,
+            endTime,
+            fps: Number(document.getElementById('gauge-video-fps').value),
+            width,
+            height,
+            background: document.getElementById('gauge-video-background').value,
+            flipPWM: currentProcessor?.flipPWM || false,
+            trackPoints: buildTrackPoints(currentData, { privacy }),
+            canvas: preview,
+            onProgress: (fraction) => {
+                status.textContent = `Recording… ${formatDuration(fraction * durationSeconds)} / ${formatDuration(durationSeconds)}`;
+            }
+        });
+    } catch (error) {
+        console.error('[EXPORT] Gauge video error:', error);
+        alert(`Error rendering gauge video: ${error.message}`);
+        return;
+    }
+
+    button.textContent = 'Stop Recording';
+    preview.style.display = '';
+
+    const downloadBase = getExportBaseName() + (isTrimmed() ? '_trimmed' : '') + '_gauges';
+    gaugeRecording.promise.then(blob => {
+        const downloadName = downloadBase + (blob.type === 'video/mp4' ? '.mp4' : '.webm');
+        downloadFile(blob, null, downloadName);
+        status.textContent = `Saved ${downloadName} (${formatFileSize(blob.size)})`;
+        console.log('[EXPORT] Downloaded gauge video:', downloadName);
+    }).catch(error => {
+        if (error.cancelled) {
+            status.textContent = 'Recording stopped';
+            return;
+        }
+        console.error('[EXPORT] Gauge video error:', error);
+        alert(`Error rendering gauge video: ${error.message}`);
+        status.textContent = '';
+    }).finally(() => {
+        gaugeRecording = null;
+        button.textContent = 'Render Gauge Video';
+        preview.style.display = 'none';
+    });
+}
+
+/**
+ * @returns {boolean} True when currentData is a trimmed view of originalData (or has intervals cut out)
+ */
+function isTrimmed() {
+    if (!currentData || !originalData) return false;
+    return currentData.timestamps.length < originalData.timestamps.length;
+}
+
+/**
+ * @returns {string} Current filename without the .csv extension (download name base)
+ */
+function getExportBaseName() {
+    return currentFilename ? currentFilename.replace(/\.csv$/i, '') : 'export';
+}
+
+/**
+ * Trigger a browser download of generated content
+ * @param {string|Blob} content - File content
+ * @param {string|null} mimeType - MIME type for string content (Blob content keeps its own)
+ * @param {string} downloadName - Suggested filename
+ */
+function downloadFile(content, mimeType, downloadName) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
     a.href = url;
     a.download = downloadName;
     a.click();
     URL.revokeObjectURL(url);
+}
+
+// ==================== Column Mapping Wizard ====================
+
+// Common header spellings → canonical key (exact canonical names match automatically)
+const COLUMN_ALIASES = {
+    timestamp: 'datetime', date_time: 'datetime', time_stamp: 'datetime',
+    lat: 'gps_lat', latitude: 'gps_lat',
+    lon: 'gps_lon', lng: 'gps_lon', long: 'gps_lon', longitude: 'gps_lon',
+    altitude: 'gps_alt', alt: 'gps_alt', elevation: 'gps_alt',
+    battery_level: 'battery', battery_percent: 'battery',
+    total_distance: 'distance_total', totaldistance: 'distance_total', odometer: 'distance_total', total_mileage: 'distance_total',
+    mileage: 'distance', trip_distance: 'distance',
+    temperature: 'temp', system_temp: 'temp', motor_temp: 'temp_motor', battery_temp: 'temp_batt',
+    phase_current: 'current_phase', pitch: 'tilt', safety_margin: 'pwm', load: 'pwm'
+};
+
+/**
+ * Guess the canonical key for a CSV header
+ * @param {string} header - Source header
+ * @param {Object} canonical - Canonical column map from getCanonicalColumns()
+ * @returns {string} Canonical key or '' when no guess
+ */
+function guessCanonicalColumn(header, canonical) {
+    const key = header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (canonical[key]) return key;
+    return COLUMN_ALIASES[key] || '';
+}
+
+/**
+ * Build the column mapping wizard markup
+ * @param {Array<string>} headers - CSV headers
+ * @param {Array<Object>} rows - Sample rows
+ * @param {string} filename - Original filename
+ * @returns {string} HTML
+ */
+function buildColumnMappingWizardHTML(headers, rows, filename) {
+    const canonical = getCanonicalColumns();
+    const groups = { timestamp: 'Timestamp', gps: 'GPS', series: 'Series' };
+
+    const optionsFor = (selected) => {
+        let html = '<option value="">— ignore —</option>';
+        for (const [type, groupLabel] of Object.entries(groups)) {
+            html += `<optgroup label="${groupLabel}">`;
+            for (const [key, info] of Object.entries(canonical)) {
+                if (info.type !== type) continue;
+                const unit = info.unit ? ` (${info.unit})` : '';
+                html += `<option value="${key}"${key === selected ? ' selected' : ''}>${info.label}${unit} — ${key}</option>`;
+            }
+            html += '</optgroup>';
+        }
+        return html;
+    };
+
+    // Only pre-select each canonical key once
+    const used = new Set();
+    const mappingRows = headers.map((header, i) => {
+        let guess = guessCanonicalColumn(header, canonical);
+        if (used.has(guess)) guess = '';
+        if (guess) used.add(guess);
+
+        const sample = rows[0] && rows[0][header] != null ? String(rows[0][header]) : '';
+        return `
+            <tr>
+                <td><code>${escapeHTML(header)}</code></td>
+                <td class="text-muted">${escapeHTML(sample.length > 30 ? sample.substring(0, 30) + '...' : sample)}</td>
+                <td>
+                    <select class="form-select form-select-sm column-mapping-select" data-header-index="${i}">
+                        ${optionsFor(guess)}
+                    </select>
+                </td>
+            </tr>`;
+    }).join('');
+
+    const modeOptions = Object.entries(TIMESTAMP_MODES)
+        .map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('');
+    const defaultName = filename.replace(/\.csv$/i, '');
+
+    return `
+        <div class="card mt-3" id="column-mapping-wizard">
+            <div class="card-body">
+                <h6>🧭 Column Mapping Wizard</h6>
+                <p class="text-muted mb-2"><small>Map each column to a known series and process the file as a custom format. The mapping is saved and applied automatically to files with the same headers.</small></p>
+                <div class="table-responsive">
+                    <table class="table table-sm align-middle mb-3" style="font-size: 0.85rem;">
+                        <thead>
+                            <tr><th>CSV Column</th><th>Sample</th><th>Maps To</th></tr>
+                        </thead>
+                        <tbody>${mappingRows}</tbody>
+                    </table>
+                </div>
+                <div class="row g-2 align-items-end">
+                    <div class="col-sm-4">
+                        <label class="form-label mb-1" for="mapping-timestamp-mode"><small>Timestamp parsing</small></label>
+                        <select class="form-select form-select-sm" id="mapping-timestamp-mode">${modeOptions}</select>
+                    </div>
+                    <div class="col-sm-5">
+                        <label class="form-label mb-1" for="mapping-profile-name"><small>Profile name</small></label>
+                        <input type="text" class="form-control form-control-sm" id="mapping-profile-name" value="${escapeHTML(defaultName)}">
+                    </div>
+                    <div class="col-sm-3">
+                        <button class="btn map-style-btn w-100" id="apply-column-mapping-btn">Process File</button>
+                    </div>
+                </div>
+                <div class="text-danger mt-2" id="column-mapping-error" style="display: none;"></div>
+            </div>
+        </div>`;
+}
+
+/**
+ * Build the format guess / override card
+ * @param {Object} detection - FormatDetector.analyze() result
+ * @returns {string} HTML
+ */
+function buildFormatOverrideHTML(detection) {
+    const options = detection.candidates.map(candidate => {
+        const percent = Math.round(candidate.score * 100);
+        const selected = candidate.id === detection.format ? ' selected' : '';
+        return `<option value="${candidate.id}"${selected}>${candidate.displayName} — ${percent}% (${candidate.matched}/${candidate.total} columns)</option>`;
+    }).join('');
+
+    return `
+        <div class="card mb-3">
+            <div class="card-body">
+                <h6>Load As Format</h6>
+                <div class="row g-2 align-items-center">
+                    <div class="col-sm-9">
+                        <select class="form-select form-select-sm" id="format-override-select">${options}</select>
+                    </div>
+                    <div class="col-sm-3">
+                        <button class="btn map-style-btn w-100" id="load-as-format-btn">Load</button>
+                    </div>
+                </div>
+            </div>
+        </div>`;
+}
 
-    console.log('[EXPORT] Downloaded trimmed CSV:', downloadName, '(' + trimmedRows.length + ' rows)');
+/**
+ * Read the wizard form, save the profile and process the file with it
+ * @param {string} csvContent - Raw CSV content
+ * @param {File} file - Source file
+ * @param {Array<string>} headers - CSV headers
+ */
+function applyColumnMappingWizard(csvContent, file, headers) {
+    const errorEl = document.getElementById('column-mapping-error');
+    const showError = (message) => {
+        errorEl.textContent = message;
+        errorEl.style.display = 'block';
+    };
+
+    const columns = {};
+    const targets = new Set();
+    for (const select of document.querySelectorAll('.column-mapping-select')) {
+        const target = select.value;
+        if (!target) continue;
+        if (targets.has(target)) {
+            showError(`"${target}" is mapped more than once.`);
+            return;
+        }
+        targets.add(target);
+        columns[headers[parseInt(select.dataset.headerIndex, 10)]] = target;
+    }
+
+    const timestampMode = document.getElementById('mapping-timestamp-mode').value;
+    if (timestampMode === 'datetime') {
+        if (!targets.has('datetime') && !targets.has('date')) {
+            showError('Map a column to Date/Time (or Date and Time).');
+            return;
+        }
+    } else if (!targets.has('datetime')) {
+        showError('Unix timestamps must be mapped to Date/Time.');
+        return;
+    }
+    const hasSeries = [...targets].some(target => !['datetime', 'date', 'time'].includes(target));
+    if (!hasSeries) {
+        showError('Map at least one data series.');
+        return;
+    }
+
+    const name = document.getElementById('mapping-profile-name').value.trim() || file.name;
+    const profile = saveMappingProfile({
+        name,
+        signature: getHeaderSignature(headers),
+        columns,
+        timestampMode
+    });
+    console.log(`[APP] Saved column mapping profile "${profile.name}"`);
+
+    parseAndRenderCSV(csvContent, file, { profile }, performance.now());
 }
 
 /**
  * Show diagnostic view when CSV format cannot be detected
- * Displays headers and sample rows so users can diagnose the issue
+ * Displays headers and sample rows so users can diagnose the issue,
+ * plus the column mapping wizard when the source file is available
  * @param {string} csvContent - Raw CSV file content
  * @param {string} filename - Original filename
+ * @param {File} file - Source file (optional, enables format override and the mapping wizard)
+ * @param {Object} detection - FormatDetector.analyze() result (optional)
  */
-function showUnknownFormatDiagnostic(csvContent, filename) {
+function showUnknownFormatDiagnostic(csvContent, filename, file = null, detection = null) {
     console.error('[APP] Unknown CSV format:', filename);
 
     // Parse just enough to show headers and sample rows
     const parsed = Papa.parse(csvContent, {
         header: true,
         preview: 5,
-        skipEmptyLines: true
+        skipEmptyLines: true,
+        delimiter: detection ? detection.delimiter : detectCSVDialect(csvContent).delimiter
     });
 
     const headers = parsed.meta.fields || [];
@@ -2220,7 +4221,7 @@ function showUnknownFormatDiagnostic(csvContent, filename) {
 
     // Build header badges
     const headerBadges = headers.map(h =>
-        `<span class="badge bg-secondary me-1 mb-1">${h}</span>`
+        `<span class="badge bg-secondary me-1 mb-1">${escapeHTML(h)}</span>`
     ).join('');
 
     // Build sample data table
@@ -2232,26 +4233,36 @@ function showUnknownFormatDiagnostic(csvContent, filename) {
             <div class="table-responsive mt-3">
                 <table class="table table-sm table-bordered mb-0" style="font-size: 0.8rem;">
                     <thead>
-                        <tr>${displayHeaders.map(h => `<th>${h}</th>`).join('')}${truncated ? '<th>...</th>' : ''}</tr>
+                        <tr>${displayHeaders.map(h => `<th>${escapeHTML(h)}</th>`).join('')}${truncated ? '<th>...</th>' : ''}</tr>
                     </thead>
                     <tbody>
                         ${rows.map(row => `<tr>${displayHeaders.map(h => {
                             const val = row[h] != null ? String(row[h]) : '';
-                            return `<td>${val.length > 30 ? val.substring(0, 30) + '...' : val}</td>`;
+                            return `<td>${escapeHTML(val.length > 30 ? val.substring(0, 30) + '...' : val)}</td>`;
                         }).join('')}${truncated ? '<td>...</td>' : ''}</tr>`).join('')}
                     </tbody>
                 </table>
             </div>`;
     }
 
+    const hasGuess = !!detection && detection.format !== 'Unknown';
+
     const overviewContainer = document.getElementById('overview-stats');
     overviewContainer.innerHTML = `
         <div class="grid-full-width">
+            ${hasGuess ? `
+            <div class="alert alert-info mb-3">
+                <h5 class="alert-heading">🔎 Format Not Matched Exactly</h5>
+                <p class="mb-1">The headers of <strong>${escapeHTML(filename)}</strong> look like <strong>${FormatDetector.getDisplayName(detection.format)}</strong>
+                    (${Math.round(detection.confidence * 100)}% confidence) but differ in casing, quoting or columns.</p>
+                <p class="mb-0">Confirm the guess below, choose another format, or map the columns manually.</p>
+            </div>` : `
             <div class="alert alert-warning mb-3">
                 <h5 class="alert-heading">⚠️ Unrecognized CSV Format</h5>
-                <p class="mb-1">Could not detect a supported format for <strong>${filename}</strong>.</p>
-                <p class="mb-0">Supported formats: <strong>EUC World</strong>, <strong>WheelLog</strong>, <strong>DarknessBot</strong></p>
-            </div>
+                <p class="mb-1">Could not detect a supported format for <strong>${escapeHTML(filename)}</strong>.</p>
+                <p class="mb-0">Supported formats: ${getSupportedFormatNames().map(name => `<strong>${name}</strong>`).join(', ')}</p>
+            </div>`}
+            ${file && detection ? buildFormatOverrideHTML(detection) : ''}
             <div class="card">
                 <div class="card-body">
                     <h6>File Diagnostic</h6>
@@ -2263,6 +4274,7 @@ function showUnknownFormatDiagnostic(csvContent, filename) {
                     ${rows.length > 0 ? `<strong>First ${rows.length} rows:</strong>${tableHTML}` : '<em>No data rows found</em>'}
                 </div>
             </div>
+            ${file && headers.length > 0 ? buildColumnMappingWizardHTML(headers, rows, filename) : ''}
             <div class="text-center mt-3">
                 <button class="btn map-style-btn" onclick="document.getElementById('csv-file-input').click()">
                     Try Another File
@@ -2271,76 +4283,22 @@ function showUnknownFormatDiagnostic(csvContent, filename) {
         </div>
     `;
 
-    // Update file info bar to reflect the failed load
-    document.getElementById('file-info').textContent = filename + ' — format not recognized';
-}
-
-/**
- * Filter data by time range
- * @param {Object} data - Original data
- * @param {number} startTime - Start time in milliseconds
- * @param {number} endTime - End time in milliseconds
- * @returns {Object} Filtered data
- */
-function filterDataByTimeRange(data, startTime, endTime) {
-
-    // Filter timestamps and find indices
-    const filteredIndices = [];
-    const filteredTimestamps = [];
-
-    for (let i = 0; i < data.timestamps.length; i++) {
-        const ts = data.timestamps[i];
-        if (ts >= startTime && ts <= endTime) {
-            filteredIndices.push(i);
-            filteredTimestamps.push(ts);
-        }
-    }
-
-    if (filteredIndices.length === 0) {
-        console.error('[TIME RANGE] No data points in selected range');
-        return null;
-    }
-
-
-    // Filter all series
-    const filteredSeries = {};
-    for (const [key, values] of Object.entries(data.series)) {
-        filteredSeries[key] = filteredIndices.map(i => values[i]);
-    }
-
-    // Filter GPS route
-    let filteredGPSRoute = { has_gps: false };
-    if (data.gpsRoute && data.gpsRoute.has_gps && data.gpsRoute.coordinates) {
-        const filteredCoordinates = filteredIndices.map(i => data.gpsRoute.coordinates[i]);
-        filteredGPSRoute = {
-            has_gps: true,
-            coordinates: filteredCoordinates
-        };
+    const loadAsFormatBtn = document.getElementById('load-as-format-btn');
+    if (loadAsFormatBtn) {
+        loadAsFormatBtn.addEventListener('click', () => {
+            const format = document.getElementById('format-override-select').value;
+            console.log(`[APP] Loading ${filename} as ${format} (user override)`);
+            loadAsFormat(csvContent, file, format, performance.now());
+        });
     }
 
-    // Filter chart groups
-    const filteredChartGroups = {};
-    for (const [groupKey, chartData] of Object.entries(data.chartGroups)) {
-        const filteredChartSeries = chartData.series.map(s => ({
-            ...s,
-            data: s.data ? filteredIndices.map(i => s.data[i]) : null
-        }));
-
-        filteredChartGroups[groupKey] = {
-            ...chartData,
-            timestamps: filteredTimestamps,
-            series: filteredChartSeries
-        };
+    const applyMappingBtn = document.getElementById('apply-column-mapping-btn');
+    if (applyMappingBtn) {
+        applyMappingBtn.addEventListener('click', () => applyColumnMappingWizard(csvContent, file, headers));
     }
 
-    return {
-        timestamps: filteredTimestamps,
-        series: filteredSeries,
-        gpsRoute: filteredGPSRoute,
-        chartGroups: filteredChartGroups,
-        metadata: data.metadata,
-        filteredIndices: filteredIndices
-    };
+    // Update file info bar to reflect the failed load
+    document.getElementById('file-info').textContent = filename + ' — format not recognized';
 }
 
 /**
@@ -2351,10 +4309,35 @@ function backToFileList() {
     // Clear current data
     currentData = null;
     originalData = null;
+    trimRows = null;
+    excludedIntervals = [];
+    renderExcludedIntervals();
+    viewHistory.clear();
+    mapViewSettings = null;
     rawParsedCSV = null;
+    currentCSVContent = null;
+    currentParseConfig = null;
     csvHeaders = null;
+    csvDelimiter = ',';
     currentFilename = null;
     loadedFromServer = false;
+    loadedFromLibrary = false;
+
+    // Hide track exports and GPX import until the next ride is loaded
+    document.getElementById('export-track-row').style.display = 'none';
+    document.getElementById('export-video-row').style.display = 'none';
+    if (gaugeRecording) {
+        gaugeRecording.cancel();
+    }
+    document.getElementById('gpx-import-row').style.display = 'none';
+    pendingGPXFile = null;
+    document.getElementById('ride-split-section').style.display = 'none';
+    detectedRides = null;
+    document.getElementById('compare-section').style.display = 'none';
+    comparisonRide = null;
+    ridePlayback.hide();
+    videoSync.reset();
+    gaugeDashboard.reset();
 
     // Reset diagnostic view
     document.getElementById('diagnostic-view-toggle').checked = false;
@@ -2394,6 +4377,12 @@ function backToFileList() {
 // Expose functions to global scope for inline event handlers
 window.loadCSVFromServer = loadCSVFromServer;
 window.backToFileList = backToFileList;
+window.openLibraryRide = openLibraryRide;
+window.openLocalFolder = openLocalFolder;
+window.closeLocalFolder = closeLocalFolder;
+window.loadCSVFromFolder = loadCSVFromFolder;
+window.deleteLibraryRide = deleteLibraryRide;
+window.deleteColumnMappingProfile = deleteColumnMappingProfile;
 
 // ==================== Footer Date/Time Update ====================
 
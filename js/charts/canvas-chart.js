@@ -6,6 +6,10 @@ window.CanvasDataAccessors = {
     // Generic numeric accessor (returns null for invalid values)
     _n: function(value) {
         return (value !== null && !isNaN(value)) ? parseFloat(value) : null;
+    },
+    // Row accessor for series data: RideColumn (processors/ride-columns.js) or plain array
+    at: function(data, index) {
+        return typeof data.get === 'function' ? data.get(index) : this._n(data[index]);
     }
 };
 
@@ -21,6 +25,11 @@ window.EUCCanvasChart = function(containerId, options = {}) {
     const OVERLAY_BOTTOM_OFFSET = 12;
     const DEFAULT_CONTAINER_WIDTH = 800;
     const GAP_DASH_PATTERN = [2, 2];
+    const MIN_ZOOM_MS = 5000;           // Narrowest visible time range
+    const DRAG_ZOOM_MIN_PX = 5;         // Shorter drags are clicks
+    const WHEEL_ZOOM_SPEED = 0.003;     // Zoom factor per wheel delta pixel (exponential)
+    const MAX_WHEEL_DELTA = 100;        // One mouse wheel notch
+    const LONG_PRESS_MS = 500;          // Touch hold that starts a brush selection
 
     let canvas, ctx;
     let targetCanvas, targetCtx;
@@ -48,6 +57,15 @@ window.EUCCanvasChart = function(containerId, options = {}) {
     let trimPreviewStart = null; // ms timestamp or null
     let trimPreviewEnd = null;   // ms timestamp or null
 
+    // Zoom/pan: visible time range in ms (null = whole chart). Only the view changes,
+    // never chartData; synchronized across charts through eucChartSync.syncZoom().
+    let zoomStart = null;
+    let zoomEnd = null;
+    let dragState = null;        // Drag in progress: { mode: 'zoom'|'pan'|'brush', startX, startDomain }
+    let pinchState = null;       // Two-finger pinch in progress: { distance, anchorTime, domain }
+    let suppressNextClick = false; // The click that ends a drag is not a chart click
+    let pendingZoomDraw = false;
+
     // Viewport optimization with level-of-detail rendering
     let viewportStart = 0;
     let viewportEnd = -1;
@@ -83,6 +101,27 @@ window.EUCCanvasChart = function(containerId, options = {}) {
      * @returns {number} Index of nearest data point
      */
     function findNearestDatetimeIndex(targetTimestamp) {
+        const arr = chartData.datetime;
+        const lo = findFirstDatetimeIndex(targetTimestamp);
+
+        // Check if previous point is closer
+        if (lo > 0) {
+            const currentTime = typeof arr[lo] === 'number' ? arr[lo] : new Date(arr[lo]).getTime();
+            const prevTime = typeof arr[lo - 1] === 'number' ? arr[lo - 1] : new Date(arr[lo - 1]).getTime();
+            if (Math.abs(prevTime - targetTimestamp) < Math.abs(currentTime - targetTimestamp)) {
+                return lo - 1;
+            }
+        }
+
+        return lo;
+    }
+
+    /**
+     * First datetime index at or after a timestamp (binary search; last index if none)
+     * @param {number} targetTimestamp - Timestamp in milliseconds
+     * @returns {number} Index
+     */
+    function findFirstDatetimeIndex(targetTimestamp) {
         const arr = chartData.datetime;
         let lo = 0, hi = arr.length - 1;
         while (lo < hi) {
@@ -94,17 +133,39 @@ window.EUCCanvasChart = function(containerId, options = {}) {
                 hi = mid;
             }
         }
+        return lo;
+    }
 
-        // Check if previous point is closer
-        if (lo > 0) {
-            const currentTime = typeof arr[lo] === 'number' ? arr[lo] : new Date(arr[lo]).getTime();
-            const prevTime = typeof arr[lo - 1] === 'number' ? arr[lo - 1] : new Date(arr[lo - 1]).getTime();
-            if (Math.abs(prevTime - targetTimestamp) < Math.abs(currentTime - targetTimestamp)) {
-                return lo - 1;
-            }
-        }
+    /**
+     * Time range of all chart data
+     * @returns {{ min: number, max: number }} Timestamps in milliseconds
+     */
+    function getDataTimeRange() {
+        return {
+            min: new Date(chartData.datetime[0]).getTime(),
+            max: new Date(chartData.datetime[chartData.datetime.length - 1]).getTime()
+        };
+    }
 
-        return lo;
+    /**
+     * Visible time range of the LINEAR TIME SCALE (zoomed range or all data)
+     * @returns {{ min: number, max: number, range: number }} Timestamps in milliseconds
+     */
+    function getTimeDomain() {
+        const full = getDataTimeRange();
+        const min = zoomStart !== null ? zoomStart : full.min;
+        const max = zoomEnd !== null ? zoomEnd : full.max;
+        return { min, max, range: max - min || 1 };
+    }
+
+    function timeToX(timestamp, domain) {
+        const dataWidth = chartWidth - marginLeft - marginRight;
+        return marginLeft + ((timestamp - domain.min) / domain.range) * dataWidth;
+    }
+
+    function xToTime(x, domain) {
+        const dataWidth = chartWidth - marginLeft - marginRight;
+        return domain.min + ((x - marginLeft) / dataWidth) * domain.range;
     }
 
     // Throttle mouse move events to max 60fps (16.67ms)
@@ -140,6 +201,7 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         axisLineColor: '',
         emptyTextColor: '',
         gapSegmentColor: '',
+        excludedColor: '',
         annotationBorderColor: '',
 
         ...options
@@ -159,6 +221,7 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         config.axisLineColor = style.getPropertyValue('--chart-axis-line').trim();
         config.emptyTextColor = style.getPropertyValue('--chart-empty-text').trim();
         config.gapSegmentColor = style.getPropertyValue('--chart-gap-segment').trim();
+        config.excludedColor = style.getPropertyValue('--chart-excluded').trim();
         config.annotationBorderColor = style.getPropertyValue('--chart-annotation-border').trim();
     }
 
@@ -196,6 +259,13 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         targetCanvas.addEventListener('mouseout', onCanvasMouseOut);
         targetCanvas.addEventListener('contextmenu', onCanvasContextMenu);
 
+        // Zoom/pan: drag to zoom, shift-drag to pan, Ctrl/⌘ + wheel (or trackpad pinch) to zoom, double-click to reset.
+        // Alt-drag (touch: long-press, then drag) brushes a trim range instead.
+        targetCanvas.addEventListener('mousedown', onCanvasMouseDown);
+        targetCanvas.addEventListener('wheel', onCanvasWheel, { passive: false });
+        targetCanvas.addEventListener('dblclick', onCanvasDoubleClick);
+        targetCanvas.addEventListener('click', onCanvasClick, true);
+
         // Touch event listeners for mobile drag-scrubbing
         targetCanvas.style.touchAction = 'pan-y';
         targetCanvas.addEventListener('touchstart', onCanvasTouchStart, { passive: true });
@@ -247,6 +317,7 @@ window.EUCCanvasChart = function(containerId, options = {}) {
 
     function onCanvasMouseMove(e) {
         if (!chartData || !chartData.datetime || chartData.datetime.length === 0) return;
+        if (dragState) return; // Drag handlers own the pointer
 
         // Throttle to 60fps max
         const now = performance.now();
@@ -279,16 +350,8 @@ window.EUCCanvasChart = function(containerId, options = {}) {
             targetCtx.drawImage(canvas, 0, 0);
             const canvasCopyTime = performance.now() - canvasCopyStart;
 
-            // LINEAR TIME SCALE: Calculate timestamp based on mouse position
-            const dataX = x - marginLeft;
-            const dataWidth = chartWidth - marginLeft - marginRight;
-            const dataRatio = dataX / dataWidth;
-
-            // Map X position to timestamp
-            const minTimestamp = new Date(chartData.datetime[0]).getTime();
-            const maxTimestamp = new Date(chartData.datetime[chartData.datetime.length - 1]).getTime();
-            const timeRange = maxTimestamp - minTimestamp;
-            const mouseTimestamp = minTimestamp + (dataRatio * timeRange);
+            // LINEAR TIME SCALE: Map X position to timestamp (within the zoomed range)
+            const mouseTimestamp = xToTime(x, getTimeDomain());
 
             // Find nearest data point to this timestamp using binary search
             const searchStart = performance.now();
@@ -349,29 +412,64 @@ window.EUCCanvasChart = function(containerId, options = {}) {
     let touchActive = false;
     let touchStartX = 0;
     let touchStartY = 0;
+    let longPressTimer = null;
+    let touchBrush = null; // Long-press brush in progress: { startX, startDomain }
+
+    function cancelLongPress() {
+        clearTimeout(longPressTimer);
+        longPressTimer = null;
+    }
 
     function onCanvasTouchStart(e) {
         if (!chartData || !chartData.datetime || chartData.datetime.length === 0) return;
+        cancelLongPress();
+        touchBrush = null;
+        if (e.touches.length === 2) {
+            startPinch(e.touches);
+            return;
+        }
         if (e.touches.length !== 1) return;
 
         const touch = e.touches[0];
         touchStartX = touch.clientX;
         touchStartY = touch.clientY;
         touchActive = false; // Will activate on first horizontal move
+
+        // Holding still starts a brush selection (the touch version of Alt + drag)
+        const rect = targetCanvas.getBoundingClientRect();
+        const x = touch.clientX - rect.left;
+        if (isInPlotArea(x, touch.clientY - rect.top)) {
+            longPressTimer = setTimeout(() => {
+                longPressTimer = null;
+                touchBrush = { startX: x, startDomain: getTimeDomain() };
+            }, LONG_PRESS_MS);
+        }
     }
 
     function onCanvasTouchMove(e) {
         if (!chartData || !chartData.datetime || chartData.datetime.length === 0) return;
+        if (e.touches.length === 2 && pinchState) {
+            e.preventDefault();
+            movePinch(e.touches);
+            return;
+        }
         if (e.touches.length !== 1) return;
 
         const touch = e.touches[0];
 
+        if (touchBrush) {
+            e.preventDefault();
+            brushTo(touchBrush, touch.clientX - targetCanvas.getBoundingClientRect().left);
+            return;
+        }
+
         // On first move, determine if gesture is horizontal (scrub) or vertical (scroll)
         if (!touchActive) {
             const dx = Math.abs(touch.clientX - touchStartX);
             const dy = Math.abs(touch.clientY - touchStartY);
             // Need at least 8px movement to decide direction
             if (dx < 8 && dy < 8) return;
+            cancelLongPress(); // Moved before the hold completed: scrub or scroll
             if (dx > dy) {
                 // Horizontal gesture — activate scrubbing
                 touchActive = true;
@@ -400,15 +498,8 @@ window.EUCCanvasChart = function(containerId, options = {}) {
 
             targetCtx.drawImage(canvas, 0, 0);
 
-            // LINEAR TIME SCALE: Calculate timestamp based on touch position
-            const dataX = x - marginLeft;
-            const dataWidth = chartWidth - marginLeft - marginRight;
-            const dataRatio = dataX / dataWidth;
-
-            const minTimestamp = new Date(chartData.datetime[0]).getTime();
-            const maxTimestamp = new Date(chartData.datetime[chartData.datetime.length - 1]).getTime();
-            const timeRange = maxTimestamp - minTimestamp;
-            const touchTimestamp = minTimestamp + (dataRatio * timeRange);
+            // LINEAR TIME SCALE: Map X position to timestamp (within the zoomed range)
+            const touchTimestamp = xToTime(x, getTimeDomain());
 
             // Find nearest data point using binary search
             selectedIndex = findNearestDatetimeIndex(touchTimestamp);
@@ -429,10 +520,222 @@ window.EUCCanvasChart = function(containerId, options = {}) {
     }
 
     function onCanvasTouchEnd(e) {
+        cancelLongPress();
+        touchBrush = null;
         if (touchActive) {
             // Keep the last selection visible (don't clear on touch end)
             touchActive = false;
         }
+        if (e.touches.length < 2) {
+            pinchState = null;
+        }
+    }
+
+    /**
+     * Start a two-finger pinch: remember the finger spread and the time under their midpoint
+     */
+    function startPinch(touches) {
+        const rect = targetCanvas.getBoundingClientRect();
+        const midX = (touches[0].clientX + touches[1].clientX) / 2 - rect.left;
+        const domain = getTimeDomain();
+        pinchState = {
+            distance: Math.max(1, Math.abs(touches[0].clientX - touches[1].clientX)),
+            anchorTime: xToTime(midX, domain),
+            domain
+        };
+        touchActive = false;
+    }
+
+    /**
+     * Zoom by the change in finger spread, keeping the anchor time under the fingers' midpoint
+     */
+    function movePinch(touches) {
+        const rect = targetCanvas.getBoundingClientRect();
+        const midX = (touches[0].clientX + touches[1].clientX) / 2 - rect.left;
+        const distance = Math.max(1, Math.abs(touches[0].clientX - touches[1].clientX));
+        const dataWidth = chartWidth - marginLeft - marginRight;
+        const range = pinchState.domain.range * (pinchState.distance / distance);
+        const start = pinchState.anchorTime - ((midX - marginLeft) / dataWidth) * range;
+        zoomTo(start, start + range);
+    }
+
+    /**
+     * Is the point inside the plot area (canvas coordinates)?
+     */
+    function isInPlotArea(x, y) {
+        return x > marginLeft && x < chartWidth - marginRight &&
+            y > marginTop && y < chartHeight - marginBottom;
+    }
+
+    function onCanvasMouseDown(e) {
+        if (!chartData || !chartData.datetime || chartData.datetime.length === 0) return;
+        suppressNextClick = false;
+        if (e.button !== 0) return;
+
+        const rect = targetCanvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        if (!isInPlotArea(x, y)) return;
+
+        e.preventDefault(); // No text selection while dragging
+        const mode = e.altKey ? 'brush' : e.shiftKey ? 'pan' : 'zoom';
+        dragState = { mode, startX: x, startDomain: getTimeDomain(), moved: false };
+        if (mode === 'pan') {
+            targetCanvas.style.cursor = 'grabbing';
+        } else if (mode === 'brush') {
+            targetCanvas.style.cursor = 'col-resize';
+        }
+        // Follow the drag outside the canvas until the button is released
+        window.addEventListener('mousemove', onDragMove);
+        window.addEventListener('mouseup', onDragEnd);
+    }
+
+    function onDragMove(e) {
+        const rect = targetCanvas.getBoundingClientRect();
+        const x = Math.max(marginLeft, Math.min(chartWidth - marginRight, e.clientX - rect.left));
+        if (Math.abs(x - dragState.startX) >= DRAG_ZOOM_MIN_PX) {
+            dragState.moved = true;
+        }
+        if (!dragState.moved) return;
+
+        if (dragState.mode === 'brush') {
+            brushTo(dragState, x);
+            return;
+        }
+
+        if (dragState.mode === 'pan') {
+            const { startDomain } = dragState;
+            const shift = xToTime(dragState.startX, startDomain) - xToTime(x, startDomain);
+            zoomTo(startDomain.min + shift, startDomain.max + shift);
+            return;
+        }
+
+        // Selection band for drag-to-zoom (display canvas only)
+        targetCtx.drawImage(canvas, 0, 0);
+        const left = Math.min(dragState.startX, x);
+        targetCtx.save();
+        targetCtx.fillStyle = 'rgba(0, 123, 255, 0.15)';
+        targetCtx.strokeStyle = 'rgba(0, 123, 255, 0.8)';
+        targetCtx.lineWidth = 1;
+        targetCtx.fillRect(left, marginTop, Math.abs(x - dragState.startX), chartHeight - marginTop - marginBottom);
+        targetCtx.strokeRect(left, marginTop, Math.abs(x - dragState.startX), chartHeight - marginTop - marginBottom);
+        targetCtx.restore();
+        dragState.currentX = x;
+    }
+
+    function onDragEnd() {
+        window.removeEventListener('mousemove', onDragMove);
+        window.removeEventListener('mouseup', onDragEnd);
+        const drag = dragState;
+        dragState = null;
+        if (!drag || !targetCanvas) return;
+        targetCanvas.style.cursor = 'crosshair';
+
+        if (drag.moved) {
+            suppressNextClick = true;
+            if (drag.mode === 'zoom' && drag.currentX !== undefined) {
+                const a = xToTime(drag.startX, drag.startDomain);
+                const b = xToTime(drag.currentX, drag.startDomain);
+                zoomTo(Math.min(a, b), Math.max(a, b));
+                return;
+            }
+        }
+        // Clear the selection band
+        targetCtx.drawImage(canvas, 0, 0);
+        if (selectedIndex > -1) {
+            drawSelection(selectedIndex);
+        }
+    }
+
+    /**
+     * Brush selection: report the span from the brush start to x through eucChartSync
+     * (app.js moves the trim slider, whose update shows the trim preview on all charts)
+     * @param {Object} brush - { startX, startDomain }
+     * @param {number} x - Current X position (canvas coordinates)
+     */
+    function brushTo(brush, x) {
+        const clampedX = Math.max(marginLeft, Math.min(chartWidth - marginRight, x));
+        if (Math.abs(clampedX - brush.startX) < DRAG_ZOOM_MIN_PX) return;
+
+        const a = xToTime(brush.startX, brush.startDomain);
+        const b = xToTime(clampedX, brush.startDomain);
+        if (window.eucChartSync && typeof window.eucChartSync.syncRangeSelect === 'function') {
+            window.eucChartSync.syncRangeSelect({ start: Math.min(a, b), end: Math.max(a, b) }, containerId);
+        }
+    }
+
+    function onCanvasClick(e) {
+        // Capture phase: keep a drag's closing click from reaching chart click handlers
+        if (suppressNextClick) {
+            suppressNextClick = false;
+            e.stopPropagation();
+        }
+    }
+
+    function onCanvasWheel(e) {
+        if (!chartData || !chartData.datetime || chartData.datetime.length === 0) return;
+        // A plain wheel scrolls the page; Ctrl/⌘ + wheel (also sent by trackpad pinch) zooms
+        if (!e.ctrlKey && !e.metaKey) return;
+
+        const rect = targetCanvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        if (!isInPlotArea(x, y)) return;
+        e.preventDefault();
+
+        const delta = e.deltaMode === 1 ? e.deltaY * 40 : e.deltaY; // Lines → pixels
+        const factor = Math.exp(Math.max(-MAX_WHEEL_DELTA, Math.min(MAX_WHEEL_DELTA, delta)) * WHEEL_ZOOM_SPEED);
+        const domain = getTimeDomain();
+        const anchor = xToTime(x, domain);
+        zoomTo(anchor - (anchor - domain.min) * factor, anchor + (domain.max - anchor) * factor);
+    }
+
+    function onCanvasDoubleClick() {
+        if (zoomStart !== null) {
+            zoomTo(null, null);
+        }
+    }
+
+    /**
+     * Show a time range (clamped to the data, at least MIN_ZOOM_MS wide); null shows all data
+     * @param {number|null} start - Range start in ms
+     * @param {number|null} end - Range end in ms
+     * @param {boolean} broadcast - Tell the other charts (false when the change came from them)
+     */
+    function zoomTo(start, end, broadcast = true) {
+        if (!chartData || !chartData.datetime || chartData.datetime.length === 0) return;
+        const full = getDataTimeRange();
+        const fullRange = full.max - full.min;
+
+        if (start === null || end === null || fullRange <= MIN_ZOOM_MS || end - start >= fullRange) {
+            zoomStart = null;
+            zoomEnd = null;
+        } else {
+            const range = Math.max(MIN_ZOOM_MS, end - start);
+            const center = (start + end) / 2;
+            zoomStart = Math.max(full.min, Math.min(full.max - range, center - range / 2));
+            zoomEnd = zoomStart + range;
+        }
+
+        scheduleZoomDraw();
+        if (broadcast && window.eucChartSync && typeof window.eucChartSync.syncZoom === 'function') {
+            window.eucChartSync.syncZoom(zoomStart !== null ? { start: zoomStart, end: zoomEnd } : null, containerId);
+        }
+    }
+
+    /**
+     * Redraw after a zoom/pan on the next animation frame (collapses bursts of wheel and drag events)
+     */
+    function scheduleZoomDraw() {
+        if (!pendingZoomDraw) {
+            pendingZoomDraw = true;
+            requestAnimationFrame(() => {
+                pendingZoomDraw = false;
+                if (canvas && chartData) {
+                    draw();
+                }
+            });
+        }
     }
 
     function onWindowResize() {
@@ -837,8 +1140,14 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         // Draw Y-axis titles and labels
         drawAxes();
 
+        // Shade time cut out of the ride
+        drawExcludedIntervals();
+
         // Draw data series with viewport optimization
         drawSeries();
+
+        // Draw join lines of merged logs
+        drawJoinMarkers();
         
         // Draw overlay markers at Y=0
         drawOverlayMarkers();
@@ -857,19 +1166,17 @@ window.EUCCanvasChart = function(containerId, options = {}) {
     
     function updateViewport() {
         const dataLength = chartData.datetime.length;
-        isLargeDataset = dataLength > maxRenderPoints;
-        
-        if (isLargeDataset) {
-            // For large datasets, implement simple downsampling
-            const step = Math.ceil(dataLength / maxRenderPoints);
-            viewportStart = 0;
-            viewportEnd = dataLength;
-            
-            // Could be enhanced with time-based viewport or zoom level
-        } else {
-            viewportStart = 0;
-            viewportEnd = dataLength;
+        viewportStart = 0;
+        viewportEnd = dataLength;
+
+        if (zoomStart !== null) {
+            // Rows in the zoomed range plus one on each side, so lines run to the plot edges
+            viewportStart = Math.max(0, findFirstDatetimeIndex(zoomStart) - 1);
+            viewportEnd = Math.min(dataLength, findFirstDatetimeIndex(zoomEnd) + 1);
         }
+
+        // Downsample only what is visible (zooming in brings back full detail)
+        isLargeDataset = viewportEnd - viewportStart > maxRenderPoints;
     }
     
     function getOptimizedDataIndices() {
@@ -1015,7 +1322,7 @@ window.EUCCanvasChart = function(containerId, options = {}) {
     /**
      * Calculate axis range for a set of series.
      * Handles percentage charts (0-100), orientation charts (symmetric zero-centered),
-     * and dynamic scaling.
+     * and dynamic scaling (fitted to the visible rows when zoomed).
      * @param {Array} seriesArray - Array of series objects with .data arrays
      * @param {boolean} applySymmetric - Whether to apply symmetric scaling for orientation charts
      * @returns {{ min: number, max: number, range: number }}
@@ -1030,8 +1337,9 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         for (let s = 0; s < seriesArray.length; s++) {
             const seriesData = seriesArray[s].data;
             if (!seriesData) continue;
-            for (let i = 0; i < seriesData.length; i++) {
-                const value = window.CanvasDataAccessors._n(seriesData[i]);
+            const end = Math.min(viewportEnd, seriesData.length);
+            for (let i = viewportStart; i < end; i++) {
+                const value = window.CanvasDataAccessors.at(seriesData, i);
                 if (value !== null) {
                     hasValues = true;
                     if (value < min) min = value;
@@ -1095,10 +1403,10 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         const dataWidth = chartWidth - marginLeft - marginRight;
         const numLabels = X_AXIS_LABEL_COUNT;
 
-        // LINEAR TIME SCALE: Calculate evenly spaced time intervals
-        const minTimestamp = new Date(chartData.datetime[0]).getTime();
-        const maxTimestamp = new Date(chartData.datetime[chartData.datetime.length - 1]).getTime();
-        const timeRange = maxTimestamp - minTimestamp;
+        // LINEAR TIME SCALE: Calculate evenly spaced time intervals (within the zoomed range)
+        const domain = getTimeDomain();
+        const minTimestamp = domain.min;
+        const timeRange = domain.max - domain.min;
 
         // Check if distance data is available
         const hasDistanceData = chartData.distance && chartData.distance.length === chartData.datetime.length;
@@ -1108,16 +1416,7 @@ window.EUCCanvasChart = function(containerId, options = {}) {
             const labelTimestamp = minTimestamp + (i * timeRange / (numLabels - 1));
 
             // Find nearest data point to this timestamp
-            let nearestIndex = 0;
-            let nearestDiff = Infinity;
-            for (let j = 0; j < chartData.datetime.length; j++) {
-                const pointTimestamp = new Date(chartData.datetime[j]).getTime();
-                const diff = Math.abs(pointTimestamp - labelTimestamp);
-                if (diff < nearestDiff) {
-                    nearestDiff = diff;
-                    nearestIndex = j;
-                }
-            }
+            const nearestIndex = findNearestDatetimeIndex(labelTimestamp);
 
             // Format timestamp for display
             const date = new Date(labelTimestamp);
@@ -1137,7 +1436,7 @@ window.EUCCanvasChart = function(containerId, options = {}) {
 
             // Draw distance labels (secondary scale) at top if available
             if (hasDistanceData) {
-                const distance = chartData.distance[nearestIndex];
+                const distance = window.CanvasDataAccessors.at(chartData.distance, nearestIndex);
                 if (distance !== null && distance !== undefined) {
                     const distanceLabel = `${distance.toFixed(1)}km`;
 
@@ -1214,12 +1513,13 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         ctx.lineWidth = series.width || config.lineWidth;
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
-        ctx.setLineDash([]);
+        // Dashed series (e.g. a comparison ride) carry their own dash pattern
+        ctx.setLineDash(series.dash || []);
 
-        // Calculate time range for linear time scale
-        const minTimestamp = new Date(chartData.datetime[0]).getTime();
-        const maxTimestamp = new Date(chartData.datetime[dataLength - 1]).getTime();
-        const timeRange = maxTimestamp - minTimestamp || 1; // Avoid division by zero
+        // Calculate time range for linear time scale (zoomed range; clipped to the plot area)
+        const domain = getTimeDomain();
+        const minTimestamp = domain.min;
+        const timeRange = domain.range;
 
         // Get optimized indices for viewport rendering
         const indices = getOptimizedDataIndices();
@@ -1230,9 +1530,13 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         let hasValidPoint = false;
         let lastX = -1, lastY = -1;
 
+        // Join times of a merged ride (ascending); a line crossing one is drawn as a gap
+        const joins = chartData.joins || [];
+        let joinIdx = 0;
+
         for (let idx = 0; idx < indices.length; idx++) {
             const i = indices[idx];
-            const value = window.CanvasDataAccessors._n(series.data[i]);
+            const value = window.CanvasDataAccessors.at(series.data, i);
 
             if (value !== null) {
                 // LINEAR TIME SCALE: X position based on actual timestamp
@@ -1241,13 +1545,19 @@ window.EUCCanvasChart = function(containerId, options = {}) {
                 const x = marginLeft + (timeOffset / timeRange) * dataWidth;
                 const y = marginTop + dataHeight - ((value - minVal) * ppy);
 
+                let crossesJoin = false;
+                while (joinIdx < joins.length && joins[joinIdx] <= timestamp) {
+                    crossesJoin = true;
+                    joinIdx++;
+                }
+
                 if (!hasValidPoint) {
                     mainPath.moveTo(x, y);
                     hasValidPoint = true;
                 } else {
                     // Check for data gaps
                     const prevIdx = idx > 0 ? indices[idx - 1] : i - 1;
-                    if (prevIdx >= 0 && window.CanvasDataAccessors._n(series.data[prevIdx]) === null) {
+                    if (crossesJoin || (prevIdx >= 0 && window.CanvasDataAccessors.at(series.data, prevIdx) === null)) {
                         // Collect gap segment for later batch drawing
                         const gapPath = new Path2D();
                         gapPath.moveTo(lastX, lastY);
@@ -1291,10 +1601,10 @@ window.EUCCanvasChart = function(containerId, options = {}) {
 
         ctx.fillStyle = fillStyle;
 
-        // Calculate time range for linear time scale
-        const minTimestamp = new Date(chartData.datetime[0]).getTime();
-        const maxTimestamp = new Date(chartData.datetime[dataLength - 1]).getTime();
-        const timeRange = maxTimestamp - minTimestamp || 1; // Avoid division by zero
+        // Calculate time range for linear time scale (zoomed range; clipped to the plot area)
+        const domain = getTimeDomain();
+        const minTimestamp = domain.min;
+        const timeRange = domain.range;
 
         const fillPath = new Path2D();
         let firstPoint = true;
@@ -1306,7 +1616,7 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         const indices = getOptimizedDataIndices();
         for (let idx = 0; idx < indices.length; idx++) {
             const i = indices[idx];
-            const value = window.CanvasDataAccessors._n(series.data[i]);
+            const value = window.CanvasDataAccessors.at(series.data, i);
             if (value !== null) {
                 // LINEAR TIME SCALE: X position based on actual timestamp
                 const timestamp = new Date(chartData.datetime[i]).getTime();
@@ -1334,7 +1644,6 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         if (!chartData || !chartData.series || chartData.series.length === 0) return;
         
         const dataWidth = chartWidth - marginLeft - marginRight;
-        const dataLength = chartData.datetime.length;
         
         // Define positioning: MAX at top, MIN at bottom
         const topY = marginTop + OVERLAY_TOP_OFFSET; // Push MAX icons above chart area
@@ -1342,13 +1651,15 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         
         // Find max values and their indices
         const maxValues = findMaxValues();
+        const domain = getTimeDomain();
         
         // Draw each overlay marker if enabled
         Object.keys(maxValues).forEach(overlayKey => {
             if (!overlayState[overlayKey] || !maxValues[overlayKey]) return;
             
             const maxData = maxValues[overlayKey];
-            const x = marginLeft + (maxData.index * dataWidth / (dataLength - 1));
+            const x = timeToX(new Date(chartData.datetime[maxData.index]).getTime(), domain);
+            if (x < marginLeft || x > marginLeft + dataWidth) return; // Zoomed out of view
             
             // Get overlay control config for styling
             const control = overlayControls.find(c => c.key === overlayKey);
@@ -1492,7 +1803,7 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         let maxIndex = -1;
         
         for (let i = 0; i < series.data.length; i++) {
-            const value = window.CanvasDataAccessors._n(series.data[i]);
+            const value = window.CanvasDataAccessors.at(series.data, i);
             if (value !== null && value > maxValue) {
                 maxValue = value;
                 maxIndex = i;
@@ -1509,7 +1820,7 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         let minIndex = -1;
         
         for (let i = 0; i < series.data.length; i++) {
-            const value = window.CanvasDataAccessors._n(series.data[i]);
+            const value = window.CanvasDataAccessors.at(series.data, i);
             if (value !== null && value < minValue) {
                 minValue = value;
                 minIndex = i;
@@ -1574,6 +1885,56 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         ctx.restore();
     }
     
+    /**
+     * Draw a dashed vertical line at each join of a merged ride (where one log ends
+     * and the next begins). chartData.joins holds the join times in ms.
+     */
+    function drawJoinMarkers() {
+        const joins = chartData.joins;
+        if (!joins || joins.length === 0) return;
+
+        const { min: minTs, max: maxTs } = getDataTimeRange();
+        const domain = getTimeDomain();
+
+        ctx.save();
+        ctx.strokeStyle = config.gapSegmentColor;
+        ctx.lineWidth = 1;
+        ctx.setLineDash(GAP_DASH_PATTERN);
+        for (const joinTime of joins) {
+            if (joinTime <= minTs || joinTime > maxTs) continue;
+            if (joinTime < domain.min || joinTime > domain.max) continue; // Zoomed out of view
+            const x = timeToX(joinTime, domain);
+            ctx.beginPath();
+            ctx.moveTo(x, marginTop);
+            ctx.lineTo(x, chartHeight - marginBottom);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Shade the intervals cut out of the middle of the ride (no rows there; the line
+     * crosses them as a gap). chartData.excluded holds [{ start, end }] in ms.
+     */
+    function drawExcludedIntervals() {
+        const excluded = chartData.excluded;
+        if (!excluded || excluded.length === 0) return;
+
+        const domain = getTimeDomain();
+        const dataHeight = chartHeight - marginTop - marginBottom;
+        const clampX = x => Math.max(marginLeft, Math.min(chartWidth - marginRight, x));
+
+        ctx.save();
+        ctx.fillStyle = config.excludedColor;
+        for (const interval of excluded) {
+            if (interval.end < domain.min || interval.start > domain.max) continue; // Zoomed out of view
+            const left = clampX(timeToX(interval.start, domain));
+            const right = clampX(timeToX(interval.end, domain));
+            ctx.fillRect(left, marginTop, right - left, dataHeight);
+        }
+        ctx.restore();
+    }
+
     /**
      * Draw semi-transparent overlay on areas outside the trim range.
      * Called during draw() so it's part of the offscreen canvas render.
@@ -1584,17 +1945,17 @@ window.EUCCanvasChart = function(containerId, options = {}) {
 
         const dataWidth = chartWidth - marginLeft - marginRight;
         const dataHeight = chartHeight - marginTop - marginBottom;
-        const minTs = new Date(chartData.datetime[0]).getTime();
-        const maxTs = new Date(chartData.datetime[chartData.datetime.length - 1]).getTime();
-        const timeRange = maxTs - minTs || 1;
+        const { min: minTs, max: maxTs } = getDataTimeRange();
+        const domain = getTimeDomain();
 
         // Snap trim edges to chart data edges when within 1s (slider truncates ms to whole seconds)
         const effectiveStart = Math.abs(trimPreviewStart - minTs) <= 1000 ? minTs : trimPreviewStart;
         const effectiveEnd = Math.abs(trimPreviewEnd - maxTs) <= 1000 ? maxTs : trimPreviewEnd;
 
         // Convert trim timestamps to X pixel positions (clamped to plot area)
-        const trimLeftX = marginLeft + Math.max(0, (effectiveStart - minTs) / timeRange) * dataWidth;
-        const trimRightX = marginLeft + Math.min(1, (effectiveEnd - minTs) / timeRange) * dataWidth;
+        const clampX = x => Math.max(marginLeft, Math.min(marginLeft + dataWidth, x));
+        const trimLeftX = clampX(timeToX(effectiveStart, domain));
+        const trimRightX = clampX(timeToX(effectiveEnd, domain));
 
         ctx.save();
         ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
@@ -1618,12 +1979,12 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         const dataWidth = chartWidth - marginLeft - marginRight;
 
         // LINEAR TIME SCALE: Calculate X position based on timestamp
-        const minTimestamp = new Date(chartData.datetime[0]).getTime();
-        const maxTimestamp = new Date(chartData.datetime[chartData.datetime.length - 1]).getTime();
-        const timeRange = maxTimestamp - minTimestamp || 1;
+        const domain = getTimeDomain();
         const currentTimestamp = new Date(chartData.datetime[index]).getTime();
-        const timeOffset = currentTimestamp - minTimestamp;
+        const timeOffset = currentTimestamp - domain.min;
+        const timeRange = domain.range;
         const x = marginLeft + (timeOffset / timeRange) * dataWidth;
+        if (x < marginLeft || x > marginLeft + dataWidth) return; // Cursor is zoomed out of view
 
         // Debug: Show vertical line positioning calculation
         const percentage = (timeOffset / timeRange) * 100;
@@ -1674,9 +2035,10 @@ window.EUCCanvasChart = function(containerId, options = {}) {
         const annotations = [];
         chartData.series.forEach(series => {
             if (!series.data) return;
-            const value = window.CanvasDataAccessors._n(series.data[index]);
+            const value = window.CanvasDataAccessors.at(series.data, index);
             if (value !== null) {
-                const positionIndex = seriesPositionMap[series.name];
+                // Comparison series share the slot of the series they compare with
+                const positionIndex = seriesPositionMap[series.comparisonOf || series.name];
                 if (positionIndex !== undefined) {
                     targetCtx.font = `bold ${fontSize}px ${config.fontFamily}`;
                     const nameWidth = targetCtx.measureText(series.name).width;
@@ -1887,6 +2249,8 @@ window.EUCCanvasChart = function(containerId, options = {}) {
                 console.log(`[CANVAS] ${containerId} data contains: ${data.datetime?.length || 0} points, ${data.series?.length || 0} series`);
             }
             chartData = data;
+            zoomStart = null; // New data starts unzoomed
+            zoomEnd = null;
             
             // Initialize overlay state for available data (but don't create UI controls)
             if (chartData) {
@@ -1955,6 +2319,19 @@ window.EUCCanvasChart = function(containerId, options = {}) {
             draw();
         },
 
+        // Zoom/pan from another chart (eucChartSync.syncZoom): { start, end } in ms, or null for all data
+        setZoom: function(range) {
+            zoomTo(range ? range.start : null, range ? range.end : null, false);
+        },
+
+        resetZoom: function() {
+            zoomTo(null, null);
+        },
+
+        getZoom: function() {
+            return zoomStart !== null ? { start: zoomStart, end: zoomEnd } : null;
+        },
+
         destroy: function() {
             window.removeEventListener('resize', onWindowResize);
             if (targetCanvas && targetCanvas.parentNode) {
@@ -2154,10 +2531,18 @@ window.EUCCanvasChart = function(containerId, options = {}) {
                 targetCanvas.removeEventListener('mousemove', onCanvasMouseMove);
                 targetCanvas.removeEventListener('mouseout', onCanvasMouseOut);
                 targetCanvas.removeEventListener('contextmenu', onCanvasContextMenu);
+                targetCanvas.removeEventListener('mousedown', onCanvasMouseDown);
+                targetCanvas.removeEventListener('wheel', onCanvasWheel);
+                targetCanvas.removeEventListener('dblclick', onCanvasDoubleClick);
+                targetCanvas.removeEventListener('click', onCanvasClick, true);
                 targetCanvas.removeEventListener('touchstart', onCanvasTouchStart);
                 targetCanvas.removeEventListener('touchmove', onCanvasTouchMove);
                 targetCanvas.removeEventListener('touchend', onCanvasTouchEnd);
             }
+            window.removeEventListener('mousemove', onDragMove);
+            window.removeEventListener('mouseup', onDragEnd);
+            dragState = null;
+            cancelLongPress();
 
             // Clean up overlay controls
             cleanupOverlayControls();
@@ -0,0 +1,162 @@
+/**
+ * CSV Worker Client
+ * Starts CSV processing jobs in js/workers/csv-worker.js and unpacks the results.
+ * Falls back to running the same pipeline on the main thread when workers
+ * (or dynamic import inside workers) are not available.
+ */
+
+import { runCSVPipeline } from './processors/csv-pipeline.js';
+import { packTransferable } from './processors/ride-transfer.js';
+import { buildRideSummary } from './ride-stats.js';
+
+const WORKER_URL = new URL('./workers/csv-worker.js', import.meta.url);
+
+let nextJobId = 1;
+
+// Set once a worker could not start, so later jobs know they would run on the main thread
+let workersFailed = false;
+
+/**
+ * @returns {boolean} False when jobs run on the main thread (no Web Workers, or they failed to start)
+ */
+export function canUseWorkers() {
+    return typeof Worker !== 'undefined' && !workersFailed;
+}
+
+/**
+ * Run the pipeline on the main thread (fallback)
+ * Deferred one frame so the loading overlay can paint first. Once started it runs to
+ * completion (it blocks the page, so a Cancel click is only seen afterwards); a job
+ * cancelled before that is not run.
+ * @param {string|Array<string>} csvContent - Raw CSV content
+ * @param {Object} job - Job description
+ * @param {Function} onProgress - Progress callback
+ * @param {Function} isCancelled - Returns true once the job was cancelled
+ * @returns {Promise<Object>} Packed result (same shape as the worker's)
+ */
+function runInline(csvContent, job, onProgress, isCancelled) {
+    return new Promise((resolve, reject) => {
+        setTimeout(() => {
+            if (isCancelled()) return;
+            try {
+                const result = runCSVPipeline(csvContent, job, onProgress);
+                if (job.summaryOnly) {
+                    const { processedData } = result;
+                    resolve({ summary: buildRideSummary(processedData, processedData.rideStats) });
+                    return;
+                }
+                resolve(packTransferable(result).payload);
+            } catch (error) {
+                reject(error);
+            }
+        }, 0);
+    });
+}
+
+/**
+ * Start a CSV processing job
+ * @param {string|Array<string>} csvContent - Raw CSV content (one per log for a merged ride)
+ * @param {Object} job - { format } or { profile }, plus filename (filenames for a merged ride), flipPWM
+ *   and summaryOnly (resolve with { summary } from buildRideSummary instead of the ride)
+ * @param {Function} onProgress - Called with { stage, percent }; stage 'main-thread' when the job
+ *   falls back to the main thread, where it can no longer be cancelled once running
+ * @param {Object} options
+ * @param {boolean} options.allowMainThread - When false, reject with error.noWorker === true
+ *   instead of falling back to the main thread (background work that must not block the page)
+ * @returns {Object} { promise, cancel } - promise resolves with the packed result
+ *   (see ride-transfer.js), rejects with error.cancelled === true when cancelled
+ */
+export function startCSVJob(csvContent, job, onProgress = () => {}, { allowMainThread = true } = {}) {
+    const id = nextJobId++;
+    let worker = null;
+    let settled = false;
+    let rejectJob = null;
+
+    const promise = new Promise((resolve, reject) => {
+        rejectJob = reject;
+
+        const finish = (fn, value) => {
+            if (settled) return;
+            settled = true;
+            if (worker) {
+                worker.terminate();
+                worker = null;
+            }
+            fn(value);
+        };
+
+        const fallback = (reason) => {
+            if (settled) return;
+            workersFailed = true;
+            if (worker) {
+                worker.terminate();
+                worker = null;
+            }
+            if (!allowMainThread) {
+                const error = new Error(`Web Workers unavailable: ${reason}`);
+                error.noWorker = true;
+                finish(reject, error);
+                return;
+            }
+            console.warn('[CSV WORKER] Falling back to main thread:', reason);
+            onProgress({ stage: 'main-thread', percent: 0 });
+            runInline(csvContent, job, onProgress, () => settled).then(
+                result => finish(resolve, result),
+                error => finish(reject, error)
+            );
+        };
+
+        if (typeof Worker === 'undefined') {
+            fallback('Web Workers not supported');
+            return;
+        }
+
+        try {
+            worker = new Worker(WORKER_URL);
+        } catch (error) {
+            fallback(error.message);
+            return;
+        }
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.id !== id) return;
+
+            if (message.type === 'progress') {
+                onProgress({ stage: message.stage, percent: message.percent });
+            } else if (message.type === 'done') {
+                finish(resolve, message.result);
+            } else if (message.type === 'error') {
+                if (message.boot) {
+                    fallback(message.message);
+                } else {
+                    finish(reject, new Error(message.message));
+                }
+            }
+        };
+
+        // Script-level failures (e.g. importScripts) surface here, before any message
+        worker.onerror = (event) => {
+            event.preventDefault();
+            fallback(event.message || 'worker error');
+        };
+
+        worker.postMessage({ id, csvContent, job });
+    });
+
+    return {
+        promise,
+        cancel() {
+            if (settled) return;
+            settled = true;
+            if (worker) {
+                worker.terminate();
+                worker = null;
+            }
+            const error = new Error('Processing cancelled');
+            error.cancelled = true;
+            rejectJob(error);
+            console.log(`[CSV WORKER] Job ${id} cancelled`);
+        }
+    };
+}
@@ -0,0 +1,257 @@
+/**
+ * FIT Activity Encoder
+ * Minimal binary encoder for Garmin FIT activity files (protocol 1.0, little endian):
+ * file_id, timer events, one record per sample, one lap, one session and the activity
+ * message. Field numbers, scales and base types follow the FIT SDK profile.
+ *
+ * @module fit-encoder
+ */
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET_S = 631065600;
+const SEMICIRCLES_PER_DEGREE = 2 ** 31 / 180;
+const PROFILE_VERSION = 2132;
+
+// Base types: [id, size, invalid value]
+const BASE_TYPES = {
+    enum: [0x00, 1, 0xFF],
+    uint8: [0x02, 1, 0xFF],
+    uint16: [0x84, 2, 0xFFFF],
+    sint32: [0x85, 4, 0x7FFFFFFF],
+    uint32: [0x86, 4, 0xFFFFFFFF],
+    uint32z: [0x8C, 4, 0]
+};
+
+// Global message numbers
+const MESG = { file_id: 0, session: 18, lap: 19, record: 20, event: 21, activity: 34 };
+
+// Enum values used below
+const FILE_ACTIVITY = 4;
+const MANUFACTURER_DEVELOPMENT = 255;
+const EVENT = { timer: 0, session: 8, lap: 9, activity: 26 };
+const EVENT_TYPE = { start: 0, stop: 1, stop_all: 4 };
+export const FIT_SPORT = { generic: 0, cycling: 2, e_biking: 21 };
+
+// Message layouts: [field name, field number, base type]
+const LAYOUTS = {
+    file_id: [['type', 0, 'enum'], ['manufacturer', 1, 'uint16'], ['product', 2, 'uint16'],
+        ['serial_number', 3, 'uint32z'], ['time_created', 4, 'uint32']],
+    event: [['timestamp', 253, 'uint32'], ['event', 0, 'enum'], ['event_type', 1, 'enum']],
+    record: [['timestamp', 253, 'uint32'], ['position_lat', 0, 'sint32'], ['position_long', 1, 'sint32'],
+        ['altitude', 2, 'uint16'], ['distance', 5, 'uint32'], ['speed', 6, 'uint16'], ['power', 7, 'uint16']],
+    lap: [['timestamp', 253, 'uint32'], ['event', 0, 'enum'], ['event_type', 1, 'enum'], ['start_time', 2, 'uint32'],
+        ['total_elapsed_time', 7, 'uint32'], ['total_timer_time', 8, 'uint32'], ['total_distance', 9, 'uint32'],
+        ['avg_speed', 13, 'uint16'], ['max_speed', 14, 'uint16'], ['avg_power', 19, 'uint16'], ['max_power', 20, 'uint16']],
+    session: [['timestamp', 253, 'uint32'], ['event', 0, 'enum'], ['event_type', 1, 'enum'], ['start_time', 2, 'uint32'],
+        ['sport', 5, 'enum'], ['sub_sport', 6, 'enum'], ['total_elapsed_time', 7, 'uint32'], ['total_timer_time', 8, 'uint32'],
+        ['total_distance', 9, 'uint32'], ['avg_speed', 14, 'uint16'], ['max_speed', 15, 'uint16'],
+        ['avg_power', 20, 'uint16'], ['max_power', 21, 'uint16'], ['first_lap_index', 25, 'uint16'], ['num_laps', 26, 'uint16']],
+    activity: [['timestamp', 253, 'uint32'], ['total_timer_time', 0, 'uint32'], ['num_sessions', 1, 'uint16'],
+        ['type', 2, 'enum'], ['event', 3, 'enum'], ['event_type', 4, 'enum'], ['local_timestamp', 5, 'uint32']]
+};
+
+const CRC_TABLE = [
+    0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+    0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+];
+
+/**
+ * FIT CRC-16
+ * @param {Uint8Array} bytes
+ * @param {number} start - First byte (inclusive)
+ * @param {number} end - Last byte (exclusive)
+ * @returns {number} CRC
+ */
+export function fitCRC(bytes, start = 0, end = bytes.length) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        const byte = bytes[i];
+        let tmp = CRC_TABLE[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF];
+        tmp = CRC_TABLE[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF];
+    }
+    return crc;
+}
+
+/**
+ * Unix milliseconds → FIT timestamp (seconds since the FIT epoch)
+ * @param {number} ms
+ * @returns {number}
+ */
+export function toFITTime(ms) {
+    return Math.floor(ms / 1000) - FIT_EPOCH_OFFSET_S;
+}
+
+/**
+ * Growable little-endian byte writer
+ */
+class ByteWriter {
+    constructor(capacity = 4096) {
+        this.bytes = new Uint8Array(capacity);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+        this.view = new DataView(grown.buffer);
+    }
+
+    write(type, value) {
+        const [, size] = BASE_TYPES[type];
+        this.ensure(size);
+        if (size === 1) this.view.setUint8(this.length, value);
+        else if (size === 2) this.view.setUint16(this.length, value, true);
+        else if (type === 'sint32') this.view.setInt32(this.length, value, true);
+        else this.view.setUint32(this.length, value, true);
+        this.length += size;
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * Clamp and round a scaled value into a base type's range (null → invalid value)
+ * @param {number|null} value - Already scaled value
+ * @param {string} type - Base type name
+ * @returns {number}
+ */
+function encodeValue(value, type) {
+    const invalid = BASE_TYPES[type][2];
+    if (value === null || value === undefined || !Number.isFinite(value)) return invalid;
+    const rounded = Math.round(value);
+    if (type === 'sint32') return Math.max(-0x7FFFFFFF, Math.min(0x7FFFFFFE, rounded));
+    // Keep valid values off the invalid marker
+    const max = type === 'uint32z' ? 0xFFFFFFFF : invalid - 1;
+    return Math.max(0, Math.min(max, rounded));
+}
+
+/**
+ * Encode an activity as a FIT file
+ * @param {Array} samples - From buildActivitySamples() (time ms, lat/lon deg, ele m, distance m, speed m/s, power W)
+ * @param {Object} options
+ * @param {number} options.sport - FIT sport enum (FIT_SPORT)
+ * @returns {Uint8Array} FIT file bytes
+ */
+export function encodeFITActivity(samples, { sport = FIT_SPORT.e_biking } = {}) {
+    if (samples.length === 0) {
+        throw new Error('No samples to encode');
+    }
+
+    const writer = new ByteWriter(64 + samples.length * 32);
+    writer.length = 14; // File header is written last, once the data size is known
+
+    const localTypes = {};
+    const writeMessage = (name, values) => {
+        const layout = LAYOUTS[name];
+        if (!(name in localTypes)) {
+            // Definition message: header, reserved, architecture, global number, field definitions
+            const local = Object.keys(localTypes).length;
+            localTypes[name] = local;
+            writer.write('uint8', 0x40 | local);
+            writer.write('uint8', 0);
+            writer.write('uint8', 0);
+            writer.write('uint16', MESG[name]);
+            writer.write('uint8', layout.length);
+            for (const [, fieldNum, type] of layout) {
+                writer.write('uint8', fieldNum);
+                writer.write('uint8', BASE_TYPES[type][1]);
+                writer.write('uint8', BASE_TYPES[type][0]);
+            }
+        }
+        writer.write('uint8', localTypes[name]);
+        for (const [field, , type] of layout) {
+            writer.write(type, encodeValue(values[field], type));
+        }
+    };
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const startTime = toFITTime(first.time);
+    const endTime = toFITTime(last.time);
+    const elapsedMs = Math.max(0, last.time - first.time);
+
+    let speedSum = 0, speedCount = 0, maxSpeed = null;
+    let powerSum = 0, powerCount = 0, maxPower = null;
+    for (const s of samples) {
+        if (s.speed !== null) {
+            speedSum += s.speed;
+            speedCount++;
+            maxSpeed = Math.max(maxSpeed ?? 0, s.speed);
+        }
+        if (s.power !== null) {
+            powerSum += Math.max(0, s.power);
+            powerCount++;
+            maxPower = Math.max(maxPower ?? 0, s.power);
+        }
+    }
+    const totals = {
+        start_time: startTime,
+        total_elapsed_time: elapsedMs,        // scale 1000 (s → ms)
+        total_timer_time: elapsedMs,
+        total_distance: last.distance * 100,  // scale 100
+        avg_speed: speedCount ? (speedSum / speedCount) * 1000 : null,
+        max_speed: maxSpeed !== null ? maxSpeed * 1000 : null,
+        avg_power: powerCount ? powerSum / powerCount : null,
+        max_power: maxPower
+    };
+
+    writeMessage('file_id', {
+        type: FILE_ACTIVITY,
+        manufacturer: MANUFACTURER_DEVELOPMENT,
+        product: 0,
+        serial_number: null,
+        time_created: startTime
+    });
+    writeMessage('event', { timestamp: startTime, event: EVENT.timer, event_type: EVENT_TYPE.start });
+
+    for (const s of samples) {
+        writeMessage('record', {
+            timestamp: toFITTime(s.time),
+            position_lat: s.lat !== null ? s.lat * SEMICIRCLES_PER_DEGREE : null,
+            position_long: s.lon !== null ? s.lon * SEMICIRCLES_PER_DEGREE : null,
+            altitude: s.ele !== null ? (s.ele + 500) * 5 : null,  // scale 5, offset 500
+            distance: s.distance * 100,                           // scale 100
+            speed: s.speed !== null ? s.speed * 1000 : null,       // scale 1000
+            power: s.power !== null ? Math.max(0, s.power) : null
+        });
+    }
+
+    writeMessage('event', { timestamp: endTime, event: EVENT.timer, event_type: EVENT_TYPE.stop_all });
+    writeMessage('lap', { timestamp: endTime, event: EVENT.lap, event_type: EVENT_TYPE.stop, ...totals });
+    writeMessage('session', {
+        timestamp: endTime, event: EVENT.session, event_type: EVENT_TYPE.stop,
+        sport, sub_sport: 0, first_lap_index: 0, num_laps: 1, ...totals
+    });
+    // local_timestamp: the browser's UTC offset at the start of the ride
+    const localOffsetS = -new Date(first.time).getTimezoneOffset() * 60;
+    writeMessage('activity', {
+        timestamp: endTime, total_timer_time: elapsedMs, num_sessions: 1, type: 0,
+        event: EVENT.activity, event_type: EVENT_TYPE.stop, local_timestamp: endTime + localOffsetS
+    });
+
+    // File header: size, protocol version, profile version, data size, ".FIT", header CRC
+    const dataSize = writer.length - 14;
+    const bytes = writer.bytes;
+    const view = writer.view;
+    view.setUint8(0, 14);
+    view.setUint8(1, 0x10);
+    view.setUint16(2, PROFILE_VERSION, true);
+    view.setUint32(4, dataSize, true);
+    bytes.set([0x2E, 0x46, 0x49, 0x54], 8);
+    view.setUint16(12, fitCRC(bytes, 0, 12), true);
+
+    // File CRC over header and data records
+    const fileCRC = fitCRC(bytes, 0, writer.length);
+    writer.write('uint16', fileCRC);
+
+    return writer.toUint8Array();
+}
@@ -0,0 +1,317 @@
+/**
+ * Gauge Overlay Video
+ * Renders telemetry gauges (speed, PWM, battery, power, mini-map trace) for a range of
+ * the ride onto a canvas and records it with MediaRecorder, for compositing over
+ * action-cam footage in a video editor. The background is green screen or transparent
+ * (alpha is kept only by encoders that support it, e.g. WebM VP8/VP9 in Chromium).
+ *
+ * MediaRecorder records in real time, so a clip takes as long to render as it lasts.
+ * Intervals cut out of the ride (data.excluded) are skipped, as in ride playback.
+ *
+ * @module gauge-video
+ */
+
+import {
+    getGaugeColumns, getGaugeValues, getGaugeRanges, speedBands, pwmBands, powerColor, drawDial, drawBar
+} from '../gauges.js';
+import { getSpeedColor, getPWMColor, getBatteryColor } from '../map/map-utils.mjs';
+
+export const GAUGE_VIDEO_BACKGROUNDS = {
+    green: 'Green screen',
+    transparent: 'Transparent'
+};
+
+export const GAUGE_VIDEO_SIZES = {
+    '1280x720': '1280 × 720',
+    '1920x1080': '1920 × 1080'
+};
+
+export const GAUGE_VIDEO_FRAME_RATES = [24, 25, 30, 60];
+
+const GREEN_SCREEN = '#00ff00';
+const VIDEO_BITS_PER_SECOND = 8000000;
+
+// Preferred first: VP9/VP8 WebM can carry alpha
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+
+const OVERLAY_STYLE = {
+    text: '#ffffff',
+    muted: '#dddddd',
+    track: 'rgba(0, 0, 0, 0.45)',
+    outline: 'rgba(0, 0, 0, 0.8)',
+    fontFamily: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif'
+};
+
+/**
+ * @returns {string|null} First video MIME type this browser can record, null without MediaRecorder
+ */
+export function getRecorderMimeType() {
+    if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement.prototype.captureStream !== 'function') {
+        return null;
+    }
+    return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Cut-out intervals within a range, clipped to it
+ * @param {Object} data - Ride model
+ * @param {number} startTime - Range start (ms)
+ * @param {number} endTime - Range end (ms)
+ * @returns {Array} [{ start, end }] in time order
+ */
+function getRangeCuts(data, startTime, endTime) {
+    return (data.excluded || [])
+        .filter(cut => cut.end > startTime && cut.start < endTime)
+        .map(cut => ({ start: Math.max(cut.start, startTime), end: Math.min(cut.end, endTime) }));
+}
+
+/**
+ * Length of the video for a range: its time without the cut-out intervals
+ * @param {Object} data - Ride model
+ * @param {number} startTime - Range start (ms)
+ * @param {number} endTime - Range end (ms)
+ * @returns {number} Milliseconds
+ */
+export function getGaugeVideoDuration(data, startTime, endTime) {
+    const cuts = getRangeCuts(data, startTime, endTime);
+    return endTime - startTime - cuts.reduce((sum, cut) => sum + cut.end - cut.start, 0);
+}
+
+/**
+ * Mini-map trace: GPS points of the range projected into a box
+ * @param {Array} points - From buildTrackPoints() ({ lat, lon, time })
+ * @returns {Object|null} { points, project(lat, lon, box) → [x, y] }, null with fewer than two points
+ */
+function buildTrace(points) {
+    if (points.length < 2) return null;
+
+    let north = -Infinity, south = Infinity, east = -Infinity, west = Infinity;
+    for (const p of points) {
+        north = Math.max(north, p.lat);
+        south = Math.min(south, p.lat);
+        east = Math.max(east, p.lon);
+        west = Math.min(west, p.lon);
+    }
+    // Equirectangular, with longitude shortened at this latitude
+    const lonScale = Math.cos(((north + south) / 2) * Math.PI / 180);
+    const spanX = Math.max((east - west) * lonScale, 1e-9);
+    const spanY = Math.max(north - south, 1e-9);
+
+    return {
+        points,
+        project(lat, lon, box) {
+            const scale = Math.min(box.width / spanX, box.height / spanY);
+            const offsetX = box.x + (box.width - spanX * scale) / 2;
+            const offsetY = box.y + (box.height - spanY * scale) / 2;
+            return [offsetX + (lon - west) * lonScale * scale, offsetY + (north - lat) * scale];
+        }
+    };
+}
+
+/**
+ * Draw the mini-map: whole trace faint, ridden part solid, current position dot
+ */
+function drawTrace(ctx, trace, time, box, scale) {
+    const { points } = trace;
+    const pad = 12 * scale;
+    const inner = { x: box.x + pad, y: box.y + pad, width: box.width - pad * 2, height: box.height - pad * 2 };
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.fillRect(box.x, box.y, box.width, box.height);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    const path = (from, to) => {
+        ctx.beginPath();
+        for (let i = from; i < to; i++) {
+            const [x, y] = trace.project(points[i].lat, points[i].lon, inner);
+            // No line across a join or a cut-out interval
+            if (i === from || points[i].segment !== points[i - 1].segment) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        }
+    };
+
+    // Points up to the current time
+    let ridden = 0;
+    while (ridden < points.length && points[ridden].time <= time) ridden++;
+
+    path(0, points.length);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.lineWidth = 3 * scale;
+    ctx.stroke();
+
+    if (ridden > 1) {
+        path(0, ridden);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 4 * scale;
+        ctx.stroke();
+    }
+
+    const current = points[Math.max(0, ridden - 1)];
+    const [x, y] = trace.project(current.lat, current.lon, inner);
+    ctx.beginPath();
+    ctx.arc(x, y, 7 * scale, 0, Math.PI * 2);
+    ctx.fillStyle = '#ff3b30';
+    ctx.fill();
+    ctx.lineWidth = 2 * scale;
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Draw one overlay frame (layout designed at 1280 × 720 and scaled)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} frame - { width, height, values, ranges, trace, background, flipPWM }
+ */
+export function drawOverlayFrame(ctx, { width, height, values, ranges, trace, background, flipPWM }) {
+    if (background === 'green') {
+        ctx.fillStyle = GREEN_SCREEN;
+        ctx.fillRect(0, 0, width, height);
+    } else {
+        ctx.clearRect(0, 0, width, height);
+    }
+
+    const s = height / 720;
+    const style = OVERLAY_STYLE;
+
+    drawDial(ctx, {
+        x: 160 * s, y: 560 * s, radius: 115 * s,
+        value: values.speed, max: ranges.speedMax, label: 'SPEED', unit: 'km/h',
+        color: getSpeedColor(values.speed), bands: speedBands(ranges.speedMax)
+    }, style);
+
+    drawDial(ctx, {
+        x: 410 * s, y: 590 * s, radius: 85 * s,
+        value: values.pwm, max: 100, label: 'PWM', unit: '%',
+        color: getPWMColor(values.pwm, flipPWM), bands: pwmBands(flipPWM)
+    }, style);
+
+    const barX = 540 * s;
+    const barWidth = 320 * s;
+    const barHeight = 24 * s;
+    drawBar(ctx, {
+        x: barX, y: 560 * s, width: barWidth, height: barHeight,
+        value: values.battery, max: 100, label: 'BATTERY', unit: ' %',
+        color: getBatteryColor(values.battery)
+    }, style);
+    drawBar(ctx, {
+        x: barX, y: 640 * s, width: barWidth, height: barHeight,
+        value: values.power, min: -ranges.powerMax / 4, max: ranges.powerMax, label: 'POWER', unit: ' W',
+        color: powerColor(values.power)
+    }, style);
+
+    if (trace) {
+        const size = 260 * s;
+        drawTrace(ctx, trace, values.time, { x: width - size - 30 * s, y: height - size - 30 * s, width: size, height: size }, s);
+    }
+}
+
+/**
+ * Record a gauge overlay video
+ * @param {Object} data - Ride model (the range must lie within it)
+ * @param {Object} options
+ * @param {number} options.startTime - Range start (ms)
+ * @param {number} options.endTime - Range end (ms)
+ * @param {number} options.fps - Frame rate
+ * @param {number} options.width - Video width
+ * @param {number} options.height - Video height
+ * @param {string} options.background - Key of GAUGE_VIDEO_BACKGROUNDS
+ * @param {boolean} options.flipPWM - PWM flip state (color bands)
+ * @param {Array} options.trackPoints - From buildTrackPoints() (privacy applied), empty without GPS
+ * @param {HTMLCanvasElement} [options.canvas] - Canvas to draw on (e.g. a visible preview)
+ * @param {Function} [options.onProgress] - Called with the fraction recorded (0–1)
+ * @returns {Object} { promise, cancel } - promise resolves with the video Blob,
+ *   rejects with error.cancelled === true when cancelled
+ */
+export function recordGaugeVideo(data, options) {
+    const { startTime, endTime, fps, width, height, background, flipPWM, trackPoints, onProgress = () => {} } = options;
+    const mimeType = getRecorderMimeType();
+    if (!mimeType) {
+        throw new Error('This browser cannot record video from a canvas (MediaRecorder)');
+    }
+
+    const canvas = options.canvas || document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    const columns = getGaugeColumns(data);
+    const ranges = getGaugeRanges(columns);
+    const trace = buildTrace(trackPoints.filter(p => p.time >= startTime && p.time <= endTime));
+    const cuts = getRangeCuts(data, startTime, endTime);
+    const duration = getGaugeVideoDuration(data, startTime, endTime);
+
+    // Ride time shown after some video time: cut-out intervals are jumped over
+    const rideTimeAt = (elapsed) => {
+        let time = startTime + elapsed;
+        for (const cut of cuts) {
+            if (time <= cut.start) break;
+            time += cut.end - cut.start;
+        }
+        return time;
+    };
+
+    const drawAt = (time) => drawOverlayFrame(ctx, {
+        width, height, values: getGaugeValues(data, columns, time), ranges, trace, background, flipPWM
+    });
+
+    const stream = canvas.captureStream(fps);
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_BITS_PER_SECOND });
+    const chunks = [];
+    let timer = null;
+    let cancelled = false;
+    let stopped = false;  // Cancelled or failed: no more frames
+    let rejectRecording = null;
+
+    const promise = new Promise((resolve, reject) => {
+        rejectRecording = reject;
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        recorder.onstop = () => {
+            stream.getTracks().forEach(track => track.stop());
+            if (!cancelled) resolve(new Blob(chunks, { type: mimeType.split(';')[0] }));
+        };
+        recorder.onerror = (event) => {
+            stopped = true;
+            clearTimeout(timer);
+            stream.getTracks().forEach(track => track.stop());
+            reject(event.error || new Error('Recording failed'));
+        };
+    });
+
+    // Frames follow the wall clock (the recorder timestamps them in real time)
+    drawAt(startTime);
+    recorder.start(1000);
+    const recordStart = performance.now();
+
+    const frame = () => {
+        if (stopped) return;
+        const elapsed = performance.now() - recordStart;
+        if (elapsed >= duration) {
+            drawAt(endTime);
+            onProgress(1);
+            if (recorder.state !== 'inactive') recorder.stop();
+            return;
+        }
+        drawAt(rideTimeAt(elapsed));
+        onProgress(elapsed / duration);
+        timer = setTimeout(frame, 1000 / fps);
+    };
+    timer = setTimeout(frame, 1000 / fps);
+
+    return {
+        promise,
+        cancel() {
+            if (cancelled) return;
+            cancelled = true;
+            stopped = true;
+            clearTimeout(timer);
+            if (recorder.state !== 'inactive') recorder.stop();
+            const error = new Error('Recording cancelled');
+            error.cancelled = true;
+            rejectRecording(error);
+        }
+    };
+}
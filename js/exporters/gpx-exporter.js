@@ -0,0 +1,99 @@
+/**
+ * GPX Exporter
+ * Writes track points as a GPX 1.1 track, one track segment per ride segment (split at
+ * joins of merged logs and cut-out intervals). Speed goes into the Garmin
+ * TrackPointExtension (m/s, read by most mapping tools); the remaining wheel
+ * telemetry goes into an app-specific extension namespace.
+ *
+ * @module gpx-exporter
+ */
+
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+const GARMIN_TPX_NAMESPACE = 'http://www.garmin.com/xmlschemas/TrackPointExtension/v2';
+const EUC_NAMESPACE = 'urn:euc-csv-dashboard:telemetry:1';
+
+// Track point key → euc: element name and decimals
+const EUC_EXTENSIONS = [
+    ['speed', 'wheel_speed_kmh', 1],
+    ['gps_speed', 'gps_speed_kmh', 1],
+    ['power', 'power_w', 0],
+    ['battery', 'battery_pct', 0],
+    ['pwm', 'pwm_pct', 1],
+    ['voltage', 'voltage_v', 2],
+    ['current', 'current_a', 2],
+    ['temp', 'temp_controller_c', 1],
+    ['temp_motor', 'temp_motor_c', 1],
+    ['temp_batt', 'temp_battery_c', 1]
+];
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build a GPX 1.1 document
+ * @param {Array} points - Track points from buildTrackPoints() (a change of point.segment starts a new trkseg)
+ * @param {Object} options
+ * @param {string} options.name - Track name
+ * @param {string} options.creator - Creator attribute
+ * @returns {string} GPX XML
+ */
+export function buildGPX(points, { name = 'EUC Ride', creator = 'EUC CSV Dashboard' } = {}) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${escapeXML(creator)}" xmlns="${GPX_NAMESPACE}" ` +
+            `xmlns:gpxtpx="${GARMIN_TPX_NAMESPACE}" xmlns:euc="${EUC_NAMESPACE}">`,
+        '  <metadata>',
+        `    <name>${escapeXML(name)}</name>`
+    ];
+    if (points.length > 0) {
+        lines.push(`    <time>${new Date(points[0].time).toISOString()}</time>`);
+    }
+    lines.push('  </metadata>');
+    lines.push('  <trk>');
+    lines.push(`    <name>${escapeXML(name)}</name>`);
+    lines.push('    <trkseg>');
+
+    for (let i = 0; i < points.length; i++) {
+        const point = points[i];
+        if (i > 0 && point.segment !== points[i - 1].segment) {
+            lines.push('    </trkseg>', '    <trkseg>');
+        }
+        lines.push(`      <trkpt lat="${point.lat.toFixed(7)}" lon="${point.lon.toFixed(7)}">`);
+        if (point.ele !== null) {
+            lines.push(`        <ele>${point.ele.toFixed(1)}</ele>`);
+        }
+        lines.push(`        <time>${new Date(point.time).toISOString()}</time>`);
+
+        const extensions = [];
+        const speedKmh = point.speed ?? point.gps_speed;
+        if (speedKmh !== null) {
+            extensions.push(`          <gpxtpx:TrackPointExtension><gpxtpx:speed>${(speedKmh / 3.6).toFixed(2)}</gpxtpx:speed></gpxtpx:TrackPointExtension>`);
+        }
+        for (const [key, element, decimals] of EUC_EXTENSIONS) {
+            if (point[key] !== null) {
+                extensions.push(`          <euc:${element}>${point[key].toFixed(decimals)}</euc:${element}>`);
+            }
+        }
+        if (extensions.length > 0) {
+            lines.push('        <extensions>', ...extensions, '        </extensions>');
+        }
+
+        lines.push('      </trkpt>');
+    }
+
+    lines.push('    </trkseg>');
+    lines.push('  </trk>');
+    lines.push('</gpx>');
+    return lines.join('\n') + '\n';
+}
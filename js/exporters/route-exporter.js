@@ -0,0 +1,201 @@
+/**
+ * Colored Route Exporter
+ * Writes the active map route overlay (colored segments from the route renderer)
+ * and its overlay markers as GeoJSON or KML.
+ *
+ * @module route-exporter
+ */
+
+import { escapeXML } from './gpx-exporter.js';
+
+/**
+ * Parse a route color ('#rrggbb' or 'rgb(r, g, b)') into components
+ * @param {string} color - CSS color from the route color functions
+ * @returns {Array} [r, g, b] (gray when the color cannot be parsed)
+ */
+export function parseRouteColor(color) {
+    const hex = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+    if (hex) {
+        return [parseInt(hex[1], 16), parseInt(hex[2], 16), parseInt(hex[3], 16)];
+    }
+    const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(color || '');
+    if (rgb) {
+        return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3])];
+    }
+    return [128, 128, 128];
+}
+
+/**
+ * @param {Array} rgb - [r, g, b]
+ * @returns {string} '#rrggbb'
+ */
+function toHex([r, g, b]) {
+    return '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * KML colors are aabbggrr
+ * @param {Array} rgb - [r, g, b]
+ * @returns {string}
+ */
+function toKMLColor([r, g, b]) {
+    return 'ff' + [b, g, r].map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {number|null} value
+ * @param {Object} config - Route overlay config (unit, decimals)
+ * @returns {string} Formatted value with unit
+ */
+function formatRouteValue(value, config) {
+    if (value === null || value === undefined) return 'N/A';
+    return value.toFixed(config.decimals ?? 1) + (config.unit || '');
+}
+
+/**
+ * @param {Object} marker - { overlayId, value }
+ * @returns {Object} { label, icon, formatted } from EUCOverlayConfig
+ */
+function describeMarker(marker) {
+    const overlayConfig = window.EUCOverlayConfig;
+    const config = overlayConfig?.utils.getOverlay(marker.overlayId);
+    return {
+        label: config ? config.label : marker.overlayId,
+        icon: config ? config.icon : '',
+        formatted: overlayConfig ? overlayConfig.utils.formatValue(marker.value, marker.overlayId) : String(marker.value)
+    };
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of the colored route
+ * @param {Object} routeExport - From gpsMapInstance.getRouteExportData()
+ * @param {Object} options
+ * @param {string} options.name - Collection name
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function buildRouteGeoJSON(routeExport, { name = 'EUC Ride' } = {}) {
+    const { overlayId, config, segments, min, max, markers } = routeExport;
+    const features = [];
+
+    segments.forEach((segment, i) => {
+        features.push({
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates: segment.coords.map(([lat, lng]) => [lng, lat])
+            },
+            properties: {
+                segment: i,
+                overlay: overlayId,
+                field: config.field,
+                value: segment.value,
+                unit: (config.unit || '').trim(),
+                color: toHex(parseRouteColor(segment.color)),
+                startTime: new Date(segment.startPoint.timestamp).toISOString(),
+                endTime: new Date(segment.endPoint.timestamp).toISOString()
+            }
+        });
+    });
+
+    for (const marker of markers) {
+        const { label, icon, formatted } = describeMarker(marker);
+        features.push({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [marker.lng, marker.lat]
+            },
+            properties: {
+                marker: marker.overlayId,
+                label,
+                icon,
+                value: marker.value,
+                formatted
+            }
+        });
+    }
+
+    return {
+        type: 'FeatureCollection',
+        name,
+        properties: {
+            overlay: overlayId,
+            label: config.label,
+            min,
+            max
+        },
+        features
+    };
+}
+
+/**
+ * Build a KML document of the colored route (one styled placemark per segment)
+ * @param {Object} routeExport - From gpsMapInstance.getRouteExportData()
+ * @param {Object} options
+ * @param {string} options.name - Document name
+ * @returns {string} KML XML
+ */
+export function buildRouteKML(routeExport, { name = 'EUC Ride' } = {}) {
+    const { config, segments, min, max, markers } = routeExport;
+
+    // One shared style per distinct segment color
+    const styles = new Map(); // KML color → style id
+    const styleFor = (color) => {
+        const kmlColor = toKMLColor(parseRouteColor(color));
+        if (!styles.has(kmlColor)) {
+            styles.set(kmlColor, `segment-${styles.size}`);
+        }
+        return styles.get(kmlColor);
+    };
+
+    const placemarks = [];
+    segments.forEach((segment, i) => {
+        const styleId = styleFor(segment.color);
+        const coordinates = segment.coords.map(([lat, lng]) => `${lng.toFixed(7)},${lat.toFixed(7)}`).join(' ');
+        placemarks.push(
+            '      <Placemark>',
+            `        <name>${escapeXML(`${config.label} ${i + 1}: ${formatRouteValue(segment.value, config)}`)}</name>`,
+            `        <styleUrl>#${styleId}</styleUrl>`,
+            '        <TimeSpan>',
+            `          <begin>${new Date(segment.startPoint.timestamp).toISOString()}</begin>`,
+            `          <end>${new Date(segment.endPoint.timestamp).toISOString()}</end>`,
+            '        </TimeSpan>',
+            `        <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+            '      </Placemark>'
+        );
+    });
+
+    const markerPlacemarks = [];
+    for (const marker of markers) {
+        const { label, icon, formatted } = describeMarker(marker);
+        markerPlacemarks.push(
+            '      <Placemark>',
+            `        <name>${escapeXML(`${icon} ${label}: ${formatted}`.trim())}</name>`,
+            `        <Point><coordinates>${marker.lng.toFixed(7)},${marker.lat.toFixed(7)}</coordinates></Point>`,
+            '      </Placemark>'
+        );
+    }
+
+    const styleLines = [];
+    for (const [kmlColor, styleId] of styles) {
+        styleLines.push(`    <Style id="${styleId}"><LineStyle><color>${kmlColor}</color><width>6</width></LineStyle></Style>`);
+    }
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXML(name)}</name>`,
+        `    <description>${escapeXML(`${config.label} (${formatRouteValue(min, config)} – ${formatRouteValue(max, config)})`)}</description>`,
+        ...styleLines,
+        '    <Folder>',
+        `      <name>${escapeXML(config.label)}</name>`,
+        ...placemarks,
+        '    </Folder>'
+    ];
+    if (markerPlacemarks.length > 0) {
+        lines.push('    <Folder>', '      <name>Markers</name>', ...markerPlacemarks, '    </Folder>');
+    }
+    lines.push('  </Document>', '</kml>');
+    return lines.join('\n') + '\n';
+}
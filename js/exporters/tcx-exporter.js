@@ -0,0 +1,112 @@
+/**
+ * TCX Exporter
+ * Writes activity samples as a Garmin Training Center (TCX v2) activity with one lap.
+ * Speed and power go into the ActivityExtension TPX element.
+ *
+ * @module tcx-exporter
+ */
+
+import { escapeXML } from './gpx-exporter.js';
+
+const TCX_NAMESPACE = 'http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2';
+const ACTIVITY_EXTENSION_NAMESPACE = 'http://www.garmin.com/xmlschemas/ActivityExtension/v2';
+
+/**
+ * @param {number} ms - Unix milliseconds
+ * @returns {string} ISO time without milliseconds (TCX tools expect whole seconds)
+ */
+function formatTime(ms) {
+    return new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Build a TCX document
+ * @param {Array} samples - From buildActivitySamples()
+ * @param {Object} options
+ * @param {string} options.name - Stored in the activity Notes
+ * @param {string} options.sport - TCX sport: 'Biking', 'Running' or 'Other'
+ * @returns {string} TCX XML
+ */
+export function buildTCX(samples, { name = 'EUC Ride', sport = 'Biking' } = {}) {
+    if (samples.length === 0) {
+        throw new Error('No samples to export');
+    }
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+
+    let maxSpeed = null;
+    let speedSum = 0, speedCount = 0;
+    let powerSum = 0, powerCount = 0, maxPower = null;
+    for (const s of samples) {
+        if (s.speed !== null) {
+            maxSpeed = Math.max(maxSpeed ?? 0, s.speed);
+            speedSum += s.speed;
+            speedCount++;
+        }
+        if (s.power !== null) {
+            powerSum += Math.max(0, s.power);
+            powerCount++;
+            maxPower = Math.max(maxPower ?? 0, s.power);
+        }
+    }
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<TrainingCenterDatabase xmlns="${TCX_NAMESPACE}" xmlns:ns3="${ACTIVITY_EXTENSION_NAMESPACE}">`,
+        '  <Activities>',
+        `    <Activity Sport="${escapeXML(sport)}">`,
+        `      <Id>${formatTime(first.time)}</Id>`,
+        `      <Lap StartTime="${formatTime(first.time)}">`,
+        `        <TotalTimeSeconds>${((last.time - first.time) / 1000).toFixed(1)}</TotalTimeSeconds>`,
+        `        <DistanceMeters>${last.distance.toFixed(1)}</DistanceMeters>`
+    ];
+    if (maxSpeed !== null) {
+        lines.push(`        <MaximumSpeed>${maxSpeed.toFixed(2)}</MaximumSpeed>`);
+    }
+    lines.push(
+        '        <Calories>0</Calories>',
+        '        <Intensity>Active</Intensity>',
+        '        <TriggerMethod>Manual</TriggerMethod>',
+        '        <Track>'
+    );
+
+    for (const s of samples) {
+        lines.push('          <Trackpoint>');
+        lines.push(`            <Time>${formatTime(s.time)}</Time>`);
+        if (s.lat !== null && s.lon !== null) {
+            lines.push(`            <Position><LatitudeDegrees>${s.lat.toFixed(7)}</LatitudeDegrees><LongitudeDegrees>${s.lon.toFixed(7)}</LongitudeDegrees></Position>`);
+        }
+        if (s.ele !== null) {
+            lines.push(`            <AltitudeMeters>${s.ele.toFixed(1)}</AltitudeMeters>`);
+        }
+        lines.push(`            <DistanceMeters>${s.distance.toFixed(1)}</DistanceMeters>`);
+
+        const tpx = [];
+        if (s.speed !== null) tpx.push(`<ns3:Speed>${s.speed.toFixed(2)}</ns3:Speed>`);
+        if (s.power !== null) tpx.push(`<ns3:Watts>${Math.max(0, Math.round(s.power))}</ns3:Watts>`);
+        if (tpx.length > 0) {
+            lines.push(`            <Extensions><ns3:TPX>${tpx.join('')}</ns3:TPX></Extensions>`);
+        }
+        lines.push('          </Trackpoint>');
+    }
+
+    lines.push('        </Track>');
+
+    const lx = [];
+    if (speedCount) lx.push(`<ns3:AvgSpeed>${(speedSum / speedCount).toFixed(2)}</ns3:AvgSpeed>`);
+    if (powerCount) lx.push(`<ns3:AvgWatts>${Math.round(powerSum / powerCount)}</ns3:AvgWatts>`);
+    if (maxPower !== null) lx.push(`<ns3:MaxWatts>${Math.round(maxPower)}</ns3:MaxWatts>`);
+    if (lx.length > 0) {
+        lines.push(`        <Extensions><ns3:LX>${lx.join('')}</ns3:LX></Extensions>`);
+    }
+
+    lines.push(
+        '      </Lap>',
+        `      <Notes>${escapeXML(name)}</Notes>`,
+        '    </Activity>',
+        '  </Activities>',
+        '</TrainingCenterDatabase>'
+    );
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,189 @@
+/**
+ * Track Point Builder
+ * Turns the (possibly trimmed) ride model into flat point lists for the file exporters:
+ * - buildTrackPoints: GPS track points with telemetry (GPX). Privacy mode is applied
+ *   the same way the GPS map applies it, so an export never contains hidden points.
+ * - buildActivitySamples: fixed-interval samples with cumulative distance (FIT/TCX),
+ *   without positions for the GPS points privacy mode hides.
+ * Joins of merged logs and cut-out intervals split the ride into segments: GPX gets a
+ * track segment for each, and distance is not counted across the gap between them.
+ *
+ * @module track-points
+ */
+
+import { createPrivacyFilter } from '../map/privacy-filter.mjs';
+
+// Telemetry keys on a track point → candidate series (first present wins)
+const TELEMETRY_SERIES = {
+    speed: ['speed'],
+    gps_speed: ['gps_speed'],
+    power: ['power'],
+    battery: ['battery', 'battery_level'],
+    pwm: ['pwm'],
+    voltage: ['voltage'],
+    current: ['current'],
+    temp: ['temp', 'system_temp'],
+    temp_motor: ['temp_motor', 'temp2'],
+    temp_batt: ['temp_batt']
+};
+
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * Great-circle distance between two coordinates
+ * @returns {number} Distance in meters
+ */
+function haversineMeters(lat1, lon1, lat2, lon2) {
+    const toRad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRad;
+    const dLon = (lon2 - lon1) * toRad;
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Segment of each row, for rows visited in time order
+ * A join (data.joins) starts a new segment, the same rule as the map's route sections.
+ * @param {Object} data - Ride model
+ * @returns {Function} time => segment number (0 before the first join)
+ */
+function createSegmentTracker(data) {
+    const joins = data.joins || [];
+    let joinIdx = 0;
+    return (time) => {
+        while (joinIdx < joins.length && joins[joinIdx].time <= time) joinIdx++;
+        return joinIdx;
+    };
+}
+
+/**
+ * Build export track points from a ride model
+ * @param {Object} data - Ride model (currentData, so the active trim is respected)
+ * @param {Object} options
+ * @param {Object|null} options.privacy - Map privacy state { enabled, hideStart, hideEnd, zoneSize }
+ * @returns {Array} Points { lat, lon, time, segment, ele, speed, gps_speed, power, battery, pwm, voltage, current, temp, temp_motor, temp_batt }
+ */
+export function buildTrackPoints(data, { privacy = null } = {}) {
+    const { gpsRoute, timestamps, series } = data;
+    if (!gpsRoute || !gpsRoute.has_gps) {
+        return [];
+    }
+
+    const columns = {};
+    for (const [key, candidates] of Object.entries(TELEMETRY_SERIES)) {
+        const seriesKey = candidates.find(k => series[k]);
+        columns[key] = seriesKey ? series[seriesKey] : null;
+    }
+
+    const segmentAt = createSegmentTracker(data);
+    const points = [];
+    for (let i = 0; i < gpsRoute.lat.length; i++) {
+        // Same rule as the map route: a GPS fix and a valid timestamp
+        if (!gpsRoute.lat.isValid(i) || !gpsRoute.lon.isValid(i) || !timestamps[i]) {
+            continue;
+        }
+
+        const point = {
+            lat: gpsRoute.lat.get(i),
+            lon: gpsRoute.lon.get(i),
+            time: timestamps[i],
+            segment: segmentAt(timestamps[i]),
+            ele: series.gps_alt ? series.gps_alt.get(i) : null
+        };
+        for (const [key, column] of Object.entries(columns)) {
+            point[key] = column ? column.get(i) : null;
+        }
+        points.push(point);
+    }
+
+    return privacy ? createPrivacyFilter(privacy).applyPrivacyFilter(points) : points;
+}
+
+/**
+ * Build fixed-interval activity samples from a ride model
+ * Keeps the first row of every interval (fitness platforms expect about 1 Hz), with or
+ * without a GPS fix. Distance is cumulative from the start of the (trimmed) ride: taken
+ * from the wheel or GPS distance series when present, otherwise summed from GPS points,
+ * and counted again from each segment's start so nothing is added across a join.
+ * @param {Object} data - Ride model (currentData, so the active trim is respected)
+ * @param {Object} options
+ * @param {number} options.intervalMs - Minimum time between samples
+ * @param {Object|null} options.privacy - Map privacy state; samples at hidden GPS points get no lat/lon
+ * @returns {Array} Samples { time, lat, lon, ele, distance (m), speed (m/s), power (W) }
+ */
+export function buildActivitySamples(data, { intervalMs = 1000, privacy = null } = {}) {
+    const { gpsRoute, timestamps, series } = data;
+    const hasGPS = gpsRoute && gpsRoute.has_gps;
+    const distanceColumn = series.distance || series.gps_distance || null;
+    const speedColumn = series.speed || series.gps_speed || null;
+
+    // Rows of the GPS points privacy mode hides (same points as buildTrackPoints drops)
+    let hiddenRows = null;
+    if (hasGPS && privacy) {
+        const fixes = [];
+        for (let i = 0; i < timestamps.length; i++) {
+            if (gpsRoute.lat.isValid(i) && gpsRoute.lon.isValid(i) && timestamps[i]) {
+                fixes.push({ row: i });
+            }
+        }
+        const visible = new Set(createPrivacyFilter(privacy).applyPrivacyFilter(fixes));
+        hiddenRows = new Set(fixes.filter(fix => !visible.has(fix)).map(fix => fix.row));
+    }
+
+    const segmentAt = createSegmentTracker(data);
+    const samples = [];
+    let nextTime = -Infinity;
+    let segment = null;
+    let segmentDistance = 0;  // Distance before the current segment
+    let startDistance = null;
+    let distance = 0;
+    let lastFix = null;
+
+    for (let i = 0; i < timestamps.length; i++) {
+        const time = timestamps[i];
+        if (!time) continue;
+
+        const rowSegment = segmentAt(time);
+        if (rowSegment !== segment) {
+            segment = rowSegment;
+            segmentDistance = distance;
+            startDistance = null;
+            lastFix = null;
+        }
+
+        const lat = hasGPS ? gpsRoute.lat.get(i) : null;
+        const lon = hasGPS ? gpsRoute.lon.get(i) : null;
+
+        // Accumulate GPS distance on every row, not just sampled ones
+        if (!distanceColumn && lat !== null && lon !== null) {
+            if (lastFix) distance += haversineMeters(lastFix[0], lastFix[1], lat, lon);
+            lastFix = [lat, lon];
+        }
+
+        if (time < nextTime) continue;
+        nextTime = time + intervalMs;
+
+        if (distanceColumn) {
+            const km = distanceColumn.get(i);
+            if (km !== null) {
+                if (startDistance === null) startDistance = km;
+                // Distance must not decrease (sensor resets, GPS jitter)
+                distance = Math.max(distance, segmentDistance + (km - startDistance) * 1000);
+            }
+        }
+
+        const speedKmh = speedColumn ? speedColumn.get(i) : null;
+        const hidden = hiddenRows !== null && hiddenRows.has(i);
+        samples.push({
+            time,
+            lat: hidden ? null : lat,
+            lon: hidden ? null : lon,
+            ele: series.gps_alt ? series.gps_alt.get(i) : null,
+            distance,
+            speed: speedKmh !== null ? speedKmh / 3.6 : null,
+            power: series.power ? series.power.get(i) : null
+        });
+    }
+
+    return samples;
+}
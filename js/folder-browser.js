@@ -0,0 +1,106 @@
+/**
+ * Folder Browser
+ * Lists the CSV logs in a local folder picked with the File System Access API
+ * (showDirectoryPicker), for the static-server mode where /api/files is not
+ * available. Subfolders are walked like server.py does, and each file's format is
+ * detected from its header only, so large folders list quickly. Files that cannot be
+ * read are still listed, as unknown with the reason.
+ *
+ * @module folder-browser
+ */
+
+import { FormatDetector } from './processors/index.js';
+
+// Enough of the file for the header line (and the dialect sniffing after it)
+const HEADER_BYTES = 16 * 1024;
+
+/**
+ * @returns {boolean} True if the browser can open local folders (Chromium-based browsers)
+ */
+export function isFolderBrowsingAvailable() {
+    return typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Ask the user for a folder
+ * @returns {Promise<FileSystemDirectoryHandle>} Rejects with an AbortError when the picker is cancelled
+ */
+export function pickFolder() {
+    return window.showDirectoryPicker({ id: 'euc-csv-logs', mode: 'read' });
+}
+
+/**
+ * Detected format of a CSV file, from its header
+ * @param {File} file
+ * @returns {Promise<Object>} { format, guessed } - Registered format id (the best guess when
+ *   the headers are not an exact match, guessed true), or 'unknown'
+ */
+async function detectFileFormat(file) {
+    const head = await file.slice(0, HEADER_BYTES).text();
+    return FormatDetector.detectListingFormat(head);
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD HH:MM:SS in local time (as server.py lists files)
+ */
+function formatModifiedDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * List the CSV files in a folder and its subfolders (hidden folders are skipped)
+ * @param {FileSystemDirectoryHandle} dirHandle - From pickFolder()
+ * @param {Function} onProgress - Called with the number of CSV files found so far
+ * @returns {Promise<Array>} Entries shaped like /api/files ({ name, path, folder, size, modified,
+ *   modified_date, format }) plus the file handle, formatGuessed and, for files that could not
+ *   be read, error; sorted by folder then name
+ */
+export async function scanFolder(dirHandle, onProgress = () => {}) {
+    const files = [];
+
+    async function walk(handle, prefix) {
+        for await (const entry of handle.values()) {
+            if (entry.kind === 'directory') {
+                if (!entry.name.startsWith('.')) {
+                    await walk(entry, prefix ? `${prefix}/${entry.name}` : entry.name);
+                }
+                continue;
+            }
+            if (!entry.name.toLowerCase().endsWith('.csv')) continue;
+
+            const listed = {
+                name: entry.name,
+                path: prefix ? `${prefix}/${entry.name}` : entry.name,
+                folder: prefix || '/',
+                size: 0,
+                modified: 0,
+                modified_date: '',
+                format: 'unknown',
+                formatGuessed: false,
+                handle: entry
+            };
+            // A locked or vanished file must not abort the whole scan
+            try {
+                const file = await entry.getFile();
+                listed.size = file.size;
+                listed.modified = file.lastModified / 1000;
+                listed.modified_date = formatModifiedDate(new Date(file.lastModified));
+                const detection = await detectFileFormat(file);
+                listed.format = detection.format;
+                listed.formatGuessed = detection.guessed;
+            } catch (error) {
+                console.warn(`[FOLDER] Could not read ${listed.path}:`, error);
+                listed.error = error.message || String(error);
+            }
+            files.push(listed);
+            onProgress(files.length);
+        }
+    }
+
+    await walk(dirHandle, '');
+    files.sort((a, b) => a.folder.localeCompare(b.folder) || a.name.localeCompare(b.name));
+    return files;
+}
@@ -56,3 +56,17 @@ export function formatFileSize(bytes, options = {}) {
         return `${(bytes / (1024 * 1024)).toFixed(2)}${sp}${unit}`;
     }
 }
+
+/**
+ * Escape text for use in HTML markup and attribute values
+ * @param {*} text - Text (converted with String())
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,176 @@
+/**
+ * Gauge Dashboard
+ * Speedometer, PWM dial, temperature dial and battery/power bars for the moment under
+ * the shared cursor. Redrawn whenever window.eucChartSync moves the cursor (chart or
+ * map hover, ride playback, video sync), at most once per animation frame.
+ *
+ * @module gauge-dashboard
+ */
+
+import {
+    getGaugeColumns, getGaugeValues, getGaugeRanges, speedBands, pwmBands, temperatureBands,
+    temperatureColor, powerColor, drawDial, drawBar
+} from './gauges.js';
+import { getSpeedColor, getPWMColor, getBatteryColor } from './map/map-utils.mjs';
+import { formatTimestamp } from './format-utils.js';
+
+const CELL_HEIGHT = 200;
+const MIN_CELL_WIDTH = 160;
+
+/**
+ * Gauge style from the chart theme variables (follows dark mode and the theme hue)
+ * @returns {Object} GaugeStyle (see gauges.js)
+ */
+function getThemeStyle() {
+    const css = getComputedStyle(document.body);
+    return {
+        text: css.getPropertyValue('--chart-axis-title').trim() || '#505050',
+        muted: css.getPropertyValue('--chart-axis-label').trim() || '#808080',
+        track: css.getPropertyValue('--chart-grid').trim() || 'rgba(0, 0, 0, 0.1)',
+        outline: null,
+        fontFamily: 'system-ui, -apple-system, sans-serif'
+    };
+}
+
+/**
+ * Create the gauge dashboard controller (Gauges card)
+ * @returns {Object} { load, redraw, reset }
+ */
+export function createGaugeDashboard() {
+    const section = document.getElementById('gauge-section');
+    const canvas = document.getElementById('gauge-canvas');
+    const timeLabel = document.getElementById('gauge-time');
+
+    let data = null;
+    let columns = null;
+    let ranges = null;
+    let flipPWM = false;
+    let cursorTime = null;
+    let frameId = null;
+
+    function draw() {
+        frameId = null;
+        if (!data) return;
+
+        const width = canvas.clientWidth;
+        if (width === 0) return; // Card collapsed
+        const perRow = Math.max(1, Math.min(4, Math.floor(width / MIN_CELL_WIDTH)));
+        const rows = Math.ceil(4 / perRow);
+        const height = rows * CELL_HEIGHT;
+        const ratio = window.devicePixelRatio || 1;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+            canvas.style.height = `${height}px`;
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const values = getGaugeValues(data, columns, cursorTime);
+        const style = getThemeStyle();
+        const cellWidth = width / perRow;
+        const cell = (n) => ({
+            x: (n % perRow) * cellWidth,
+            y: Math.floor(n / perRow) * CELL_HEIGHT
+        });
+        const radius = Math.min(cellWidth * 0.36, CELL_HEIGHT * 0.38);
+        const dialAt = (n) => ({ x: cell(n).x + cellWidth / 2, y: cell(n).y + CELL_HEIGHT * 0.48, radius });
+
+        drawDial(ctx, {
+            ...dialAt(0), value: values.speed, max: ranges.speedMax, label: 'SPEED', unit: 'km/h', decimals: 1,
+            color: getSpeedColor(values.speed), bands: speedBands(ranges.speedMax)
+        }, style);
+
+        drawDial(ctx, {
+            ...dialAt(1), value: values.pwm, max: 100, label: 'PWM', unit: '%', decimals: 1,
+            color: getPWMColor(values.pwm, flipPWM), bands: pwmBands(flipPWM)
+        }, style);
+
+        const motor = values.tempMotor !== null;
+        const temp = motor ? values.tempMotor : values.temp;
+        drawDial(ctx, {
+            ...dialAt(2), value: temp, max: ranges.tempMax, label: motor ? 'MOTOR TEMP' : 'TEMP', unit: '°C',
+            color: temperatureColor(temp), bands: temperatureBands(ranges.tempMax)
+        }, style);
+
+        const bars = cell(3);
+        const barX = bars.x + cellWidth * 0.1;
+        const barWidth = cellWidth * 0.8;
+        const barHeight = 16;
+        drawBar(ctx, {
+            x: barX, y: bars.y + CELL_HEIGHT * 0.4, width: barWidth, height: barHeight,
+            value: values.battery, max: 100, label: 'Battery', unit: ' %', color: getBatteryColor(values.battery)
+        }, style);
+        drawBar(ctx, {
+            x: barX, y: bars.y + CELL_HEIGHT * 0.72, width: barWidth, height: barHeight,
+            value: values.power, min: -ranges.powerMax / 4, max: ranges.powerMax, label: 'Power', unit: ' W',
+            color: powerColor(values.power)
+        }, style);
+
+        timeLabel.textContent = formatTimestamp(data.timestamps[values.index]);
+    }
+
+    /**
+     * Redraw on the next animation frame (collapses bursts of cursor moves)
+     */
+    function redraw() {
+        if (data && frameId === null) {
+            frameId = requestAnimationFrame(draw);
+        }
+    }
+
+    if (window.eucChartSync) {
+        window.eucChartSync.addCursorListener((cursor) => {
+            if (!data || !cursor.timestamp) return;
+            cursorTime = cursor.timestamp;
+            redraw();
+        });
+    }
+
+    // Canvas follows the card width (window resize, card expanded)
+    if (typeof ResizeObserver === 'function') {
+        new ResizeObserver(redraw).observe(canvas);
+    }
+
+    /**
+     * Show the dashboard for a (new) view of the ride
+     * @param {Object} view - Current view (ride model)
+     * @param {Object} options - { flipPWM }
+     */
+    function load(view, options = {}) {
+        if (!view || !view.timestamps || view.timestamps.length === 0) {
+            reset();
+            return;
+        }
+        data = view;
+        columns = getGaugeColumns(view);
+        ranges = getGaugeRanges(columns);
+        flipPWM = options.flipPWM || false;
+
+        const { timestamps } = view;
+        if (cursorTime === null || cursorTime < timestamps[0] || cursorTime > timestamps[timestamps.length - 1]) {
+            cursorTime = timestamps[0];
+        }
+        section.style.display = '';
+        redraw();
+    }
+
+    /**
+     * Hide the dashboard (no ride loaded)
+     */
+    function reset() {
+        data = null;
+        columns = null;
+        ranges = null;
+        cursorTime = null;
+        if (frameId !== null) {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+        section.style.display = 'none';
+    }
+
+    return { load, redraw, reset };
+}
@@ -0,0 +1,291 @@
+/**
+ * Gauges
+ * Telemetry values at a moment of the ride and canvas drawing for dials and bars.
+ * Color bands use the map's route color scales (getSpeedColor, getPWMColor), so a
+ * gauge reads the same as the route under the marker.
+ *
+ * @module gauges
+ */
+
+import { getSpeedColor, getPWMColor } from './map/map-utils.mjs';
+import { upperBound } from './processors/ride-columns.js';
+
+// Gauge values → candidate series (first present wins), as in exporters/track-points.js
+const GAUGE_SERIES = {
+    speed: ['speed', 'gps_speed'],
+    pwm: ['pwm'],
+    battery: ['battery', 'battery_level'],
+    power: ['power'],
+    voltage: ['voltage'],
+    current: ['current'],
+    temp: ['temp', 'system_temp'],
+    tempMotor: ['temp_motor', 'temp2']
+};
+
+// Do not interpolate across recording gaps longer than this
+const MAX_INTERPOLATION_GAP_MS = 5000;
+
+/**
+ * Gauge series of a ride
+ * @param {Object} data - Ride model
+ * @returns {Object} { [gauge]: RideColumn|null }
+ */
+export function getGaugeColumns(data) {
+    const columns = {};
+    for (const [key, candidates] of Object.entries(GAUGE_SERIES)) {
+        const seriesKey = candidates.find(k => data.series[k] && data.series[k].hasValues());
+        columns[key] = seriesKey ? data.series[seriesKey] : null;
+    }
+    return columns;
+}
+
+/**
+ * Gauge values at a time, linear between the surrounding rows
+ * @param {Object} data - Ride model
+ * @param {Object} columns - From getGaugeColumns()
+ * @param {number} time - Ride time in milliseconds
+ * @returns {Object} { time, index, speed, pwm, battery, power, voltage, current, temp, tempMotor } (null when missing)
+ */
+export function getGaugeValues(data, columns, time) {
+    const { timestamps } = data;
+    const index = Math.min(timestamps.length - 1, Math.max(0, upperBound(timestamps, time) - 1));
+    const next = index + 1 < timestamps.length ? index + 1 : index;
+    const span = timestamps[next] - timestamps[index];
+    const f = span > 0 && span <= MAX_INTERPOLATION_GAP_MS
+        ? Math.min(1, Math.max(0, (time - timestamps[index]) / span))
+        : 0;
+
+    const values = { time, index };
+    for (const [key, column] of Object.entries(columns)) {
+        if (!column) {
+            values[key] = null;
+            continue;
+        }
+        const a = column.get(index);
+        const b = column.get(next);
+        values[key] = a !== null && b !== null ? a + (b - a) * f : a;
+    }
+    return values;
+}
+
+/**
+ * Gauge scales for a ride: speed and power rounded up from the ride's maximum
+ * @param {Object} columns - From getGaugeColumns()
+ * @returns {Object} { speedMax, powerMax, tempMax }
+ */
+export function getGaugeRanges(columns) {
+    const maxOf = (column) => {
+        if (!column) return 0;
+        let max = 0;
+        for (let i = 0; i < column.length; i++) {
+            const v = column.get(i);
+            if (v !== null && Math.abs(v) > max) max = Math.abs(v);
+        }
+        return max;
+    };
+    return {
+        speedMax: Math.max(40, Math.ceil(maxOf(columns.speed) / 10) * 10),
+        powerMax: Math.max(1000, Math.ceil(maxOf(columns.power) / 500) * 500),
+        tempMax: Math.max(80, Math.ceil(Math.max(maxOf(columns.temp), maxOf(columns.tempMotor)) / 10) * 10)
+    };
+}
+
+/**
+ * Color bands sampled from one of the map's color scales
+ * @param {Function} colorAt - value → CSS color
+ * @param {number} min
+ * @param {number} max
+ * @param {number} steps - Number of bands
+ * @returns {Array} [{ from, to, color }]
+ */
+function sampleBands(colorAt, min, max, steps) {
+    const bands = [];
+    const size = (max - min) / steps;
+    for (let i = 0; i < steps; i++) {
+        const from = min + i * size;
+        bands.push({ from, to: from + size, color: colorAt(from + size / 2) });
+    }
+    return bands;
+}
+
+/**
+ * @param {number} max - Top of the speed scale (km/h)
+ * @returns {Array} Speed gauge color bands
+ */
+export function speedBands(max) {
+    return sampleBands(v => getSpeedColor(v), 0, max, Math.max(8, Math.round(max / 5)));
+}
+
+/**
+ * @param {boolean} flipPWM - PWM flip state
+ * @returns {Array} PWM gauge color bands (0–100 %)
+ */
+export function pwmBands(flipPWM = false) {
+    return sampleBands(v => getPWMColor(v, flipPWM), 0, 100, 40);
+}
+
+// Temperature bands (°C): normal, warm, hot
+const TEMPERATURE_LEVELS = [
+    { below: 60, color: '#34c759' },
+    { below: 80, color: '#ff9500' },
+    { below: Infinity, color: '#ff3b30' }
+];
+
+/**
+ * @param {number} temp - °C
+ * @returns {string} Temperature color
+ */
+export function temperatureColor(temp) {
+    return TEMPERATURE_LEVELS.find(level => temp < level.below).color;
+}
+
+/**
+ * @param {number} max - Top of the temperature scale (°C)
+ * @returns {Array} Temperature gauge color bands
+ */
+export function temperatureBands(max) {
+    let from = 0;
+    return TEMPERATURE_LEVELS.map(level => {
+        const band = { from, to: Math.min(level.below, max), color: level.color };
+        from = band.to;
+        return band;
+    }).filter(band => band.to > band.from);
+}
+
+/**
+ * @param {number} power - W (negative while braking)
+ * @returns {string} Power color: orange when drawing, blue when regenerating
+ */
+export function powerColor(power) {
+    return power < 0 ? '#4da6ff' : '#ff9500';
+}
+
+/**
+ * Gauge drawing style
+ * @typedef {Object} GaugeStyle
+ * @property {string} text - Value and label color
+ * @property {string} muted - Unit text color
+ * @property {string} track - Unfilled track color
+ * @property {string|null} outline - Text outline (for drawing over video), or null
+ * @property {string} fontFamily
+ */
+
+/**
+ * Draw text in the current font, outlined when the style asks for it
+ * @param {number} fontSize - Current font size in pixels (outline width)
+ */
+function drawText(ctx, text, x, y, style, fontSize) {
+    if (style.outline) {
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = Math.max(2, fontSize / 6);
+        ctx.strokeStyle = style.outline;
+        ctx.strokeText(text, x, y);
+    }
+    ctx.fillText(text, x, y);
+}
+
+const formatValue = (value, decimals) => (value === null || isNaN(value) ? '—' : value.toFixed(decimals));
+
+// Dial sweep: 270° opening at the bottom
+const DIAL_START = Math.PI * 0.75;
+const DIAL_SWEEP = Math.PI * 1.5;
+
+/**
+ * Draw a dial gauge
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} dial - { x, y, radius, value, min, max, label, unit, decimals, color, bands }
+ * @param {GaugeStyle} style
+ */
+export function drawDial(ctx, dial, style) {
+    const { x, y, radius, value, min = 0, max, label, unit = '', decimals = 0, color, bands = [] } = dial;
+    const angleOf = v => DIAL_START + DIAL_SWEEP * Math.min(1, Math.max(0, (v - min) / (max - min)));
+    const width = radius * 0.16;
+
+    ctx.save();
+    ctx.lineCap = 'butt';
+
+    // Track
+    ctx.beginPath();
+    ctx.arc(x, y, radius, DIAL_START, DIAL_START + DIAL_SWEEP);
+    ctx.strokeStyle = style.track;
+    ctx.lineWidth = width;
+    ctx.stroke();
+
+    // Color bands (outer ring)
+    for (const band of bands) {
+        ctx.beginPath();
+        ctx.arc(x, y, radius + width * 0.85, angleOf(band.from), angleOf(band.to));
+        ctx.strokeStyle = band.color;
+        ctx.lineWidth = width * 0.35;
+        ctx.stroke();
+    }
+
+    // Value arc and needle
+    if (value !== null && !isNaN(value)) {
+        const angle = angleOf(value);
+        ctx.beginPath();
+        ctx.arc(x, y, radius, DIAL_START, angle);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(x + Math.cos(angle) * radius * 0.25, y + Math.sin(angle) * radius * 0.25);
+        ctx.lineTo(x + Math.cos(angle) * (radius + width / 2), y + Math.sin(angle) * (radius + width / 2));
+        ctx.strokeStyle = style.text;
+        ctx.lineWidth = Math.max(2, width * 0.25);
+        ctx.lineCap = 'round';
+        ctx.stroke();
+    }
+
+    // Value, unit and label
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const valueSize = Math.round(radius * 0.42);
+    const unitSize = Math.round(radius * 0.16);
+    const labelSize = Math.round(radius * 0.17);
+    ctx.fillStyle = style.text;
+    ctx.font = `bold ${valueSize}px ${style.fontFamily}`;
+    drawText(ctx, formatValue(value, decimals), x, y, style, valueSize);
+    ctx.font = `${unitSize}px ${style.fontFamily}`;
+    ctx.fillStyle = style.muted;
+    drawText(ctx, unit, x, y + radius * 0.36, style, unitSize);
+    ctx.font = `bold ${labelSize}px ${style.fontFamily}`;
+    ctx.fillStyle = style.text;
+    drawText(ctx, label, x, y + radius * 0.82, style, labelSize);
+
+    ctx.restore();
+}
+
+/**
+ * Draw a horizontal bar gauge
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} bar - { x, y, width, height, value, min, max, label, unit, decimals, color }
+ *   (with min below zero the bar starts at the zero line, e.g. for regenerative braking power)
+ * @param {GaugeStyle} style
+ */
+export function drawBar(ctx, bar, style) {
+    const { x, y, width, height, value, min = 0, max, label, unit = '', decimals = 0, color } = bar;
+    const xOf = v => x + width * Math.min(1, Math.max(0, (v - min) / (max - min)));
+
+    ctx.save();
+    ctx.fillStyle = style.track;
+    ctx.fillRect(x, y, width, height);
+
+    if (value !== null && !isNaN(value)) {
+        const zero = xOf(Math.max(min, 0));
+        const end = xOf(value);
+        ctx.fillStyle = color;
+        ctx.fillRect(Math.min(zero, end), y, Math.abs(end - zero), height);
+    }
+
+    const fontSize = Math.round(height * 0.8);
+    ctx.textBaseline = 'bottom';
+    ctx.font = `bold ${fontSize}px ${style.fontFamily}`;
+    ctx.fillStyle = style.text;
+    ctx.textAlign = 'left';
+    drawText(ctx, label, x, y - height * 0.2, style, fontSize);
+    ctx.textAlign = 'right';
+    drawText(ctx, `${formatValue(value, decimals)}${unit}`, x + width, y - height * 0.2, style, fontSize);
+    ctx.restore();
+}
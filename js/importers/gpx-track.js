@@ -0,0 +1,198 @@
+/**
+ * GPX Track Import
+ * Adds GPS to rides logged without it (e.g. WheelLog without phone GPS) from a GPX
+ * track recorded on a phone or watch. Track points are time-aligned to the ride's
+ * timestamps with a clock offset and linearly interpolated per row into the GPS route
+ * (lat/lon) and the gps_alt series, so the map, overlays and popups work unchanged.
+ *
+ * @module gpx-track
+ */
+
+import { RideColumn, upperBound } from '../processors/ride-columns.js';
+
+// Do not interpolate across track gaps longer than this (GPS lost, recording paused)
+const DEFAULT_MAX_GAP_MS = 60000;
+
+// Chart series for imported altitude when the log's chart groups have none to re-point
+const ALTITUDE_SERIES = { name: 'Altitude (GPS)', color: '#b0b0b0', unit: 'm' };
+
+/**
+ * Parse the timestamped points of a GPX file (all tracks and segments, in time order)
+ * @param {string} xmlText - GPX file content
+ * @returns {Object} { name, points: [{ time, lat, lon, ele }] }
+ */
+export function parseGPXTrack(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.localName !== 'gpx') {
+        throw new Error('Not a valid GPX file');
+    }
+
+    const childText = (element, name) => {
+        const child = element.getElementsByTagNameNS('*', name)[0];
+        return child ? child.textContent.trim() : null;
+    };
+
+    // Track points, or route points for tools that only write routes
+    let elements = doc.getElementsByTagNameNS('*', 'trkpt');
+    if (elements.length === 0) {
+        elements = doc.getElementsByTagNameNS('*', 'rtept');
+    }
+
+    const points = [];
+    for (const element of elements) {
+        const lat = parseFloat(element.getAttribute('lat'));
+        const lon = parseFloat(element.getAttribute('lon'));
+        const timeText = childText(element, 'time');
+        const time = timeText ? Date.parse(timeText) : NaN;
+        if (isNaN(lat) || isNaN(lon) || isNaN(time) ||
+            lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+            continue;
+        }
+        const ele = parseFloat(childText(element, 'ele'));
+        points.push({ time, lat, lon, ele: isNaN(ele) ? null : ele });
+    }
+
+    if (points.length === 0) {
+        throw new Error('GPX file has no timestamped track points');
+    }
+
+    points.sort((a, b) => a.time - b.time);
+
+    const metadata = doc.getElementsByTagNameNS('*', 'metadata')[0];
+    const track = doc.getElementsByTagNameNS('*', 'trk')[0];
+    const name = (metadata && childText(metadata, 'name')) || (track && childText(track, 'name')) || null;
+
+    return { name, points };
+}
+
+/**
+ * Interpolate a GPX track onto ride rows
+ * @param {Float64Array|Array} timestamps - Ride timestamps (ms)
+ * @param {Array} points - Track points from parseGPXTrack()
+ * @param {Object} options
+ * @param {number} options.offsetMs - Added to track times to match the ride clock
+ * @param {number} options.maxGapMs - Longest track gap to interpolate across
+ * @returns {Object} { lat, lon, ele } row-aligned arrays (null where the track has no fix), matched
+ */
+export function interpolateTrack(timestamps, points, { offsetMs = 0, maxGapMs = DEFAULT_MAX_GAP_MS } = {}) {
+    const times = Float64Array.from(points, p => p.time + offsetMs);
+    const length = timestamps.length;
+    const lat = new Array(length).fill(null);
+    const lon = new Array(length).fill(null);
+    const ele = new Array(length).fill(null);
+    let matched = 0;
+
+    for (let i = 0; i < length; i++) {
+        const time = timestamps[i];
+        if (!time) continue;
+
+        // Track points either side of this row
+        const after = upperBound(times, time);
+        if (after === 0) continue;
+        const p0 = points[after - 1];
+        if (times[after - 1] === time) {
+            lat[i] = p0.lat;
+            lon[i] = p0.lon;
+            ele[i] = p0.ele;
+            matched++;
+            continue;
+        }
+        if (after === points.length) continue;
+        const p1 = points[after];
+        const span = times[after] - times[after - 1];
+        if (span > maxGapMs) continue;
+
+        const f = (time - times[after - 1]) / span;
+        // Shortest way round when the track crosses the antimeridian
+        let dLon = p1.lon - p0.lon;
+        if (dLon > 180) dLon -= 360;
+        else if (dLon < -180) dLon += 360;
+        let interpolatedLon = p0.lon + dLon * f;
+        if (interpolatedLon > 180) interpolatedLon -= 360;
+        else if (interpolatedLon < -180) interpolatedLon += 360;
+
+        lat[i] = p0.lat + (p1.lat - p0.lat) * f;
+        lon[i] = interpolatedLon;
+        ele[i] = p0.ele !== null && p1.ele !== null ? p0.ele + (p1.ele - p0.ele) * f : null;
+        matched++;
+    }
+
+    return { lat, lon, ele, matched };
+}
+
+/**
+ * Ride model with GPS from an imported track
+ * Replaces the GPS route and, unless the log has its own altitude, the gps_alt series
+ * (chart groups are re-pointed at the new column; without an altitude chart series it is
+ * added to the speed chart, or to an Altitude chart of its own). Importing again (e.g. with another
+ * offset) starts from the log's own data, kept in gpsImport.
+ * @param {Object} model - Unsliced ride model (originalData)
+ * @param {Object} track - From parseGPXTrack()
+ * @param {Object} options
+ * @param {string} options.filename - GPX file name, for display
+ * @param {number} options.offsetMs - Added to track times to match the ride clock
+ * @returns {Object} New ride model with gpsImport { filename, name, track, offsetMs, matched, logAltitude }
+ */
+export function applyGPXTrack(model, track, { filename = null, offsetMs = 0 } = {}) {
+    const logAltitude = model.gpsImport ? model.gpsImport.logAltitude : model.series.gps_alt;
+    const currentAltitude = model.series.gps_alt;
+    const { lat, lon, ele, matched } = interpolateTrack(model.timestamps, track.points, { offsetMs });
+
+    let gpsRoute = { has_gps: false };
+    if (matched > 0) {
+        gpsRoute = {
+            has_gps: true,
+            lat: RideColumn.fromArray(lat),
+            lon: RideColumn.fromArray(lon)
+        };
+    }
+
+    let altitude = logAltitude;
+    if (!(logAltitude && logAltitude.hasValues()) && ele.some(v => v !== null)) {
+        altitude = RideColumn.fromArray(ele);
+    }
+
+    // Altitude chart series: the log's column (or the previous import), or an empty Altitude (GPS) slot
+    const isAltitudeSeries = (s) => (currentAltitude ? s.data === currentAltitude : !s.data && s.name === ALTITUDE_SERIES.name);
+    const chartGroups = {};
+    let charted = false;
+    for (const [key, group] of Object.entries(model.chartGroups || {})) {
+        chartGroups[key] = {
+            ...group,
+            series: group.series.map(s => {
+                if (!isAltitudeSeries(s)) return s;
+                charted = true;
+                return altitude !== s.data ? { ...s, data: altitude } : s;
+            })
+        };
+    }
+    if (altitude && !charted) {
+        if (chartGroups.speed) {
+            chartGroups.speed = {
+                ...chartGroups.speed,
+                series: [{ ...ALTITUDE_SERIES, data: altitude, secondaryY: true }, ...chartGroups.speed.series]
+            };
+        } else {
+            chartGroups.altitude = {
+                title: 'Altitude',
+                series: [{ ...ALTITUDE_SERIES, data: altitude, secondaryY: false }],
+                timestamps: model.timestamps
+            };
+        }
+    }
+
+    const result = {
+        ...model,
+        series: { ...model.series },
+        chartGroups,
+        gpsRoute,
+        gpsImport: { filename, name: track.name, track, offsetMs, matched, logAltitude }
+    };
+    if (altitude) {
+        result.series.gps_alt = altitude;
+    } else {
+        delete result.series.gps_alt;
+    }
+    delete result.rideStats;
+    return result;
+}
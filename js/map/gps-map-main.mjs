@@ -10,6 +10,7 @@
 import { initializeMap, createMapComponents, loadRouteData, clearMap } from './map-core.mjs';
 import { setMapLayer } from './ui-controls.mjs';
 import { createScissorsIcon } from './marker-manager.mjs';
+import { locateOnPolyline } from './map-utils.mjs';
 import { createResourceLifecycleManager } from './resource-lifecycle-manager.mjs';
 import { DEBUG } from './debug-config.mjs';
 
@@ -24,6 +25,10 @@ window.EUCGPSMap = function(containerId) {
     let components = null;
     let initialized = false;
 
+    // Trim handles (scissors): range they show and the handle being dragged ('start'/'end')
+    let trimRange = null;
+    let draggingTrimHandle = null;
+
     // Create resource lifecycle manager for automatic cleanup
     const resourceManager = createResourceLifecycleManager(`gps-map-${containerId}`);
 
@@ -156,6 +161,8 @@ window.EUCGPSMap = function(containerId) {
 
     /**
      * Update time range markers
+     * While trimming, both scissors are shown and can be dragged along the route
+     * (see createTrimHandle). A handle being dragged is left where the pointer put it.
      * @param {number} startTimestamp - Start timestamp
      * @param {number} endTimestamp - End timestamp
      */
@@ -176,49 +183,102 @@ window.EUCGPSMap = function(containerId) {
             return;
         }
 
-        // Remove existing time range markers
-        if (components.markerRefs.timeRangeStartMarker) {
-            components.map.removeLayer(components.markerRefs.timeRangeStartMarker);
-            components.markerRefs.timeRangeStartMarker = null;
-        }
-        if (components.markerRefs.timeRangeEndMarker) {
-            components.map.removeLayer(components.markerRefs.timeRangeEndMarker);
-            components.markerRefs.timeRangeEndMarker = null;
-        }
-
         // Check if trimming is actually happening
         const firstPointTime = routeData.route_points[0].timestamp;
         const lastPointTime = routeData.route_points[routeData.route_points.length - 1].timestamp;
 
-        const isTrimmingStart = startTimestamp > (firstPointTime + 1000);
-        if (isTrimmingStart) {
-            components.markerRefs.timeRangeStartMarker = components.markerManager.registerMarker(
-                L.marker([startPoint.lat, startPoint.lng], {
-                    icon: createScissorsIcon('green'),
-                    zIndexOffset: 2000
-                }).addTo(components.map)
-            );
+        const isTrimming = startTimestamp > (firstPointTime + 1000) || endTimestamp < (lastPointTime - 1000);
+        if (!isTrimming) {
+            clearTimeRangeMarkers();
+            return;
         }
 
-        const isTrimmingEnd = endTimestamp < (lastPointTime - 1000);
-        if (isTrimmingEnd) {
-            components.markerRefs.timeRangeEndMarker = components.markerManager.registerMarker(
-                L.marker([endPoint.lat, endPoint.lng], {
-                    icon: createScissorsIcon('red'),
-                    zIndexOffset: 2000
-                }).addTo(components.map)
-            );
-        }
+        trimRange = [startTimestamp, endTimestamp];
+        placeTrimHandle('start', startPoint);
+        placeTrimHandle('end', endPoint);
 
         if (DEBUG.MAP_CORE) console.log(`[GPS MAP MAIN] Time range markers updated`);
     }
 
     /**
-     * Clear time range markers
+     * Move a trim handle to a route point (created on first use)
+     * @param {string} which - 'start' or 'end'
+     * @param {object} point - Route point { lat, lng }
+     */
+    function placeTrimHandle(which, point) {
+        const refKey = which === 'start' ? 'timeRangeStartMarker' : 'timeRangeEndMarker';
+        const marker = components.markerRefs[refKey];
+        if (marker) {
+            if (draggingTrimHandle !== which) {
+                marker.setLatLng([point.lat, point.lng]);
+            }
+            return;
+        }
+        components.markerRefs[refKey] = components.markerManager.registerMarker(
+            createTrimHandle(which, point).addTo(components.map)
+        );
+    }
+
+    /**
+     * Create a draggable trim handle. Dragging snaps it to the route and reports the new
+     * range through eucChartSync.syncRangeSelect (app.js moves the trim slider, which
+     * updates the chart trim preview, the duration badge and these markers).
+     * @param {string} which - 'start' or 'end'
+     * @param {object} point - Route point { lat, lng }
+     * @returns {object} Leaflet marker
+     */
+    function createTrimHandle(which, point) {
+        const marker = L.marker([point.lat, point.lng], {
+            icon: createScissorsIcon(which === 'start' ? 'green' : 'red'),
+            zIndexOffset: 2000,
+            draggable: true,
+            autoPan: true
+        });
+        let otherEnd = null; // The handle not being dragged stays put
+
+        marker.on('dragstart', () => {
+            draggingTrimHandle = which;
+            otherEnd = which === 'start' ? trimRange[1] : trimRange[0];
+        });
+
+        marker.on('drag', (e) => {
+            const routeData = components && components.routeData();
+            if (!routeData) return;
+            const located = locateOnPolyline(e.latlng, routeData.route_points, components.map);
+            if (!located) return;
+
+            marker.setLatLng(located.latlng);
+            // Handles cannot cross
+            const range = which === 'start'
+                ? { start: Math.min(located.timestamp, otherEnd), end: otherEnd }
+                : { start: otherEnd, end: Math.max(located.timestamp, otherEnd) };
+            if (window.eucChartSync && typeof window.eucChartSync.syncRangeSelect === 'function') {
+                window.eucChartSync.syncRangeSelect(range, 'gps-map');
+            }
+        });
+
+        marker.on('dragend', () => {
+            draggingTrimHandle = null;
+            // Settle on the route point of the selected range (or remove if back to the full ride)
+            if (trimRange) {
+                updateTimeRangeMarkers(trimRange[0], trimRange[1]);
+            } else {
+                clearTimeRangeMarkers();
+            }
+        });
+
+        return marker;
+    }
+
+    /**
+     * Clear time range markers (kept while a handle is being dragged; it settles on dragend)
      */
     function clearTimeRangeMarkers() {
         if (!initialized || !components) return;
 
+        trimRange = null;
+        if (draggingTrimHandle) return;
+
         if (components.markerRefs.timeRangeStartMarker) {
             components.map.removeLayer(components.markerRefs.timeRangeStartMarker);
             components.markerRefs.timeRangeStartMarker = null;
@@ -268,6 +328,7 @@ window.EUCGPSMap = function(containerId) {
         // Manual cleanup for components that need explicit cleanup
         // (These should ideally be migrated to use resourceManager)
         clearMapElements();
+        draggingTrimHandle = null;
         clearTimeRangeMarkers();
 
         if (components.popupManager) {
@@ -355,6 +416,50 @@ window.EUCGPSMap = function(containerId) {
         showAtTimestampFromGraph: showAtTimestampFromGraph,
         showAtIndexFromGraph: showAtIndexFromGraph,
 
+        // Current privacy mode settings (used by track exports to hide the same points)
+        getPrivacyState: function() {
+            if (!initialized || !components) return null;
+            return { ...components.privacyState };
+        },
+
+        // Active route overlay and privacy settings: { routeOverlay, privacy }
+        getViewSettings: function() {
+            if (!initialized || !components) return null;
+            return components.getViewSettings();
+        },
+
+        // Restore settings from getViewSettings() (e.g. on a new map instance, or undo)
+        applyViewSettings: function(settings) {
+            if (!initialized || !components || !settings) return;
+            components.applyViewSettings(settings);
+        },
+
+        // listener(settings) after the user switches route overlay or privacy settings in the map panels
+        onViewSettingsChange: function(listener) {
+            if (!initialized || !components) return;
+            components.setViewSettingsListener(listener);
+        },
+
+        // Colored segments of the active route overlay plus the visible overlay markers,
+        // positioned as on the map (used by GeoJSON/KML exports)
+        getRouteExportData: function() {
+            if (!initialized || !components) return null;
+            const routeData = components.routeData();
+            const active = components.routeRenderer.getActiveOverlaySegments();
+            if (!routeData || !routeData.route_points || !active) return null;
+
+            const totalPoints = routeData.route_points.length;
+            const markers = (routeData.overlays || [])
+                .filter(overlay => components.overlayState[overlay.overlayId])
+                .map(overlay => ({
+                    overlayId: overlay.overlayId,
+                    value: overlay.value,
+                    ...components.privacyFilter.getMarkerPosition(overlay, routeData.route_points, totalPoints)
+                }));
+
+            return { ...active, markers };
+        },
+
         // Switch map tile style (e.g. 'dark', 'grayscale', 'street')
         setMapStyle: function(styleName) {
             if (!initialized || !components) return;
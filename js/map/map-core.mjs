@@ -183,6 +183,7 @@ export function createMapComponents(map, mapLayers) {
 
     let mouseZoomEnabled = false;
     let routeData = null;
+    let viewSettingsListener = null; // Told when the user switches route overlay or privacy settings
 
     // Create component instances
     const markerManager = createMarkerManager();
@@ -335,6 +336,10 @@ export function createMapComponents(map, mapLayers) {
             return mapLayers.current;
         },
 
+        onViewSettingsChange: () => {
+            if (viewSettingsListener) viewSettingsListener(getViewSettings());
+        },
+
         reloadRoute: () => {
             if (routeData) {
                 clearMap(map, markerRefs, routeRenderer, popupManager, privacyFilter);
@@ -373,6 +378,45 @@ export function createMapComponents(map, mapLayers) {
         mouseZoomEnabled: mouseZoomEnabled
     };
 
+    /**
+     * @returns {object} { routeOverlay (active route overlay ID or null), privacy (copy of privacyState) }
+     */
+    function getViewSettings() {
+        return {
+            routeOverlay: routeIds.find(id => overlayState[id]) || null,
+            privacy: { ...privacyState }
+        };
+    }
+
+    /**
+     * Switch route overlay and privacy settings (e.g. back to earlier ones), updating the
+     * panels and the drawn route. The view settings listener is not told.
+     * @param {object} settings - From getViewSettings()
+     */
+    function applyViewSettings(settings) {
+        const privacyChanged = Object.keys(settings.privacy).some(key => settings.privacy[key] !== privacyState[key]);
+        Object.assign(privacyState, settings.privacy);
+        panels.privacyPanelApi.updateControls();
+
+        const overlayChanged = settings.routeOverlay && !overlayState[settings.routeOverlay];
+        if (overlayChanged) {
+            for (const id of routeIds) {
+                overlayState[id] = (id === settings.routeOverlay);
+            }
+            panels.routePanelApi.updateButtonStates();
+        }
+
+        if (!routeData) return; // Drawn with these settings when the route is set
+        if (privacyChanged) {
+            callbacks.reloadRoute();
+        } else if (overlayChanged) {
+            for (const id of routeIds) {
+                routeRenderer.updateOverlayVisibility(id, overlayState[id]);
+            }
+            callbacks.onLegendUpdate();
+        }
+    }
+
     // Create UI controls
     const controlContainer = createMapControls(map, callbacks);
     map.getContainer().appendChild(controlContainer);
@@ -414,7 +458,10 @@ export function createMapComponents(map, mapLayers) {
         panels,
         callbacks,
         routeData: () => routeData,
-        setRouteData: (data) => { routeData = data; }
+        setRouteData: (data) => { routeData = data; },
+        getViewSettings,
+        applyViewSettings,
+        setViewSettingsListener: (listener) => { viewSettingsListener = listener; }
     };
 }
 
@@ -448,6 +495,11 @@ export function loadRouteData(gpsRouteData, map, markerRefs, markerManager, mark
         return false;
     }
 
+    // Comparison ride, hidden near home the same way
+    if (gpsRouteData.comparison_route) {
+        routeRenderer.renderComparisonRoute(privacyFilter.applyPrivacyFilter(gpsRouteData.comparison_route));
+    }
+
     // Set route data for position tracker
     positionTracker.setRouteData(gpsRouteData);
 
@@ -538,15 +590,6 @@ function addDataPointMarkers(routeData, map, markerManager, markerIcons, overlay
     }
 
 
-    // Helper to handle privacy zone boundary
-    const getBoundaryPoint = (overlay) => {
-        if (privacyFilter.isInPrivacyZone(overlay.index, originalTotalPoints)) {
-            const boundary = privacyFilter.getPrivacyBoundary(overlay.index, routeData.route_points, originalTotalPoints);
-            return boundary || { lat: overlay.lat, lng: overlay.lng };
-        }
-        return { lat: overlay.lat, lng: overlay.lng };
-    };
-
     // Get overlay configuration from window
     const overlayConfig = window.EUCOverlayConfig;
     if (!overlayConfig) {
@@ -578,7 +621,7 @@ function addDataPointMarkers(routeData, map, markerManager, markerIcons, overlay
         }
 
         // Get boundary-adjusted position
-        const point = getBoundaryPoint(overlay);
+        const point = privacyFilter.getMarkerPosition(overlay, routeData.route_points, originalTotalPoints);
 
         // Format value with units
         const formattedValue = overlayConfig.utils.formatValue(value, overlayId);
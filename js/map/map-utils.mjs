@@ -382,8 +382,17 @@ export function createGenericRouteSegments(routePoints, overlayConfig, colorFunc
 
     if (DEBUG.MAP_UTILS) console.log(`[MAP UTILS] Creating ${overlayConfig.id} segments: field=${overlayConfig.field}, min=${min.toFixed(1)}, max=${max.toFixed(1)}, segmentSize=${segmentSize}`);
 
-    for (let i = 0; i < routePoints.length - segmentSize; i += segmentSize) {
-        const segmentPoints = routePoints.slice(i, i + segmentSize + 1);
+    for (let i = 0, step = segmentSize; i < routePoints.length - segmentSize; i += step) {
+        let segmentPoints = routePoints.slice(i, i + segmentSize + 1);
+
+        // Never color across a join of merged logs: end the segment there, continue from the join
+        step = segmentSize;
+        const joinAt = segmentPoints.findIndex((p, k) => k > 0 && p.gapBefore);
+        if (joinAt > 0) {
+            segmentPoints = segmentPoints.slice(0, joinAt);
+            step = joinAt;
+            if (segmentPoints.length < 2) continue;
+        }
 
         // Calculate average value for this segment
         let values;
@@ -420,7 +429,7 @@ export function createGenericRouteSegments(routePoints, overlayConfig, colorFunc
             value: avg,
             color: color,
             startIndex: i,
-            endIndex: Math.min(i + segmentSize, routePoints.length - 1),
+            endIndex: i + segmentPoints.length - 1,
             startPoint: segmentPoints[0],
             endPoint: segmentPoints[segmentPoints.length - 1],
             segmentPoints: segmentPoints
@@ -439,20 +448,44 @@ export function createGenericRouteSegments(routePoints, overlayConfig, colorFunc
  * @returns {object} Nearest point LatLng on the route
  */
 export function projectToPolyline(cursorLatLng, routePoints, map) {
+    const located = locateOnPolyline(cursorLatLng, routePoints, map);
+    return located ? located.latlng : null;
+}
+
+/**
+ * Nearest point along the route polyline with its place in the ride
+ * The dashed connectors across joins (gapBefore) are not part of the ride, so points
+ * there snap to the nearest real segment instead of a time inside the gap.
+ * @param {object} cursorLatLng - Cursor position LatLng
+ * @param {Array} routePoints - Array of GPS route points
+ * @param {object} map - Leaflet map instance
+ * @returns {object|null} { latlng, index (segment start point), timestamp (interpolated, ms) }
+ */
+export function locateOnPolyline(cursorLatLng, routePoints, map) {
     if (!routePoints || routePoints.length < 2) return null;
 
-    let bestPoint = null;
+    let best = null;
     let bestDist = Infinity;
 
     for (let i = 0; i < routePoints.length - 1; i++) {
+        if (routePoints[i + 1].gapBefore) continue;
         const p1 = L.latLng(routePoints[i].lat, routePoints[i].lng);
         const p2 = L.latLng(routePoints[i + 1].lat, routePoints[i + 1].lng);
         const p = closestPointOnSegment(cursorLatLng, p1, p2, map);
         const d = map.distance(cursorLatLng, p);
         if (d < bestDist) {
             bestDist = d;
-            bestPoint = p;
+            best = { latlng: p, index: i, p1, p2 };
         }
     }
-    return bestPoint;
+    if (!best) return null;
+
+    const position = calculatePositionOnLineSegment(best.latlng, best.p1, best.p2, map);
+    const start = routePoints[best.index].timestamp;
+    const end = routePoints[best.index + 1].timestamp;
+    return {
+        latlng: best.latlng,
+        index: best.index,
+        timestamp: Math.round(start + (end - start) * position)
+    };
 }
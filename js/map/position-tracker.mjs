@@ -135,7 +135,8 @@ export function createPositionTracker(map, components) {
 
                 if (nearEdge || options.center) {
                     if (DEBUG.POSITION_TRACKER) console.log(`[POSITION TRACKER] Edge triggered - centering map`);
-                    map.panTo(components.markerRefs.currentMarker.getLatLng(), { animate: true, duration: 0.15 });
+                    // animate: false for continuous updates (playback follow camera)
+                    map.panTo(components.markerRefs.currentMarker.getLatLng(), { animate: options.animate !== false, duration: 0.15 });
                 }
             }
 
@@ -87,6 +87,22 @@ export function createPrivacyFilter(privacyState) {
             return null;
         },
 
+        /**
+         * Get the displayed position of an overlay marker
+         * Markers inside a privacy zone are moved to the nearest visible route point.
+         * @param {object} overlay - Overlay from route data { index, lat, lng }
+         * @param {Array} routePoints - Array of GPS route points (unfiltered)
+         * @param {number} totalPoints - Total number of points in route
+         * @returns {object} { lat, lng }
+         */
+        getMarkerPosition(overlay, routePoints, totalPoints) {
+            if (this.isInPrivacyZone(overlay.index, totalPoints)) {
+                const boundary = this.getPrivacyBoundary(overlay.index, routePoints, totalPoints);
+                return boundary ? { lat: boundary.lat, lng: boundary.lng } : { lat: overlay.lat, lng: overlay.lng };
+            }
+            return { lat: overlay.lat, lng: overlay.lng };
+        },
+
         /**
          * Update or create privacy mode badge
          * @param {object} map - Leaflet map instance
@@ -165,9 +181,10 @@ export function createPrivacyFilter(privacyState) {
  * Create privacy panel content for UI controls
  * @param {object} privacyState - Privacy mode state object
  * @param {Function} reloadRoute - Callback to reload route with new privacy settings
- * @returns {HTMLElement} Privacy panel DOM element
+ * @param {Function} onChange - Called after the user changes a setting
+ * @returns {object} { container, updateControls() }
  */
-export function createPrivacyPanelContent(privacyState, reloadRoute) {
+export function createPrivacyPanelContent(privacyState, reloadRoute, onChange = () => {}) {
     const container = document.createElement('div');
 
     // Panel header
@@ -194,6 +211,7 @@ export function createPrivacyPanelContent(privacyState, reloadRoute) {
         privacyToggleContainer.classList.toggle('active', privacyState.enabled);
         console.log(`[PRIVACY FILTER] Privacy mode ${privacyState.enabled ? 'enabled' : 'disabled'}`);
         reloadRoute(); // Reload route with privacy filter applied
+        onChange();
     });
 
     // Zone selection checkboxes
@@ -225,6 +243,7 @@ export function createPrivacyPanelContent(privacyState, reloadRoute) {
         hideStartContainer.classList.toggle('active', privacyState.hideStart);
         console.log(`[PRIVACY FILTER] Hide start: ${privacyState.hideStart}`);
         if (privacyState.enabled) reloadRoute();
+        onChange();
     });
 
     // Hide end checkbox
@@ -247,6 +266,7 @@ export function createPrivacyPanelContent(privacyState, reloadRoute) {
         hideEndContainer.classList.toggle('active', privacyState.hideEnd);
         console.log(`[PRIVACY FILTER] Hide end: ${privacyState.hideEnd}`);
         if (privacyState.enabled) reloadRoute();
+        onChange();
     });
 
     // Zone size slider
@@ -284,6 +304,7 @@ export function createPrivacyPanelContent(privacyState, reloadRoute) {
         L.DomEvent.stopPropagation(e);
         console.log(`[PRIVACY FILTER] Privacy zone size: ${privacyState.zoneSize} points`);
         if (privacyState.enabled) reloadRoute();
+        onChange();
     });
 
     // Info text
@@ -299,5 +320,22 @@ export function createPrivacyPanelContent(privacyState, reloadRoute) {
         line-height: 1.4;
     `;
 
-    return container;
+    /**
+     * Show privacyState in the controls (after it was changed from outside the panel)
+     */
+    function updateControls() {
+        privacyToggleSwitch.checked = privacyState.enabled;
+        privacyToggleContainer.classList.toggle('active', privacyState.enabled);
+        hideStartCheckbox.checked = privacyState.hideStart;
+        hideStartContainer.classList.toggle('active', privacyState.hideStart);
+        hideEndCheckbox.checked = privacyState.hideEnd;
+        hideEndContainer.classList.toggle('active', privacyState.hideEnd);
+        zoneSizeSlider.value = privacyState.zoneSize;
+        const valueSpan = zoneSizeLabel.querySelector('#zone-size-value');
+        if (valueSpan) {
+            valueSpan.textContent = privacyState.zoneSize;
+        }
+    }
+
+    return { container, updateControls };
 }
@@ -6,6 +6,7 @@
  * - Lazy generation with per-overlay cache
  * - Generic segment creation for any numeric field
  * - Hit area for mouse tracking
+ * - Comparison ride route (dashed, single color)
  */
 
 import { createGenericRouteSegments, getSpeedColor, getPWMColor, getElevationColor, getBatteryColor } from './map-utils.mjs';
@@ -29,6 +30,8 @@ export function createRouteRenderer(map, overlayState) {
     // Cache keyed by overlay ID: { [id]: { polylines: [], rawSegments: [], min, max } }
     const segmentCache = {};
     let routeHitPolyline = null;
+    let joinPolylines = []; // Dashed connectors across joins of merged logs
+    let comparisonPolyline = null; // Route of the comparison ride
     let cachedRoutePoints = null;
     let activeOverlayId = null;
 
@@ -121,6 +124,18 @@ export function createRouteRenderer(map, overlayState) {
 
             if (DEBUG.ROUTE_RENDERER) console.log('[ROUTE RENDERER] Lazy generation: only active route generated');
 
+            // Gaps between merged logs: dashed, uncolored
+            for (let i = 1; i < routePoints.length; i++) {
+                if (!routePoints[i].gapBefore) continue;
+                joinPolylines.push(L.polyline([routeCoords[i - 1], routeCoords[i]], {
+                    color: '#808080',
+                    weight: 4,
+                    opacity: 0.8,
+                    dashArray: '6, 8',
+                    interactive: false
+                }).addTo(map));
+            }
+
             // Invisible wide hit area for mouse tracking
             routeHitPolyline = L.polyline(routeCoords, {
                 color: 'transparent',
@@ -136,6 +151,33 @@ export function createRouteRenderer(map, overlayState) {
             };
         },
 
+        /**
+         * Draw the comparison ride's route (below the hit area, so hover still tracks the main route)
+         * @param {Array} routePoints - Filtered comparison route points ({ lat, lng, gapBefore })
+         */
+        renderComparisonRoute(routePoints) {
+            if (routePoints.length < 2) return;
+
+            // Sections split at joins of merged logs
+            const sections = [[]];
+            routePoints.forEach(point => {
+                if (point.gapBefore) sections.push([]);
+                sections[sections.length - 1].push([point.lat, point.lng]);
+            });
+
+            comparisonPolyline = L.polyline(sections, {
+                color: '#ff00ff',
+                weight: 4,
+                opacity: 0.85,
+                dashArray: '10, 8',
+                interactive: false
+            }).addTo(map);
+
+            if (routeHitPolyline) {
+                routeHitPolyline.bringToFront();
+            }
+        },
+
         /**
          * Update overlay visibility — generic for any overlay ID
          * @param {string} overlayId - Overlay identifier from config
@@ -183,6 +225,24 @@ export function createRouteRenderer(map, overlayState) {
             };
         },
 
+        /**
+         * Get the generated segments of the active overlay (for route exports)
+         * @returns {object|null} { overlayId, config, segments, min, max }
+         */
+        getActiveOverlaySegments() {
+            if (!activeOverlayId) return null;
+            const cached = segmentCache[activeOverlayId];
+            if (!cached) return null;
+            const routeConfig = window.EUCOverlayConfig?.routes || {};
+            return {
+                overlayId: activeOverlayId,
+                config: routeConfig[activeOverlayId],
+                segments: cached.rawSegments,
+                min: cached.min,
+                max: cached.max
+            };
+        },
+
         /**
          * Clear all route segments and hit polyline
          */
@@ -202,6 +262,26 @@ export function createRouteRenderer(map, overlayState) {
                 delete segmentCache[id];
             }
 
+            // Clear join connectors
+            joinPolylines.forEach(polyline => {
+                try {
+                    map.removeLayer(polyline);
+                } catch (err) {
+                    if (DEBUG.ROUTE_RENDERER) console.log('[ROUTE RENDERER] Join polyline removal error (expected during destroy):', err.message);
+                }
+            });
+            joinPolylines = [];
+
+            // Clear comparison route
+            if (comparisonPolyline) {
+                try {
+                    map.removeLayer(comparisonPolyline);
+                } catch (err) {
+                    if (DEBUG.ROUTE_RENDERER) console.log('[ROUTE RENDERER] Comparison polyline removal error (expected during destroy):', err.message);
+                }
+                comparisonPolyline = null;
+            }
+
             // Clear hit polyline
             if (routeHitPolyline) {
                 try {
@@ -176,7 +176,8 @@ export function createCollapsiblePanels(map, overlayState, callbacks, privacySta
 
     // Route overlays panel (dynamic from config)
     panels.routesPanel = createPanel(map, 'routes-overlay-panel');
-    const routePanelResult = createRoutePanelContent(overlayState, callbacks.updateRouteOverlay, callbacks.onLegendUpdate);
+    const routePanelResult = createRoutePanelContent(overlayState, callbacks.updateRouteOverlay, callbacks.onLegendUpdate,
+        callbacks.onViewSettingsChange);
     panels.routesPanel.panel.appendChild(routePanelResult.container);
     panels.routePanelApi = routePanelResult;
 
@@ -192,8 +193,9 @@ export function createCollapsiblePanels(map, overlayState, callbacks, privacySta
 
     // Privacy mode panel
     panels.privacyPanel = createPanel(map, 'privacy-panel');
-    const privacyContent = createPrivacyPanelContent(privacyState, callbacks.reloadRoute);
-    panels.privacyPanel.panel.appendChild(privacyContent);
+    const privacyPanelResult = createPrivacyPanelContent(privacyState, callbacks.reloadRoute, callbacks.onViewSettingsChange);
+    panels.privacyPanel.panel.appendChild(privacyPanelResult.container);
+    panels.privacyPanelApi = privacyPanelResult;
 
     return panels;
 }
@@ -229,9 +231,10 @@ function createPanel(map, id) {
  * @param {Function} updateCallback - Route overlay update callback
  * @param {Function} onLegendUpdate - Legend update callback
  * @param {Function} updateAllButtonStates - State refresh callback
+ * @param {Function} onSelect - Called after the user switches overlay
  */
 function createRouteButtonGroup(container, groupName, routes, buttonMap, legendMap,
-                                 overlayState, allRouteIds, updateCallback, onLegendUpdate, updateAllButtonStates) {
+                                 overlayState, allRouteIds, updateCallback, onLegendUpdate, updateAllButtonStates, onSelect) {
     // Group header
     const groupHeader = L.DomUtil.create('div', 'route-group-header', container);
     groupHeader.textContent = groupName;
@@ -270,6 +273,7 @@ function createRouteButtonGroup(container, groupName, routes, buttonMap, legendM
             if (onLegendUpdate) onLegendUpdate(cfg.id);
 
             console.log(`[UI CONTROLS] Switched to ${cfg.label}`);
+            if (onSelect) onSelect(cfg.id);
         });
 
         buttonMap[cfg.id] = button;
@@ -294,9 +298,10 @@ function createRouteButtonGroup(container, groupName, routes, buttonMap, legendM
  * @param {object} overlayState - Overlay visibility state
  * @param {Function} updateCallback - Callback to update overlay visibility
  * @param {Function} onLegendUpdate - Callback to update the route legend
- * @returns {object} { container, updateAvailability(routePoints) }
+ * @param {Function} onSelect - Called after the user switches overlay
+ * @returns {object} { container, updateAvailability(routePoints), updateLegend(stats), updateButtonStates() }
  */
-function createRoutePanelContent(overlayState, updateCallback, onLegendUpdate) {
+function createRoutePanelContent(overlayState, updateCallback, onLegendUpdate, onSelect) {
     const container = document.createElement('div');
 
     createPanelHeader(container, '\u{1F6E4}\uFE0F', 'Route Overlays');
@@ -343,7 +348,7 @@ function createRoutePanelContent(overlayState, updateCallback, onLegendUpdate) {
     const orderedGroups = routeGroups.filter(g => grouped[g]);
     for (const groupName of orderedGroups) {
         createRouteButtonGroup(container, groupName, grouped[groupName], buttonMap, legendMap,
-                                overlayState, allRouteIds, updateCallback, onLegendUpdate, updateAllButtonStates);
+                                overlayState, allRouteIds, updateCallback, onLegendUpdate, updateAllButtonStates, onSelect);
     }
 
     /**
@@ -427,7 +432,7 @@ function createRoutePanelContent(overlayState, updateCallback, onLegendUpdate) {
         }
     }
 
-    return { container, updateAvailability, updateLegend };
+    return { container, updateAvailability, updateLegend, updateButtonStates: updateAllButtonStates };
 }
 
 // ==================== Overlay Panel ====================
@@ -120,10 +120,13 @@ export function calculateOverviewStats(data, { detectedMode, flipPWM }) {
     const series = data.series;
     const timestamps = data.timestamps;
     const metadata = data.metadata || {};
+    // Time cut out of the middle of the ride (see ride-exclusion.js) is not ride time
+    const excludedSeconds = (data.excluded || []).reduce((sum, cut) => sum + cut.end - cut.start, 0) / 1000;
 
     // Calculate all ride statistics once (single source of truth)
-    // Cache on data object so convertGPSRouteData() can reuse without recalculating
-    const rideStats = calculateRideStats(data, { detectedMode, flipPWM });
+    // Cache on data object so convertGPSRouteData() can reuse without recalculating.
+    // Reuse stats already computed by the CSV worker (cleared whenever data changes).
+    const rideStats = data.rideStats || calculateRideStats(data, { detectedMode, flipPWM });
     data.rideStats = rideStats;
 
     // GROUP 1: Date & Time Info
@@ -149,7 +152,7 @@ export function calculateOverviewStats(data, { detectedMode, flipPWM }) {
         });
 
         if (timestamps.length > 1) {
-            const journeySeconds = (timestamps[timestamps.length - 1] - timestamps[0]) / 1000;
+            const journeySeconds = (timestamps[timestamps.length - 1] - timestamps[0]) / 1000 - excludedSeconds;
             stats.push({
                 label: '⏰ Journey Time',
                 value: formatDuration(journeySeconds),
@@ -160,10 +163,10 @@ export function calculateOverviewStats(data, { detectedMode, flipPWM }) {
 
     // Ride Time (time while moving, speed > 0)
     if (series.speed && timestamps && timestamps.length > 1) {
-        const validSpeed = series.speed.filter(v => v !== null && !isNaN(v) && v > 0);
-        const totalSeconds = (timestamps[timestamps.length - 1] - timestamps[0]) / 1000;
+        const movingPoints = series.speed.countValid(v => v > 0);
+        const totalSeconds = (timestamps[timestamps.length - 1] - timestamps[0]) / 1000 - excludedSeconds;
         const timePerPoint = totalSeconds / (timestamps.length - 1);
-        const rideSeconds = validSpeed.length * timePerPoint;
+        const rideSeconds = movingPoints * timePerPoint;
         stats.push({
             label: '⏳ Ride Time',
             value: formatDuration(rideSeconds),
@@ -4,10 +4,13 @@
  * Ported from Python processors/base_processor.py
  */
 
+import { parseLocaleNumber } from './csv-dialect.js';
+
 export class BaseProcessor {
     constructor() {
         this.detectedMode = 1; // Auto-detected PWM mode (1 or 2)
         this.flipPWM = false;  // User-controlled transformation toggle
+        this.decimalComma = false; // Set from CSV dialect detection ('23,5' values)
         this.numericColumns = [];
     }
 
@@ -46,6 +49,26 @@ export class BaseProcessor {
         console.log(`[${this.getFormatName()}] PWM flip: ${flip ? 'ENABLED' : 'DISABLED'}`);
     }
 
+    /**
+     * Set decimal separator handling for numeric columns
+     * @param {boolean} enabled - Whether values use ',' as decimal separator
+     */
+    setDecimalComma(enabled) {
+        this.decimalComma = enabled;
+        if (enabled) {
+            console.log(`[${this.getFormatName()}] Decimal comma parsing: ENABLED`);
+        }
+    }
+
+    /**
+     * Parse a single numeric value, honoring the decimal separator setting
+     * @param {*} value - Raw value
+     * @returns {number} Parsed number (NaN if invalid)
+     */
+    parseNumber(value) {
+        return parseLocaleNumber(value, this.decimalComma);
+    }
+
     /**
      * Auto-detect PWM orientation mode by analyzing first 10 valid values
      *
@@ -115,7 +138,7 @@ export class BaseProcessor {
             if (value === null || value === undefined || value === '') {
                 return null;
             }
-            const num = parseFloat(value);
+            const num = this.parseNumber(value);
             return isNaN(num) ? null : num;
         });
     }
@@ -127,12 +150,10 @@ export class BaseProcessor {
      * @returns {Date} Parsed date object
      */
     parseDateTime(dateStr, timeStr = null) {
-        if (timeStr) {
-            // Combine date and time
-            const combined = `${dateStr} ${timeStr}`;
-            return new Date(combined);
-        }
-        return new Date(dateStr);
+        // Combine date and time
+        const combined = timeStr ? `${dateStr} ${timeStr}` : String(dateStr);
+        // Decimal-comma locales write fractional seconds as '10:00:00,500'
+        return new Date(combined.replace(/(\d{1,2}:\d{2}:\d{2}),(\d+)/, '$1.$2'));
     }
 
     /**
@@ -263,34 +284,52 @@ export class BaseProcessor {
         const latData = this.extractSeries(parsedData, 'gps_lat') || this.extractSeries(parsedData, 'latitude');
         const lonData = this.extractSeries(parsedData, 'gps_lon') || this.extractSeries(parsedData, 'longitude');
 
-        if (!latData || !lonData) {
-            return { has_gps: false, coordinates: [], originalIndices: [] };
+        const gpsRoute = this.buildGPSRoute(latData, lonData);
+        if (latData) {
+            console.log(`[${this.getFormatName()}] GPS route: ${gpsRoute.total_points} valid points from ${latData.length} total rows`);
         }
+        return gpsRoute;
+    }
 
-        // Filter valid coordinates and track original row indices
-        const coordinates = [];
-        const originalIndices = [];  // Track which CSV row each coordinate came from
-
-        for (let i = 0; i < Math.min(latData.length, lonData.length); i++) {
-            const lat = latData[i];
-            const lon = lonData[i];
+    /**
+     * Build a row-aligned GPS route from latitude/longitude series
+     * Rows without a valid fix are null in both arrays, so lat[i]/lon[i] stay aligned
+     * with timestamps[i] and every other series.
+     * @param {Array|null} latData - Latitude series
+     * @param {Array|null} lonData - Longitude series
+     * @returns {Object} { has_gps, lat, lon, total_points }
+     */
+    buildGPSRoute(latData, lonData) {
+        if (!latData || !lonData) {
+            return { has_gps: false, lat: null, lon: null, total_points: 0 };
+        }
 
-            if (lat !== null && lon !== null && !isNaN(lat) && !isNaN(lon)) {
-                // Validate reasonable GPS coordinates
-                if (lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180) {
-                    coordinates.push([lat, lon]);
-                    originalIndices.push(i);  // Store original CSV row index
-                }
+        const length = Math.min(latData.length, lonData.length);
+        const lat = new Array(length);
+        const lon = new Array(length);
+        let validPoints = 0;
+
+        for (let i = 0; i < length; i++) {
+            const la = latData[i];
+            const lo = lonData[i];
+
+            // Validate reasonable GPS coordinates
+            if (la !== null && lo !== null && !isNaN(la) && !isNaN(lo) &&
+                la >= -90 && la <= 90 && lo >= -180 && lo <= 180) {
+                lat[i] = la;
+                lon[i] = lo;
+                validPoints++;
+            } else {
+                lat[i] = null;
+                lon[i] = null;
             }
         }
 
-        console.log(`[${this.getFormatName()}] GPS route: ${coordinates.length} valid points from ${latData.length} total rows`);
-
         return {
-            has_gps: coordinates.length > 0,
-            coordinates: coordinates,
-            originalIndices: originalIndices,  // NEW: Maps coords[i] → original CSV row index
-            total_points: coordinates.length
+            has_gps: validPoints > 0,
+            lat: lat,
+            lon: lon,
+            total_points: validPoints
         };
     }
 
@@ -0,0 +1,144 @@
+/**
+ * CSV Dialect Detection
+ * Detects the field delimiter and decimal separator of a CSV file so format
+ * detection, Papa Parse and the processors all read the file the same way.
+ * European locales commonly export ';' or tab separated files with '23,5' decimals.
+ */
+
+export const SUPPORTED_DELIMITERS = [',', ';', '\t'];
+
+// Lines sampled after the header when checking delimiter consistency / decimals
+const SAMPLE_LINES = 10;
+
+const DECIMAL_COMMA_PATTERN = /^[+-]?\d{1,3}(\.\d{3})*,\d+$|^[+-]?\d+,\d+$/;
+
+// Digit grouping and decimal separator of each dialect ('1,234.5' or '1.234,5')
+const NUMBER_SEPARATORS = {
+    dot: { group: ',', grouped: /^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/, decimal: '.' },
+    comma: { group: '.', grouped: /^[+-]?\d{1,3}(\.\d{3})+(,\d+)?$/, decimal: ',' }
+};
+
+/**
+ * Count delimiter occurrences outside double-quoted sections
+ * @param {string} line - CSV line
+ * @param {string} delimiter - Delimiter character
+ * @returns {number} Occurrence count
+ */
+function countDelimiter(line, delimiter) {
+    let count = 0;
+    let inQuotes = false;
+    for (const char of line) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (char === delimiter && !inQuotes) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Get the first lines of the content (header plus sample rows)
+ * @param {string} csvContent - Raw CSV content
+ * @returns {Array<string>} Non-empty lines
+ */
+function getSampleLines(csvContent) {
+    // Avoid splitting the whole file for multi-megabyte logs
+    const head = csvContent.slice(0, 64 * 1024);
+    return head.split('\n')
+        .map(line => line.replace(/\r$/, ''))
+        .filter(line => line.trim() !== '')
+        .slice(0, SAMPLE_LINES + 1);
+}
+
+/**
+ * Detect the field delimiter
+ * Picks the candidate with the most header columns that is also consistent
+ * across the sampled data rows. Defaults to ','.
+ * @param {string} csvContent - Raw CSV content
+ * @returns {string} Delimiter (',', ';' or '\t')
+ */
+export function detectDelimiter(csvContent) {
+    const lines = getSampleLines(csvContent);
+    if (lines.length === 0) return ',';
+
+    let best = ',';
+    let bestScore = 0;
+
+    for (const delimiter of SUPPORTED_DELIMITERS) {
+        const headerCount = countDelimiter(lines[0], delimiter);
+        if (headerCount === 0) continue;
+
+        const rows = lines.slice(1);
+        const consistent = rows.filter(line => countDelimiter(line, delimiter) === headerCount).length;
+        // Header column count, weighted by how many sample rows agree with it
+        const score = headerCount * (rows.length > 0 ? consistent / rows.length : 1);
+
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Detect decimal-comma numbers ('23,5')
+ * Only possible when the delimiter is not a comma.
+ * @param {string} csvContent - Raw CSV content
+ * @param {string} delimiter - Field delimiter
+ * @returns {boolean} True if sampled values use ',' as decimal separator
+ */
+export function detectDecimalComma(csvContent, delimiter = detectDelimiter(csvContent)) {
+    if (delimiter === ',') return false;
+
+    let commaValues = 0;
+    let dotValues = 0;
+
+    for (const line of getSampleLines(csvContent).slice(1)) {
+        for (const rawValue of line.split(delimiter)) {
+            const value = rawValue.trim().replace(/^"|"$/g, '');
+            if (DECIMAL_COMMA_PATTERN.test(value)) {
+                commaValues++;
+            } else if (/^[+-]?\d+\.\d+$/.test(value)) {
+                dotValues++;
+            }
+        }
+    }
+
+    return commaValues > dotValues;
+}
+
+/**
+ * Detect delimiter and decimal separator together
+ * @param {string} csvContent - Raw CSV content
+ * @returns {Object} { delimiter, decimalComma }
+ */
+export function detectCSVDialect(csvContent) {
+    const delimiter = detectDelimiter(csvContent);
+    return { delimiter, decimalComma: detectDecimalComma(csvContent, delimiter) };
+}
+
+/**
+ * Parse a number written with the file's separators
+ * The dialect decides which character groups thousands and which one is the decimal
+ * separator, so '1.234' is 1234 in a decimal-comma file, like '1.234,5' is 1234.5.
+ * @param {*} value - Raw value
+ * @param {boolean} decimalComma - Whether ',' is the decimal separator ('.' groups thousands)
+ * @returns {number} Parsed number (NaN if invalid)
+ */
+export function parseLocaleNumber(value, decimalComma = false) {
+    if (typeof value === 'number') return value;
+    if (value === null || value === undefined) return NaN;
+
+    const separators = decimalComma ? NUMBER_SEPARATORS.comma : NUMBER_SEPARATORS.dot;
+    let str = String(value).trim();
+    if (str.includes(separators.group) && separators.grouped.test(str)) {
+        str = str.split(separators.group).join('');
+    }
+    if (decimalComma) {
+        str = str.replace(',', '.');
+    }
+    return parseFloat(str);
+}
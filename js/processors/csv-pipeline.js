@@ -0,0 +1,155 @@
+/**
+ * CSV Processing Pipeline
+ * Parse → process → ride stats for one file, or for several logs of one ride merged
+ * into a single timeline (see ride-merge.js). Runs inside js/workers/csv-worker.js,
+ * or on the main thread as a fallback when workers are unavailable.
+ * Expects Papa Parse as a global (window.Papa / self.Papa).
+ */
+
+import './index.js';
+import { createProcessor } from './processor-registry.js';
+import { FormatDetector } from './format-detector.js';
+import { GenericProcessor } from './generic-processor.js';
+import { detectCSVDialect } from './csv-dialect.js';
+import { getPartTimeRanges, orderRideParts, finishMergedRide } from './ride-merge.js';
+import { calculateRideStats } from '../ride-stats.js';
+
+// Minimum progress change (percent) between parse progress reports
+const PROGRESS_STEP = 2;
+
+/**
+ * Create the processor described by a job
+ * @param {Object} job - { format } for a registered format or { profile } for a column mapping profile
+ * @returns {BaseProcessor} Processor instance
+ */
+export function createJobProcessor(job) {
+    const processor = job.profile ? new GenericProcessor(job.profile) : createProcessor(job.format);
+    if (!processor) {
+        throw new Error(`Unsupported format: ${job.format}`);
+    }
+    if (job.flipPWM) {
+        processor.setPWMFlip(true);
+    }
+    return processor;
+}
+
+/**
+ * Papa Parse options for a job (shared with lazy re-parsing on the main thread)
+ * @param {Object} job - Job description
+ * @param {Object} dialect - { delimiter, decimalComma }
+ * @returns {Object} Papa Parse config
+ */
+export function getParseConfig(job, dialect) {
+    return {
+        header: true,
+        dynamicTyping: false, // Keep as strings, let processors handle conversion
+        skipEmptyLines: true,
+        delimiter: dialect.delimiter,
+        // Registered formats match headers case-insensitively onto the processor's columns
+        transformHeader: job.profile ? undefined : FormatDetector.createHeaderTransform(job.format)
+    };
+}
+
+/**
+ * Run the full pipeline
+ * Several contents are logs of one ride: their rows are processed as one file in
+ * timeline order (job.filenames names each content, for ordering errors).
+ * @param {string|Array<string>} csvContent - Raw CSV content, or one per log
+ * @param {Object} job - Job description (see createJobProcessor)
+ * @param {Function} onProgress - Called with { stage, percent }
+ * @returns {Object} { processedData, headers, dialect, detectedMode }, plus
+ *   dialects and partOrder (content indices in timeline order) for several logs
+ */
+export function runCSVPipeline(csvContent, job, onProgress = () => {}) {
+    const contents = Array.isArray(csvContent) ? csvContent : [csvContent];
+    const names = job.filenames || contents.map((_, i) => job.filename || `file ${i + 1}`);
+    const dialects = contents.map(content => detectCSVDialect(content));
+    const dialect = dialects[0];
+    if (dialects.some(d => d.decimalComma !== dialect.decimalComma)) {
+        throw new Error('The logs use different decimal separators and cannot be merged');
+    }
+
+    // Parse (0-60%)
+    const partRows = [];
+    let headers = [];
+    let lastPercent = -PROGRESS_STEP;
+    let parsedLength = 0;
+    const totalLength = contents.reduce((sum, content) => sum + content.length, 0);
+
+    onProgress({ stage: 'parsing', percent: 0 });
+    contents.forEach((content, part) => {
+        const rows = [];
+        let parseError = null;
+
+        Papa.parse(content, {
+            ...getParseConfig(job, dialects[part]),
+            step: (results) => {
+                rows.push(results.data);
+                // Merged logs may differ in columns; keep every header, first seen first
+                if (results.meta.fields && rows.length === 1) {
+                    headers = headers.concat(results.meta.fields.filter(h => !headers.includes(h)));
+                }
+
+                const percent = Math.floor(((parsedLength + results.meta.cursor) / totalLength) * 60);
+                if (percent - lastPercent >= PROGRESS_STEP) {
+                    lastPercent = percent;
+                    onProgress({ stage: 'parsing', percent });
+                }
+            },
+            error: (error) => { parseError = error; }
+        });
+
+        if (parseError) {
+            throw new Error(`Error parsing ${contents.length > 1 ? names[part] : 'CSV'}: ${parseError.message}`);
+        }
+        if (rows.length === 0) {
+            throw new Error(contents.length > 1 ? `${names[part]} contains no data rows` : 'CSV file contains no data rows');
+        }
+        partRows.push(rows);
+        parsedLength += content.length;
+    });
+
+    // Process (60-85%)
+    onProgress({ stage: 'processing', percent: 60 });
+    const process = (order) => {
+        const processor = createJobProcessor(job);
+        processor.setDecimalComma(dialect.decimalComma);
+        const rows = order.length === 1 ? partRows[order[0]] : order.flatMap(part => partRows[part]);
+        return { processor, processedData: processor.processCSV(rows, job.filename || names[order[0]] || '') };
+    };
+
+    let partOrder = contents.map((_, i) => i);
+    let { processor, processedData } = process(partOrder);
+
+    if (contents.length > 1) {
+        // Timestamps come from the processor; reprocess only if the logs were out of order
+        const ranges = getPartTimeRanges(processedData.timestamps, partOrder.map(part => partRows[part].length));
+        partOrder = orderRideParts(ranges, names);
+        if (partOrder.some((part, k) => part !== k)) {
+            ({ processor, processedData } = process(partOrder));
+        }
+        const orderedRanges = getPartTimeRanges(processedData.timestamps, partOrder.map(part => partRows[part].length));
+        finishMergedRide(processedData, orderedRanges, partOrder.map(part => names[part]));
+    }
+
+    // Ride stats (85-100%), cached on the data like calculateOverviewStats does
+    onProgress({ stage: 'stats', percent: 85 });
+    processedData.rideStats = calculateRideStats(processedData, {
+        detectedMode: processor.detectedMode,
+        flipPWM: processor.flipPWM
+    });
+
+    onProgress({ stage: 'done', percent: 100 });
+
+    const result = {
+        processedData,
+        headers,
+        dialect,
+        detectedMode: processor.detectedMode
+    };
+    if (contents.length > 1) {
+        result.dialects = dialects;
+        result.partOrder = partOrder;
+    }
+    return result;
+}
@@ -5,6 +5,8 @@
  */
 
 import { BaseProcessor } from './base-processor.js';
+import { registerProcessor } from './processor-registry.js';
+import { createRideModel } from './ride-columns.js';
 
 export class DarknessBotProcessor extends BaseProcessor {
     constructor() {
@@ -109,7 +111,7 @@ export class DarknessBotProcessor extends BaseProcessor {
             console.log(`[DARKNESSBOT] Successfully processed ${parsedData.length} rows`);
             console.log('='.repeat(80) + '\n');
 
-            return {
+            return createRideModel({
                 formatName: this.getFormatName(),
                 dataCount: parsedData.length,
                 timestamps: timestamps,
@@ -118,7 +120,7 @@ export class DarknessBotProcessor extends BaseProcessor {
                 gpsRoute: gpsRoute,
                 metadata: metadata,
                 supportedFeatures: this.getSupportedFeatures()
-            };
+            });
 
         } catch (error) {
             console.error('[DARKNESSBOT] Processing error:', error);
@@ -262,7 +264,7 @@ export class DarknessBotProcessor extends BaseProcessor {
             const dateStr = row[dateColumn];
             // DarknessBot format: "09.10.2025 04:28:45.808"
             // Try parsing, JavaScript Date can handle various formats
-            const date = new Date(dateStr);
+            const date = this.parseDateTime(dateStr);
             return date.getTime();
         });
     }
@@ -276,29 +278,38 @@ export class DarknessBotProcessor extends BaseProcessor {
         const latData = this.extractSeries(parsedData, 'Latitude');
         const lonData = this.extractSeries(parsedData, 'Longitude');
 
-        if (!latData || !lonData) {
-            return { has_gps: false, coordinates: [] };
-        }
-
-        // Filter valid coordinates
-        const coordinates = [];
-        for (let i = 0; i < Math.min(latData.length, lonData.length); i++) {
-            const lat = latData[i];
-            const lon = lonData[i];
-
-            if (lat !== null && lon !== null && !isNaN(lat) && !isNaN(lon)) {
-                if (lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180) {
-                    coordinates.push([lat, lon]);
-                }
-            }
-        }
-
-        return {
-            has_gps: coordinates.length > 0,
-            coordinates: coordinates,
-            total_points: coordinates.length
-        };
+        return this.buildGPSRoute(latData, lonData);
     }
 }
 
+/**
+ * DarknessBot detection:
+ * - Has 'Date' column (capital D, single column)
+ * - Has 'Battery level' (with space)
+ * - Has 'Pitch' (not 'tilt')
+ * - Has 'Total mileage' (not 'distance_total')
+ * - NO 'datetime' or 'extra' columns
+ */
+registerProcessor({
+    id: 'DarknessBot',
+    displayName: 'DarknessBot',
+    shortName: 'DB',
+    icon: 'assets/icons/db.png',
+    priority: 20,
+    detect: (columns) => {
+        const hasDate = columns.includes('Date');
+        const hasBatteryLevel = columns.includes('Battery level');
+        const hasPitch = columns.includes('Pitch');
+        const hasTotalMileage = columns.includes('Total mileage');
+
+        const noDatetime = !columns.includes('datetime');
+        const noExtra = !columns.includes('extra');
+        const noSplitDateTime = !(columns.includes('date') && columns.includes('time'));
+
+        return hasDate && hasBatteryLevel && hasPitch && hasTotalMileage &&
+               noDatetime && noExtra && noSplitDateTime;
+    },
+    ProcessorClass: DarknessBotProcessor
+});
+
 export default DarknessBotProcessor;
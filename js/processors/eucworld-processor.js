@@ -4,6 +4,8 @@
  */
 
 import { BaseProcessor } from './base-processor.js';
+import { registerProcessor } from './processor-registry.js';
+import { createRideModel } from './ride-columns.js';
 
 export class EUCWorldProcessor extends BaseProcessor {
     constructor() {
@@ -115,7 +117,7 @@ export class EUCWorldProcessor extends BaseProcessor {
             const chartGroups = this.createChartGroups(series, timestamps);
 
 
-            return {
+            return createRideModel({
                 formatName: this.getFormatName(),
                 dataCount: parsedData.length,
                 timestamps: timestamps,
@@ -124,7 +126,7 @@ export class EUCWorldProcessor extends BaseProcessor {
                 gpsRoute: gpsRoute,
                 metadata: metadata,
                 supportedFeatures: this.getSupportedFeatures()
-            };
+            });
 
         } catch (error) {
             console.error('[EUC WORLD] Processing error:', error);
@@ -312,7 +314,7 @@ export class EUCWorldProcessor extends BaseProcessor {
         // Extract speed limit from speed_limit column (first valid numeric value)
         if (parsedData.length > 0 && parsedData[0].hasOwnProperty('speed_limit')) {
             for (const row of parsedData) {
-                const val = parseFloat(row.speed_limit);
+                const val = this.parseNumber(row.speed_limit);
                 if (!isNaN(val)) {
                     metadata.speedLimit = val;
                     break;
@@ -414,4 +416,19 @@ export class EUCWorldProcessor extends BaseProcessor {
     }
 }
 
+/**
+ * EUC World detection:
+ * - Has 'extra' column
+ * - Has 'datetime' column (not separate date/time)
+ */
+registerProcessor({
+    id: 'EUCWorld',
+    displayName: 'EUC World',
+    shortName: 'EW',
+    icon: 'assets/icons/ew.png',
+    priority: 10,
+    detect: (columns) => columns.includes('extra') && columns.includes('datetime'),
+    ProcessorClass: EUCWorldProcessor
+});
+
 export default EUCWorldProcessor;
@@ -1,39 +1,37 @@
 /**
  * CSV Format Detector
  * Detects which EUC app format a CSV file uses
+ * Detection rules live with each processor in the processor registry.
  */
 
+import { findFormatForColumns, getProcessorDefinition, getRegisteredProcessors } from './processor-registry.js';
+import { detectCSVDialect, detectDelimiter } from './csv-dialect.js';
+
+// Minimum share of a format's known columns that must be present to suggest it
+export const MIN_FUZZY_CONFIDENCE = 0.5;
+
+// Format id -> normalized column mapping keys (instantiating processors once)
+const knownColumnsCache = new Map();
+
 export class FormatDetector {
     /**
      * Detect CSV format from content
      * @param {string} csvContent - Raw CSV content
      * @param {string} filename - Original filename
-     * @returns {string} Format name: 'EUCWorld', 'WheelLog', 'DarknessBot', or 'Unknown'
+     * @returns {string} Registered format id (e.g. 'EUCWorld', 'WheelLog', 'DarknessBot') or 'Unknown'
      */
     static detectFormat(csvContent, filename = '') {
 
         try {
             // Get first line (header)
-            // NOTE: All header matching is case-sensitive. If a CSV has uppercase or
-            // mixed-case headers (e.g. from Excel editing), detection will fail.
-            // This is intentional for now — the processors also expect exact casing.
-            const firstLine = csvContent.split('\n')[0];
-            const columns = firstLine.split(',').map(col => col.trim());
-
-
-            // EUC World Detection
-            if (this.isEUCWorld(columns)) {
-                return 'EUCWorld';
-            }
-
-            // DarknessBot Detection
-            if (this.isDarknessBot(columns)) {
-                return 'DarknessBot';
-            }
-
-            // WheelLog Detection
-            if (this.isWheelLog(columns)) {
-                return 'WheelLog';
+            // NOTE: Matching here is exact (after stripping BOM, quotes and whitespace).
+            // Use analyze() for case-insensitive scoring against known columns.
+            const columns = this.getHeaderColumns(csvContent);
+
+            // Registered formats are tried in priority order
+            const format = findFormatForColumns(columns);
+            if (format) {
+                return format;
             }
 
             console.warn('[FORMAT DETECTOR] ⚠️ Unknown format');
@@ -46,60 +44,131 @@ export class FormatDetector {
     }
 
     /**
-     * Check if CSV is EUC World format
-     * Characteristics:
-     * - Has 'extra' column
-     * - Has 'datetime' column (not separate date/time)
+     * Detect format with confidence scores
+     * An exact predicate match wins with confidence 1. Otherwise every registered
+     * format is scored by the share of its getColumnMapping() columns present in the
+     * header (case-insensitive), and the best score above MIN_FUZZY_CONFIDENCE is
+     * returned as a guess.
+     * @param {string} csvContent - Raw CSV content
+     * @returns {Object} { format, confidence, exact, candidates: [{ id, displayName, matched, total, score }], delimiter, decimalComma }
+     */
+    static analyze(csvContent) {
+        const dialect = detectCSVDialect(csvContent);
+        const columns = this.getHeaderColumns(csvContent, dialect.delimiter);
+        const candidates = this.scoreFormats(columns);
+        const exactFormat = findFormatForColumns(columns);
+
+        if (exactFormat) {
+            return { format: exactFormat, confidence: 1, exact: true, candidates, ...dialect };
+        }
+
+        const best = candidates[0];
+        if (best && best.score >= MIN_FUZZY_CONFIDENCE) {
+            console.warn(`[FORMAT DETECTOR] No exact match, best guess ${best.id} (${Math.round(best.score * 100)}%)`);
+            return { format: best.id, confidence: best.score, exact: false, candidates, ...dialect };
+        }
+
+        console.warn('[FORMAT DETECTOR] ⚠️ Unknown format');
+        return { format: 'Unknown', confidence: best ? best.score : 0, exact: false, candidates, ...dialect };
+    }
+
+    /**
+     * Format of a file in a file list, from the start of the file
+     * @param {string} csvHead - First few KB of the file
+     * @returns {Object} { format, guessed } - Registered format id (the best guess when the
+     *   headers are not an exact match, guessed true), or 'unknown'
+     */
+    static detectListingFormat(csvHead) {
+        const detection = this.analyze(csvHead);
+        if (detection.exact) return { format: detection.format, guessed: false };
+        if (detection.format !== 'Unknown') return { format: detection.format, guessed: true };
+        return { format: 'unknown', guessed: false };
+    }
+
+    /**
+     * Score every registered format against the header columns
+     * @param {Array<string>} columns - Header column names
+     * @returns {Array<Object>} Candidates sorted by score (highest first)
+     */
+    static scoreFormats(columns) {
+        const present = new Set(columns.map(col => this.normalizeHeader(col)));
+
+        return getRegisteredProcessors().map(entry => {
+            const known = this.getKnownColumns(entry);
+            const matched = known.filter(col => present.has(col)).length;
+            return {
+                id: entry.id,
+                displayName: entry.displayName,
+                matched,
+                total: known.length,
+                score: known.length > 0 ? matched / known.length : 0
+            };
+        }).sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Map file headers onto a format's expected column names
+     * Used as Papa Parse transformHeader so processors see the casing they expect.
+     * @param {string} format - Format id
+     * @returns {Function} (header) => column name
+     */
+    static createHeaderTransform(format) {
+        const entry = getProcessorDefinition(format);
+        const lookup = {};
+        if (entry) {
+            for (const column of Object.keys(new entry.ProcessorClass().getColumnMapping())) {
+                lookup[this.normalizeHeader(column)] = column;
+            }
+        }
+        return (header) => lookup[this.normalizeHeader(header)] || this.cleanHeader(header);
+    }
+
+    /**
+     * Extract header columns from the first line (BOM, quotes and whitespace removed, case kept)
+     * @param {string} csvContent - Raw CSV content
+     * @param {string} delimiter - Field delimiter (auto-detected if omitted)
+     * @returns {Array<string>} Header column names
      */
-    static isEUCWorld(columns) {
-        const hasExtra = columns.includes('extra');
-        const hasDatetime = columns.includes('datetime');
-        return hasExtra && hasDatetime;
+    static getHeaderColumns(csvContent, delimiter = detectDelimiter(csvContent)) {
+        const newline = csvContent.indexOf('\n');
+        const firstLine = newline >= 0 ? csvContent.slice(0, newline) : csvContent;
+        return firstLine.split(delimiter).map(col => this.cleanHeader(col));
     }
 
     /**
-     * Check if CSV is DarknessBot format
-     * Characteristics:
-     * - Has 'Date' column (capital D, single column)
-     * - Has 'Battery level' (with space)
-     * - Has 'Pitch' (not 'tilt')
-     * - Has 'Total mileage' (not 'distance_total')
-     * - NO 'datetime' or 'extra' columns
+     * Strip BOM, surrounding quotes and whitespace from a header
+     * @param {string} header - Raw header
+     * @returns {string} Cleaned header
      */
-    static isDarknessBot(columns) {
-        const hasDate = columns.includes('Date');
-        const hasBatteryLevel = columns.includes('Battery level');
-        const hasPitch = columns.includes('Pitch');
-        const hasTotalMileage = columns.includes('Total mileage');
-
-        const noDatetime = !columns.includes('datetime');
-        const noExtra = !columns.includes('extra');
-        const noSplitDateTime = !(columns.includes('date') && columns.includes('time'));
-
-        return hasDate && hasBatteryLevel && hasPitch && hasTotalMileage &&
-               noDatetime && noExtra && noSplitDateTime;
+    static cleanHeader(header) {
+        return String(header)
+            .replace(/^\uFEFF/, '')
+            .trim()
+            .replace(/^"([\s\S]*)"$/, '$1')
+            .replace(/^'([\s\S]*)'$/, '$1')
+            .trim();
     }
 
     /**
-     * Check if CSV is WheelLog format
-     * Characteristics:
-     * - Separate 'date' and 'time' columns (lowercase)
-     * - NO 'extra' column
-     * - NO 'datetime' column
-     * - Has typical WheelLog columns like 'speed', 'voltage', etc.
+     * Normalize a header for case-insensitive comparison
+     * @param {string} header - Raw header
+     * @returns {string} Lowercase header with collapsed whitespace
      */
-    static isWheelLog(columns) {
-        const hasDate = columns.includes('date');
-        const hasTime = columns.includes('time');
-        const noExtra = !columns.includes('extra');
-        const noDatetime = !columns.includes('datetime');
-
-        // Require at least one WheelLog-specific column
-        const hasWheelLogCols = columns.some(col =>
-            ['speed', 'voltage', 'current', 'battery_level', 'pwm'].includes(col)
-        );
-
-        return hasDate && hasTime && noExtra && noDatetime && hasWheelLogCols;
+    static normalizeHeader(header) {
+        return this.cleanHeader(header).replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Normalized getColumnMapping() keys for a registered format
+     * @param {Object} entry - Registry entry
+     * @returns {Array<string>} Normalized column names
+     */
+    static getKnownColumns(entry) {
+        if (!knownColumnsCache.has(entry.id)) {
+            const mapping = new entry.ProcessorClass().getColumnMapping();
+            knownColumnsCache.set(entry.id, [...new Set(Object.keys(mapping).map(col => this.normalizeHeader(col)))]);
+        }
+        return knownColumnsCache.get(entry.id);
     }
 
     /**
@@ -108,27 +177,19 @@ export class FormatDetector {
      * @returns {string} Display name
      */
     static getDisplayName(format) {
-        const names = {
-            'EUCWorld': 'EUC World',
-            'WheelLog': 'WheelLog',
-            'DarknessBot': 'DarknessBot',
-            'Unknown': 'Unknown Format'
-        };
-        return names[format] || format;
+        if (format === 'Unknown') return 'Unknown Format';
+        const entry = getProcessorDefinition(format);
+        return entry ? entry.displayName : format;
     }
 
     /**
      * Get format icon path
      * @param {string} format - Internal format name
-     * @returns {string} Icon file path
+     * @returns {string|null} Icon file path
      */
     static getIconPath(format) {
-        const icons = {
-            'EUCWorld': 'assets/icons/ew.png',
-            'WheelLog': 'assets/icons/wl.png',
-            'DarknessBot': 'assets/icons/db.png'
-        };
-        return icons[format] || null;
+        const entry = getProcessorDefinition(format);
+        return entry ? entry.icon : null;
     }
 }
 
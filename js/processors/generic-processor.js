@@ -0,0 +1,192 @@
+/**
+ * Generic CSV Processor
+ * Processes CSV files from unrecognized apps using a user-defined column mapping
+ * profile (created in the column-mapping wizard). Source columns are renamed to the
+ * canonical EUC World series names, so series extraction and chart groups are shared
+ * with EUCWorldProcessor.
+ */
+
+import { EUCWorldProcessor } from './eucworld-processor.js';
+import { createRideModel } from './ride-columns.js';
+
+/**
+ * Timestamp parsing modes offered by the wizard
+ * - datetime: one text column parsed by Date (or date + time columns combined)
+ * - unix_s / unix_ms: numeric epoch values in the datetime column
+ */
+export const TIMESTAMP_MODES = {
+    datetime: 'Date/time text',
+    unix_s: 'Unix seconds',
+    unix_ms: 'Unix milliseconds'
+};
+
+// Canonical targets used only for timestamps (not series)
+const TIMESTAMP_TARGETS = {
+    datetime: { type: 'timestamp', label: 'Date/Time', description: 'Date/time of each data point' },
+    date: { type: 'timestamp', label: 'Date', description: 'Date part (combined with Time)' },
+    time: { type: 'timestamp', label: 'Time', description: 'Time part (combined with Date)' }
+};
+
+/**
+ * Get canonical columns a source header can be mapped to.
+ * Uses the EUC World column mapping as the shared vocabulary.
+ * @returns {Object} Map of canonical key → { type, label, unit?, chartGroup? }
+ */
+export function getCanonicalColumns() {
+    const canonical = { ...TIMESTAMP_TARGETS };
+    const reference = new EUCWorldProcessor().getColumnMapping();
+
+    for (const [column, info] of Object.entries(reference)) {
+        if (info.type === 'metadata' || info.type === 'timestamp') continue;
+        // safety_margin is an EUC World alias of pwm
+        if (column === 'safety_margin') continue;
+
+        canonical[column] = info.type === 'gps'
+            ? { type: 'gps', label: info.description }
+            : { type: 'series', label: info.label, unit: info.unit, chartGroup: info.chartGroup };
+    }
+
+    return canonical;
+}
+
+export class GenericProcessor extends EUCWorldProcessor {
+    /**
+     * @param {Object} profile - Mapping profile
+     * @param {string} profile.name - Profile name
+     * @param {Object} profile.columns - Source header → canonical key
+     * @param {string} profile.timestampMode - One of TIMESTAMP_MODES keys
+     */
+    constructor(profile) {
+        super();
+        this.profile = profile;
+    }
+
+    getFormatName() {
+        return `Custom (${this.profile.name})`;
+    }
+
+    getSupportedFeatures() {
+        return ['custom_mapping'];
+    }
+
+    getColumnMapping() {
+        const canonical = getCanonicalColumns();
+        const mapping = {};
+
+        for (const [source, target] of Object.entries(this.profile.columns)) {
+            const info = canonical[target];
+            if (!info) continue;
+
+            if (info.type === 'series') {
+                mapping[source] = { type: 'series', series: target, label: info.label, unit: info.unit, chartGroup: info.chartGroup };
+            } else {
+                mapping[source] = { type: info.type, description: `${info.label || info.description} (mapped)` };
+            }
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Process CSV data using the profile's column mapping
+     * @param {Array} parsedData - Papa Parse result
+     * @param {string} filename - Original filename
+     * @returns {Object} Processed data structure
+     */
+    processCSV(parsedData, filename) {
+
+        try {
+            const rows = this.remapRows(parsedData);
+
+            const timestamps = this.extractProfileTimestamps(rows);
+
+            const rawPWMData = this.hasTarget('pwm') ? this.extractSeries(rows, 'pwm') : null;
+            const pwmData = this.processPWM(rawPWMData);
+
+            const series = this.extractAllSeries(rows, pwmData);
+
+            if (this.hasTarget('distance')) {
+                series.distance = this.convertDistanceIfNeeded(series.distance, 'distance');
+            }
+            if (this.hasTarget('distance_total')) {
+                series.distance_total = this.convertDistanceIfNeeded(series.distance_total, 'distance_total');
+            }
+
+            const gpsRoute = this.extractGPSRoute(rows);
+
+            const filenameData = this.extractFromFilename(filename);
+            const metadata = {
+                make: filenameData.make,
+                model: filenameData.model,
+                firmware: 'N/A',
+                source: this.getFormatName()
+            };
+
+            const chartGroups = this.createChartGroups(series, timestamps);
+
+            return createRideModel({
+                formatName: this.getFormatName(),
+                dataCount: parsedData.length,
+                timestamps: timestamps,
+                series: series,
+                chartGroups: chartGroups,
+                gpsRoute: gpsRoute,
+                metadata: metadata,
+                supportedFeatures: this.getSupportedFeatures()
+            });
+
+        } catch (error) {
+            console.error(`[${this.getFormatName()}] Processing error:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether any source column is mapped to a canonical key
+     * @param {string} target - Canonical key
+     * @returns {boolean}
+     */
+    hasTarget(target) {
+        return Object.values(this.profile.columns).includes(target);
+    }
+
+    /**
+     * Rename source columns to canonical keys (unmapped columns are dropped)
+     * @param {Array} parsedData - Papa Parse rows
+     * @returns {Array<Object>} Rows keyed by canonical names
+     */
+    remapRows(parsedData) {
+        const pairs = Object.entries(this.profile.columns);
+        return parsedData.map(row => {
+            const out = {};
+            for (const [source, target] of pairs) {
+                out[target] = row[source];
+            }
+            return out;
+        });
+    }
+
+    /**
+     * Build timestamps according to the profile's timestamp mode
+     * @param {Array<Object>} rows - Canonical rows
+     * @returns {Array<number>} Timestamps in milliseconds
+     */
+    extractProfileTimestamps(rows) {
+        const mode = this.profile.timestampMode || 'datetime';
+
+        if (mode === 'unix_s' || mode === 'unix_ms') {
+            const scale = mode === 'unix_s' ? 1000 : 1;
+            return rows.map(row => {
+                const value = this.parseNumber(row.datetime);
+                return isNaN(value) ? NaN : value * scale;
+            });
+        }
+
+        if (this.hasTarget('datetime')) {
+            return this.extractTimestamps(rows, 'datetime');
+        }
+        return this.extractTimestamps(rows, 'date', this.hasTarget('time') ? 'time' : null);
+    }
+}
+
+export default GenericProcessor;
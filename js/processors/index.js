@@ -0,0 +1,28 @@
+/**
+ * Processor Entry Point
+ * Importing a processor module here registers its format with the registry.
+ * To add an in-house log format, create a BaseProcessor subclass that calls
+ * registerProcessor() and add one import line below.
+ */
+
+import './eucworld-processor.js';
+import './darknessbot-processor.js';
+import './wheellog-processor.js';
+
+export {
+    registerProcessor,
+    getRegisteredProcessors,
+    getProcessorDefinition,
+    findFormatForColumns,
+    createProcessor
+} from './processor-registry.js';
+export { FormatDetector } from './format-detector.js';
+export { detectCSVDialect, detectDelimiter, parseLocaleNumber } from './csv-dialect.js';
+export { GenericProcessor, getCanonicalColumns, TIMESTAMP_MODES } from './generic-processor.js';
+export {
+    getHeaderSignature, loadMappingProfiles, saveMappingProfile, findMappingProfile, deleteMappingProfile
+} from './mapping-profiles.js';
+export {
+    RideColumn, createRideModel, sliceRide, sliceRideByTime, sliceRideSegments, selectRowSegments, valueAt
+} from './ride-columns.js';
+export { normalizeExcludedIntervals, excludeRideIntervals } from './ride-exclusion.js';
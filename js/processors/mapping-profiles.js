@@ -0,0 +1,73 @@
+/**
+ * Column Mapping Profiles
+ * Persists column-mapping wizard results in localStorage, keyed by the CSV
+ * header signature so a file with the same headers is mapped automatically.
+ */
+
+const STORAGE_KEY = 'columnMappingProfiles';
+
+/**
+ * Build a header signature (trimmed header names in file order)
+ * @param {Array<string>} headers - CSV header names
+ * @returns {string} Signature string
+ */
+export function getHeaderSignature(headers) {
+    return headers.map(h => String(h).trim()).join('|');
+}
+
+/**
+ * Load all saved profiles
+ * @returns {Array<Object>} Profiles ({ name, signature, columns, timestampMode, savedAt })
+ */
+export function loadMappingProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error('[MAPPING PROFILES] Failed to read saved profiles:', error);
+        return [];
+    }
+}
+
+/**
+ * Save a profile, replacing any profile with the same name or header signature
+ * @param {Object} profile - Profile to save
+ * @returns {Object} Saved profile
+ */
+export function saveMappingProfile(profile) {
+    const stored = { ...profile, savedAt: Date.now() };
+    const profiles = loadMappingProfiles().filter(p =>
+        p.name !== stored.name && p.signature !== stored.signature
+    );
+    profiles.push(stored);
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+    } catch (error) {
+        console.error('[MAPPING PROFILES] Failed to save profile:', error);
+    }
+    return stored;
+}
+
+/**
+ * Find a saved profile matching the given headers
+ * @param {Array<string>} headers - CSV header names
+ * @returns {Object|null} Matching profile or null
+ */
+export function findMappingProfile(headers) {
+    const signature = getHeaderSignature(headers);
+    return loadMappingProfiles().find(p => p.signature === signature) || null;
+}
+
+/**
+ * Delete a saved profile by name
+ * @param {string} name - Profile name
+ */
+export function deleteMappingProfile(name) {
+    const profiles = loadMappingProfiles().filter(p => p.name !== name);
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+    } catch (error) {
+        console.error('[MAPPING PROFILES] Failed to delete profile:', error);
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * Processor Registry
+ * Single place where each CSV log format declares how it is detected,
+ * how it is labelled in the UI and which BaseProcessor subclass handles it.
+ *
+ * A format registers itself from its own processor module:
+ *
+ *   registerProcessor({
+ *       id: 'MyFormat',                  // Internal format id (also matched case-insensitively against /api/files)
+ *       displayName: 'My Format',        // Shown in file info / diagnostics
+ *       shortName: 'MF',                 // Abbreviation for the file browser summary
+ *       icon: 'assets/icons/mf.png',     // Optional icon path
+ *       priority: 50,                    // Lower runs first during detection
+ *       detect: (columns) => boolean,    // Header predicate (array of trimmed header names)
+ *       ProcessorClass: MyFormatProcessor
+ *   });
+ *
+ * and is then imported from js/processors/index.js.
+ */
+
+import { BaseProcessor } from './base-processor.js';
+
+const DEFAULT_PRIORITY = 100;
+
+// Format id -> definition
+const registry = new Map();
+
+/**
+ * Register a processor definition
+ * @param {object} definition - See module header for fields
+ * @returns {object} The stored definition
+ */
+export function registerProcessor(definition) {
+    const { id, detect, ProcessorClass } = definition || {};
+
+    if (!id || typeof id !== 'string') {
+        throw new Error('[PROCESSOR REGISTRY] Processor definition requires a string id');
+    }
+    if (id.toLowerCase() === 'unknown') {
+        throw new Error('[PROCESSOR REGISTRY] "Unknown" is reserved for undetected files');
+    }
+    if (typeof detect !== 'function') {
+        throw new Error(`[PROCESSOR REGISTRY] ${id}: detect(columns) must be a function`);
+    }
+    if (typeof ProcessorClass !== 'function' || !(ProcessorClass.prototype instanceof BaseProcessor)) {
+        throw new Error(`[PROCESSOR REGISTRY] ${id}: ProcessorClass must extend BaseProcessor`);
+    }
+
+    if (registry.has(id)) {
+        console.warn(`[PROCESSOR REGISTRY] Replacing existing registration for ${id}`);
+    }
+
+    const entry = {
+        id,
+        displayName: definition.displayName || id,
+        shortName: definition.shortName || id.slice(0, 2).toUpperCase(),
+        icon: definition.icon || null,
+        priority: Number.isFinite(definition.priority) ? definition.priority : DEFAULT_PRIORITY,
+        detect,
+        ProcessorClass
+    };
+
+    registry.set(id, entry);
+    return entry;
+}
+
+/**
+ * Get all registered definitions in detection order
+ * @returns {Array<object>} Definitions sorted by priority (stable for equal priorities)
+ */
+export function getRegisteredProcessors() {
+    return Array.from(registry.values()).sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Look up a definition by format id
+ * Matching is case-insensitive so the lowercase ids returned by server.py
+ * ('eucworld', 'wheellog', ...) resolve to the same entry.
+ * @param {string} formatId - Format id
+ * @returns {object|null} Definition or null
+ */
+export function getProcessorDefinition(formatId) {
+    if (!formatId) return null;
+    if (registry.has(formatId)) return registry.get(formatId);
+
+    const needle = String(formatId).toLowerCase();
+    for (const entry of registry.values()) {
+        if (entry.id.toLowerCase() === needle) return entry;
+    }
+    return null;
+}
+
+/**
+ * Find the first registered format whose predicate accepts the header columns
+ * @param {Array<string>} columns - Header column names
+ * @returns {string|null} Format id or null when nothing matches
+ */
+export function findFormatForColumns(columns) {
+    for (const entry of getRegisteredProcessors()) {
+        try {
+            if (entry.detect(columns)) return entry.id;
+        } catch (error) {
+            console.error(`[PROCESSOR REGISTRY] ${entry.id} detect() threw:`, error);
+        }
+    }
+    return null;
+}
+
+/**
+ * Instantiate the processor for a format
+ * @param {string} formatId - Format id
+ * @returns {BaseProcessor|null} New processor instance or null if not registered
+ */
+export function createProcessor(formatId) {
+    const entry = getProcessorDefinition(formatId);
+    return entry ? new entry.ProcessorClass() : null;
+}
@@ -0,0 +1,473 @@
+/**
+ * Columnar Ride Model
+ * Processed rides store each series as a RideColumn: a Float64Array of values plus a
+ * validity bitmap (1 bit per row) instead of a JS array with null holes.
+ * Columns are immutable and slice() returns a zero-copy view, so a time range trim is
+ * two binary searches on the timestamps plus one view per column. A view made of several
+ * row ranges (intervals cut out of the middle of a ride) copies its columns instead.
+ * Logs with missing or out-of-order timestamps are flagged when the model is built and
+ * searched linearly instead.
+ */
+
+/**
+ * Immutable numeric column with a validity bitmap
+ */
+export class RideColumn {
+    /**
+     * @param {Float64Array} values - Backing values (invalid rows hold NaN)
+     * @param {Uint8Array} validity - Backing bitmap, bit i set when values[i] is valid
+     * @param {number} offset - First backing row of this view
+     * @param {number} length - Number of rows in this view
+     */
+    constructor(values, validity, offset = 0, length = values.length - offset) {
+        this.values = values;
+        this.validity = validity;
+        this.offset = offset;
+        this.length = length;
+    }
+
+    /**
+     * Build a column from a plain array (null, undefined and NaN become invalid)
+     * @param {Array} array - Source values
+     * @returns {RideColumn}
+     */
+    static fromArray(array) {
+        const values = new Float64Array(array.length);
+        const validity = new Uint8Array((array.length + 7) >> 3);
+        for (let i = 0; i < array.length; i++) {
+            const v = array[i];
+            if (v === null || v === undefined || Number.isNaN(v)) {
+                values[i] = NaN;
+            } else {
+                values[i] = v;
+                validity[i >> 3] |= 1 << (i & 7);
+            }
+        }
+        return new RideColumn(values, validity);
+    }
+
+    /**
+     * New column with the rows of several columns one after another
+     * @param {Array<RideColumn>} columns - Columns (or views) to join
+     * @returns {RideColumn}
+     */
+    static concat(columns) {
+        const length = columns.reduce((sum, column) => sum + column.length, 0);
+        const values = new Float64Array(length);
+        const validity = new Uint8Array((length + 7) >> 3);
+        let row = 0;
+        for (const column of columns) {
+            values.set(column.values.subarray(column.offset, column.offset + column.length), row);
+            for (let i = 0; i < column.length; i++, row++) {
+                if (column.isValid(i)) {
+                    validity[row >> 3] |= 1 << (row & 7);
+                }
+            }
+        }
+        return new RideColumn(values, validity);
+    }
+
+    /**
+     * @param {number} i - Row index within this view
+     * @returns {boolean} True if the row holds a value
+     */
+    isValid(i) {
+        if (i < 0 || i >= this.length) return false;
+        const row = this.offset + i;
+        return (this.validity[row >> 3] & (1 << (row & 7))) !== 0;
+    }
+
+    /**
+     * @param {number} i - Row index within this view
+     * @returns {number|null} Value, or null for missing rows
+     */
+    get(i) {
+        return this.isValid(i) ? this.values[this.offset + i] : null;
+    }
+
+    /**
+     * Zero-copy view of rows [start, end)
+     * @param {number} start - First row (inclusive)
+     * @param {number} end - Last row (exclusive)
+     * @returns {RideColumn}
+     */
+    slice(start = 0, end = this.length) {
+        start = Math.max(0, Math.min(start, this.length));
+        end = Math.max(start, Math.min(end, this.length));
+        return new RideColumn(this.values, this.validity, this.offset + start, end - start);
+    }
+
+    /**
+     * New column with fn applied to every valid value (missing rows stay missing)
+     * @param {Function} fn - (value, index) => number
+     * @returns {RideColumn}
+     */
+    map(fn) {
+        const values = new Float64Array(this.length);
+        const validity = new Uint8Array((this.length + 7) >> 3);
+        for (let i = 0; i < this.length; i++) {
+            if (this.isValid(i)) {
+                values[i] = fn(this.values[this.offset + i], i);
+                validity[i >> 3] |= 1 << (i & 7);
+            } else {
+                values[i] = NaN;
+            }
+        }
+        return new RideColumn(values, validity);
+    }
+
+    /**
+     * Count valid rows, optionally only those matching a predicate
+     * @param {Function} predicate - Optional (value) => boolean
+     * @returns {number}
+     */
+    countValid(predicate = null) {
+        let count = 0;
+        for (let i = 0; i < this.length; i++) {
+            if (this.isValid(i) && (!predicate || predicate(this.values[this.offset + i]))) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * @returns {boolean} True if at least one row holds a value
+     */
+    hasValues() {
+        for (let i = 0; i < this.length; i++) {
+            if (this.isValid(i)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @returns {Array} Plain array with null for missing rows
+     */
+    toArray() {
+        const out = new Array(this.length);
+        for (let i = 0; i < this.length; i++) {
+            out[i] = this.get(i);
+        }
+        return out;
+    }
+
+    *[Symbol.iterator]() {
+        for (let i = 0; i < this.length; i++) {
+            yield this.get(i);
+        }
+    }
+}
+
+/**
+ * Read one value from a RideColumn or a plain array
+ * @param {RideColumn|Array} data - Column or array
+ * @param {number} i - Row index
+ * @returns {number|null} Value, or null when missing/invalid
+ */
+export function valueAt(data, i) {
+    if (data instanceof RideColumn) {
+        return data.get(i);
+    }
+    const v = data[i];
+    return v === null || v === undefined || Number.isNaN(v) ? null : v;
+}
+
+/**
+ * Convert a processor result into the columnar model.
+ * Series become RideColumns (chart groups reference the same columns), timestamps a
+ * Float64Array and the GPS route row-aligned lat/lon columns.
+ * @param {Object} data - { timestamps, series, chartGroups, gpsRoute, ... } with plain arrays
+ * @returns {Object} Ride model (same shape, plus rowRange, rowSegments and timestampsAscending)
+ */
+export function createRideModel(data) {
+    const columns = new Map(); // plain array → column, so shared arrays stay shared
+    const toColumn = (array) => {
+        if (!array) return array;
+        if (array instanceof RideColumn) return array;
+        if (!columns.has(array)) {
+            columns.set(array, RideColumn.fromArray(array));
+        }
+        return columns.get(array);
+    };
+
+    const timestamps = data.timestamps instanceof Float64Array
+        ? data.timestamps
+        : Float64Array.from(data.timestamps, t => (t === null || t === undefined ? NaN : t));
+
+    const series = {};
+    for (const [key, values] of Object.entries(data.series || {})) {
+        series[key] = toColumn(values);
+    }
+
+    const chartGroups = {};
+    for (const [key, group] of Object.entries(data.chartGroups || {})) {
+        chartGroups[key] = {
+            ...group,
+            timestamps,
+            series: group.series.map(s => ({ ...s, data: toColumn(s.data) }))
+        };
+    }
+
+    let gpsRoute = { has_gps: false };
+    if (data.gpsRoute && data.gpsRoute.has_gps) {
+        gpsRoute = {
+            has_gps: true,
+            lat: toColumn(data.gpsRoute.lat),
+            lon: toColumn(data.gpsRoute.lon)
+        };
+    }
+
+    return {
+        ...data,
+        timestamps,
+        series,
+        chartGroups,
+        gpsRoute,
+        rowRange: { start: 0, end: timestamps.length },
+        rowSegments: [{ start: 0, end: timestamps.length }],
+        timestampsAscending: isAscending(timestamps) // Views keep the flag of the model they come from
+    };
+}
+
+/**
+ * @param {Float64Array|Array} timestamps - Timestamps
+ * @returns {boolean} True when every timestamp is a number, none before the previous one
+ *   (required by lowerBound/upperBound)
+ */
+export function isAscending(timestamps) {
+    for (let i = 0; i < timestamps.length; i++) {
+        if (Number.isNaN(timestamps[i]) || (i > 0 && timestamps[i] < timestamps[i - 1])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Runs of rows matching a predicate, in one linear scan
+ * @param {Float64Array|Array} timestamps - Timestamps
+ * @param {Function} predicate - (timestamp, row) => boolean
+ * @returns {Array} [{ start, end }] rows, ascending
+ */
+export function findRowSegments(timestamps, predicate) {
+    const segments = [];
+    let start = -1;
+    for (let i = 0; i <= timestamps.length; i++) {
+        const match = i < timestamps.length && predicate(timestamps[i], i);
+        if (match && start < 0) {
+            start = i;
+        } else if (!match && start >= 0) {
+            segments.push({ start, end: i });
+            start = -1;
+        }
+    }
+    return segments;
+}
+
+/**
+ * First index whose timestamp is >= time (timestamps ascending)
+ * @param {Float64Array|Array} timestamps - Sorted timestamps
+ * @param {number} time - Time in milliseconds
+ * @returns {number} Index in [0, timestamps.length]
+ */
+export function lowerBound(timestamps, time) {
+    let lo = 0, hi = timestamps.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (timestamps[mid] < time) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+}
+
+/**
+ * First index whose timestamp is > time (timestamps ascending)
+ * @param {Float64Array|Array} timestamps - Sorted timestamps
+ * @param {number} time - Time in milliseconds
+ * @returns {number} Index in [0, timestamps.length]
+ */
+export function upperBound(timestamps, time) {
+    let lo = 0, hi = timestamps.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (timestamps[mid] <= time) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+}
+
+/**
+ * Rows of a typed array over row segments: a subarray for one segment, a copy for several
+ * @param {Float64Array|TypedArray} array - Row-aligned values
+ * @param {Array} segments - [{ start, end }] rows, in order
+ * @returns {TypedArray}
+ */
+export function selectRowSegments(array, segments) {
+    if (segments.length === 1) {
+        return array.subarray(segments[0].start, segments[0].end);
+    }
+    const out = new array.constructor(segments.reduce((sum, s) => sum + s.end - s.start, 0));
+    let row = 0;
+    for (const segment of segments) {
+        out.set(array.subarray(segment.start, segment.end), row);
+        row += segment.end - segment.start;
+    }
+    return out;
+}
+
+/**
+ * Rows [start, end) of a model as row segments of the unsliced ride
+ * @param {Object} model - Ride model or view
+ * @returns {Array} [{ start, end }], adjacent segments merged
+ */
+function toRideSegments(model, start, end) {
+    const modelSegments = model.rowSegments || [model.rowRange || { start: 0, end: model.timestamps.length }];
+    const segments = [];
+    let first = 0; // Model row of the segment's first ride row
+    for (const segment of modelSegments) {
+        const from = Math.max(start, first);
+        const to = Math.min(end, first + segment.end - segment.start);
+        if (to > from) {
+            const last = segments[segments.length - 1];
+            if (last && last.end === segment.start + from - first) {
+                last.end = segment.start + to - first;
+            } else {
+                segments.push({ start: segment.start + from - first, end: segment.start + to - first });
+            }
+        }
+        first += segment.end - segment.start;
+    }
+    if (segments.length === 0) {
+        const at = modelSegments[0].start + start;
+        segments.push({ start: at, end: at });
+    }
+    return segments;
+}
+
+/**
+ * New ride model shape with every column passed through a function.
+ * A column shared by several series (or chart groups) stays shared.
+ * @param {Object} model - Ride model
+ * @param {Float64Array} timestamps - Timestamps of the new model
+ * @param {Function} columnFn - (RideColumn) => RideColumn
+ * @returns {Object} { timestamps, series, chartGroups, gpsRoute }
+ */
+function mapRideColumns(model, timestamps, columnFn) {
+    const mapped = new Map();
+    const mapColumn = (column) => {
+        if (!column) return column;
+        if (!mapped.has(column)) mapped.set(column, columnFn(column));
+        return mapped.get(column);
+    };
+
+    const series = {};
+    for (const [key, column] of Object.entries(model.series)) {
+        series[key] = mapColumn(column);
+    }
+
+    const chartGroups = {};
+    for (const [key, group] of Object.entries(model.chartGroups)) {
+        chartGroups[key] = {
+            ...group,
+            timestamps,
+            series: group.series.map(s => ({ ...s, data: mapColumn(s.data) }))
+        };
+    }
+
+    let gpsRoute = { has_gps: false };
+    if (model.gpsRoute && model.gpsRoute.has_gps) {
+        gpsRoute = {
+            has_gps: true,
+            lat: mapColumn(model.gpsRoute.lat),
+            lon: mapColumn(model.gpsRoute.lon)
+        };
+    }
+
+    return { timestamps, series, chartGroups, gpsRoute };
+}
+
+/**
+ * Zero-copy view of a ride model over rows [start, end).
+ * Derived data (rideStats) is not carried over.
+ * @param {Object} model - Ride model from createRideModel (or a previous slice)
+ * @param {number} start - First row (inclusive)
+ * @param {number} end - Last row (exclusive)
+ * @returns {Object} Ride model view; rowRange and rowSegments are rows of the unsliced ride
+ */
+export function sliceRide(model, start = 0, end = model.timestamps.length) {
+    const { rideStats, ...rest } = model;
+    const timestamps = model.timestamps.subarray(start, end);
+    const rowSegments = toRideSegments(model, start, end);
+
+    return {
+        ...rest,
+        ...mapRideColumns(model, timestamps, column => column.slice(start, end)),
+        rowRange: { start: rowSegments[0].start, end: rowSegments[rowSegments.length - 1].end },
+        rowSegments
+    };
+}
+
+/**
+ * Ride model over several row ranges of a model, one after another.
+ * One range is a zero-copy sliceRide() view; with more, the columns are copied.
+ * @param {Object} model - Ride model (or a view)
+ * @param {Array} segments - [{ start, end }] rows of the model, ascending and not overlapping
+ * @returns {Object} Ride model; rowRange spans all segments, rowSegments lists them as rows of the unsliced ride
+ */
+export function sliceRideSegments(model, segments) {
+    if (segments.length === 1) {
+        return sliceRide(model, segments[0].start, segments[0].end);
+    }
+
+    const { rideStats, ...rest } = model;
+    const timestamps = selectRowSegments(model.timestamps, segments);
+    const rowSegments = [];
+    for (const segment of segments) {
+        for (const rideSegment of toRideSegments(model, segment.start, segment.end)) {
+            const last = rowSegments[rowSegments.length - 1];
+            if (last && last.end === rideSegment.start) {
+                last.end = rideSegment.end;
+            } else {
+                rowSegments.push(rideSegment);
+            }
+        }
+    }
+
+    return {
+        ...rest,
+        ...mapRideColumns(model, timestamps,
+            column => RideColumn.concat(segments.map(s => column.slice(s.start, s.end)))),
+        rowRange: { start: rowSegments[0].start, end: rowSegments[rowSegments.length - 1].end },
+        rowSegments
+    };
+}
+
+/**
+ * View of the rows whose timestamps fall within [startTime, endTime]
+ * Zero-copy for ascending timestamps (binary search). Otherwise the rows are found by a
+ * linear scan, skipping rows without a timestamp, and may form several row ranges.
+ * @param {Object} model - Ride model
+ * @param {number} startTime - Start time in milliseconds
+ * @param {number} endTime - End time in milliseconds
+ * @returns {Object|null} Ride model view, or null when no rows are in range
+ */
+export function sliceRideByTime(model, startTime, endTime) {
+    if (model.timestampsAscending === false) {
+        const segments = findRowSegments(model.timestamps, t => t >= startTime && t <= endTime);
+        return segments.length > 0 ? sliceRideSegments(model, segments) : null;
+    }
+
+    const start = lowerBound(model.timestamps, startTime);
+    const end = upperBound(model.timestamps, endTime);
+    if (end <= start) {
+        return null;
+    }
+    return sliceRide(model, start, end);
+}
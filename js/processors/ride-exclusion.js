@@ -0,0 +1,160 @@
+/**
+ * Excluded Intervals
+ * Cuts time intervals out of the middle of a ride (a coffee stop, a stretch in a car)
+ * while keeping both ends. Each cut becomes a join like those of merged logs, so the
+ * charts and map draw it as a gap, and trip counters continue across it so the
+ * distance covered while excluded does not count towards the ride.
+ */
+
+import { RideColumn, lowerBound, upperBound, findRowSegments, sliceRideSegments } from './ride-columns.js';
+import { TRIP_COUNTER_SERIES } from './ride-merge.js';
+
+/**
+ * Sort intervals and merge the ones that overlap or touch
+ * @param {Array} intervals - [{ start, end }] in milliseconds
+ * @returns {Array} New [{ start, end }] array, ascending
+ */
+export function normalizeExcludedIntervals(intervals) {
+    const sorted = intervals
+        .filter(interval => interval.end >= interval.start)
+        .map(interval => ({ start: interval.start, end: interval.end }))
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const interval of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push(interval);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Shift each kept part of a trip counter to continue from where the previous part ended
+ * @param {RideColumn} column - Trip counter (km) of the cut ride
+ * @param {Array<number>} cutRows - First row after each cut, ascending
+ * @returns {RideColumn|null} Continued column, or null when nothing changed
+ */
+export function continueCounter(column, cutRows) {
+    const values = column.toArray();
+    let changed = false;
+
+    cutRows.forEach((row, k) => {
+        const partEnd = k + 1 < cutRows.length ? cutRows[k + 1] : values.length;
+
+        // The previous part is already shifted, so later parts build on it
+        let before = null;
+        for (let i = row - 1; i >= 0 && before === null; i--) before = values[i];
+        let after = null;
+        for (let i = row; i < partEnd && after === null; i++) after = values[i];
+        if (before === null || after === null || before === after) return;
+
+        const shift = before - after;
+        for (let i = row; i < partEnd; i++) {
+            if (values[i] !== null) values[i] += shift;
+        }
+        changed = true;
+    });
+
+    return changed ? RideColumn.fromArray(values) : null;
+}
+
+/**
+ * Rows of a model outside the cut-out intervals
+ * @param {Object} model - Ride model or view
+ * @param {Array} cuts - Normalized intervals
+ * @returns {Array} Kept rows [{ start, end }] of the model
+ */
+function findKeptSegments(model, cuts) {
+    const { timestamps } = model;
+    if (model.timestampsAscending === false) {
+        return findRowSegments(timestamps, t => !cuts.some(interval => t >= interval.start && t <= interval.end));
+    }
+
+    const segments = [];
+    let start = 0;
+    for (const interval of cuts) {
+        const cutStart = lowerBound(timestamps, interval.start);
+        const cutEnd = upperBound(timestamps, interval.end);
+        if (cutEnd <= cutStart) continue;
+        if (cutStart > start) {
+            segments.push({ start, end: cutStart });
+        }
+        start = Math.max(start, cutEnd);
+    }
+    if (start < timestamps.length) {
+        segments.push({ start, end: timestamps.length });
+    }
+    return segments;
+}
+
+/**
+ * Ride without the rows inside the excluded intervals
+ * Adds a join ({ time, gapMs, excluded: true }, at the first row after the cut) and an
+ * excluded entry ({ start, end }, the cut-out time) for every cut between kept rows.
+ * Intervals at either end of the ride only shorten it.
+ * @param {Object} model - Ride model or view
+ * @param {Array} intervals - [{ start, end }] in milliseconds (see normalizeExcludedIntervals)
+ * @returns {Object|null} Ride model, or null when no rows are left
+ */
+export function excludeRideIntervals(model, intervals) {
+    const { timestamps } = model;
+    const cuts = normalizeExcludedIntervals(intervals);
+
+    const segments = findKeptSegments(model, cuts);
+    if (segments.length === 0) {
+        return null;
+    }
+
+    const view = sliceRideSegments(model, segments);
+    if (segments.length === 1) {
+        return view;
+    }
+
+    const joins = [];
+    const excluded = [];
+    const cutRows = [];
+    let row = segments[0].end - segments[0].start;
+    for (let k = 1; k < segments.length; k++) {
+        const lastKept = timestamps[segments[k - 1].end - 1];
+        const firstKept = timestamps[segments[k].start];
+        // Cut-out time: the intervals that fall in this gap, within it
+        // (none when the rows around the cut have missing or out-of-order timestamps)
+        const inGap = cuts.filter(interval => interval.end > lastKept && interval.start < firstKept);
+        if (inGap.length > 0) {
+            joins.push({ time: firstKept, gapMs: firstKept - lastKept, excluded: true });
+            excluded.push({
+                start: Math.max(lastKept, inGap[0].start),
+                end: Math.min(firstKept, inGap[inGap.length - 1].end)
+            });
+        }
+
+        cutRows.push(row);
+        row += segments[k].end - segments[k].start;
+    }
+
+    const first = view.timestamps[0];
+    const last = view.timestamps[view.timestamps.length - 1];
+    view.joins = [...(model.joins || []), ...joins].sort((a, b) => a.time - b.time);
+    view.excluded = [...(model.excluded || []).filter(cut => cut.start >= first && cut.end <= last), ...excluded]
+        .sort((a, b) => a.start - b.start);
+
+    for (const key of TRIP_COUNTER_SERIES) {
+        const column = view.series[key];
+        if (!column) continue;
+        const continued = continueCounter(column, cutRows);
+        if (!continued) continue;
+
+        view.series[key] = continued;
+        for (const group of Object.values(view.chartGroups)) {
+            for (const s of group.series) {
+                if (s.data === column) s.data = continued;
+            }
+        }
+    }
+
+    return view;
+}
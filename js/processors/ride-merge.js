@@ -0,0 +1,171 @@
+/**
+ * Multi-File Ride Merge
+ * Apps restart mid-ride and leave several logs for one trip. The pipeline processes
+ * their rows as one file in timestamp order; this module works out that order,
+ * checks the logs are time-adjacent, records the join points (drawn as gaps on the
+ * charts and map) and carries trip distance counters that restart at zero across
+ * the seams.
+ */
+
+import { RideColumn } from './ride-columns.js';
+
+// Longest pause between two logs that still counts as the same ride
+export const MAX_JOIN_GAP_MS = 60 * 60 * 1000;
+
+// Trip counters that restart with the app (odometer series keep counting and are left alone)
+export const TRIP_COUNTER_SERIES = ['distance', 'gps_distance'];
+
+/**
+ * Time range of each part of a concatenated ride
+ * @param {Float64Array|Array} timestamps - Timestamps of all parts, concatenated
+ * @param {Array<number>} rowCounts - Rows per part, in concatenation order
+ * @returns {Array} [{ start, end, firstRow, rowCount }] in concatenation order (start/end NaN without valid timestamps)
+ */
+export function getPartTimeRanges(timestamps, rowCounts) {
+    const ranges = [];
+    let firstRow = 0;
+    for (const rowCount of rowCounts) {
+        let start = NaN, end = NaN;
+        for (let i = firstRow; i < firstRow + rowCount; i++) {
+            const t = timestamps[i];
+            if (!t) continue;
+            if (isNaN(start)) start = t;
+            end = t;
+        }
+        ranges.push({ start, end, firstRow, rowCount });
+        firstRow += rowCount;
+    }
+    return ranges;
+}
+
+/**
+ * Timeline order of the parts, checked for overlaps and long pauses
+ * @param {Array} ranges - From getPartTimeRanges()
+ * @param {Array<string>} names - Part file names (for error messages), same order
+ * @returns {Array<number>} Part indices in timeline order
+ */
+export function orderRideParts(ranges, names) {
+    ranges.forEach((range, i) => {
+        if (isNaN(range.start)) {
+            throw new Error(`${names[i]} has no valid timestamps`);
+        }
+    });
+
+    const order = ranges.map((_, i) => i).sort((a, b) => ranges[a].start - ranges[b].start);
+    for (let k = 1; k < order.length; k++) {
+        const prev = ranges[order[k - 1]];
+        const next = ranges[order[k]];
+        if (next.start < prev.end) {
+            throw new Error(`${names[order[k]]} overlaps ${names[order[k - 1]]} — these logs are not parts of one ride`);
+        }
+        if (next.start - prev.end > MAX_JOIN_GAP_MS) {
+            const minutes = Math.round((next.start - prev.end) / 60000);
+            throw new Error(`${names[order[k]]} starts ${minutes} min after ${names[order[k - 1]]} ends — ` +
+                `only logs less than ${MAX_JOIN_GAP_MS / 60000} min apart are merged`);
+        }
+    }
+    return order;
+}
+
+/**
+ * First or last non-null value within rows [start, end)
+ * @param {Array} values - Plain array (see RideColumn.toArray)
+ * @returns {number|null}
+ */
+function edgeValue(values, start, end, last) {
+    if (last) {
+        for (let i = end - 1; i >= start; i--) {
+            if (values[i] !== null) return values[i];
+        }
+    } else {
+        for (let i = start; i < end; i++) {
+            if (values[i] !== null) return values[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Continue a trip counter across the seams
+ * A part whose counter starts below where the previous part ended restarted at zero;
+ * it is shifted to continue from there, plus the distance the odometer covered
+ * between the two logs.
+ * @param {RideColumn} column - Trip counter (km)
+ * @param {Array} ranges - Part ranges in timeline (row) order
+ * @param {RideColumn|null} odometer - distance_total, if present
+ * @returns {RideColumn|null} Reconciled column, or null when no part restarted
+ */
+function reconcileCounter(column, ranges, odometer) {
+    const values = column.toArray();
+    const odometerValues = odometer ? odometer.toArray() : null;
+    let changed = false;
+
+    for (let k = 1; k < ranges.length; k++) {
+        const prev = ranges[k - 1];
+        const part = ranges[k];
+        const prevEnd = prev.firstRow + prev.rowCount;
+        const partEnd = part.firstRow + part.rowCount;
+
+        // The previous part is already reconciled, so later parts build on it
+        const lastValue = edgeValue(values, prev.firstRow, prevEnd, true);
+        const firstValue = edgeValue(values, part.firstRow, partEnd, false);
+        if (lastValue === null || firstValue === null || firstValue >= lastValue) continue;
+
+        let gapDistance = 0;
+        if (odometerValues) {
+            const odoBefore = edgeValue(odometerValues, prev.firstRow, prevEnd, true);
+            const odoAfter = edgeValue(odometerValues, part.firstRow, partEnd, false);
+            if (odoBefore !== null && odoAfter !== null) {
+                gapDistance = Math.max(0, odoAfter - odoBefore);
+            }
+        }
+
+        const offset = lastValue + gapDistance - firstValue;
+        for (let i = part.firstRow; i < partEnd; i++) {
+            if (values[i] !== null) values[i] += offset;
+        }
+        changed = true;
+    }
+
+    return changed ? RideColumn.fromArray(values) : null;
+}
+
+/**
+ * Finish a ride processed from several logs
+ * Adds joins ([{ time, gapMs, filename }], the first row time of each later part) and
+ * sourceFiles, and reconciles trip counters (chart groups are re-pointed at the new
+ * columns). Rows must already be in timeline order.
+ * @param {Object} model - Ride model from the processor
+ * @param {Array} ranges - Part ranges in timeline order (getPartTimeRanges on the ordered rows)
+ * @param {Array<string>} filenames - Part file names, timeline order
+ * @returns {Object} The model (updated in place)
+ */
+export function finishMergedRide(model, ranges, filenames) {
+    model.sourceFiles = filenames.slice();
+    model.joins = [];
+    for (let k = 1; k < ranges.length; k++) {
+        model.joins.push({
+            time: ranges[k].start,
+            gapMs: ranges[k].start - ranges[k - 1].end,
+            filename: filenames[k]
+        });
+    }
+
+    const odometer = model.series.distance_total || null;
+    for (const key of TRIP_COUNTER_SERIES) {
+        const column = model.series[key];
+        if (!column) continue;
+        const reconciled = reconcileCounter(column, ranges, odometer);
+        if (!reconciled) continue;
+
+        model.series[key] = reconciled;
+        for (const group of Object.values(model.chartGroups)) {
+            for (const s of group.series) {
+                if (s.data === column) s.data = reconciled;
+            }
+        }
+        console.log(`[MERGE] Continued ${key} across ${ranges.length - 1} join(s)`);
+    }
+
+    return model;
+}
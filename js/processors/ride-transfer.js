@@ -0,0 +1,103 @@
+/**
+ * Ride Data Transfer Codec
+ * Packs a processed ride model for postMessage: the typed arrays behind RideColumns
+ * and timestamps are listed as transferables, so they move between threads instead
+ * of being cloned. Columns shared between series and chart groups are packed once.
+ * Everything else goes through the structured clone as-is.
+ */
+
+import { RideColumn } from './ride-columns.js';
+
+/**
+ * Pack a value tree for transfer
+ * @param {*} value - Processed data (or any nested part of it)
+ * @returns {Object} { payload, transfer } - payload for postMessage, transfer list of ArrayBuffers
+ */
+export function packTransferable(value) {
+    const buffers = [];
+    const bufferIndex = new Map(); // typed array → buffer index
+    const seen = new Map(); // column → packed node
+
+    const addBuffer = (typed) => {
+        if (!bufferIndex.has(typed)) {
+            bufferIndex.set(typed, buffers.length);
+            buffers.push(typed);
+        }
+        return bufferIndex.get(typed);
+    };
+
+    const pack = (node) => {
+        if (node instanceof RideColumn) {
+            if (!seen.has(node)) {
+                seen.set(node, {
+                    __packed: 'column',
+                    values: addBuffer(node.values),
+                    validity: addBuffer(node.validity),
+                    offset: node.offset,
+                    length: node.length
+                });
+            }
+            return seen.get(node);
+        }
+        if (ArrayBuffer.isView(node)) {
+            return { __packed: 'typed', index: addBuffer(node) };
+        }
+        if (Array.isArray(node)) {
+            return node.map(pack);
+        }
+        if (node && typeof node === 'object') {
+            const out = {};
+            for (const [key, child] of Object.entries(node)) {
+                out[key] = pack(child);
+            }
+            return out;
+        }
+        return node;
+    };
+
+    const tree = pack(value);
+
+    // A buffer may back several views (e.g. subarray timestamps); transfer it once
+    const transfer = [...new Set(buffers.map(typed => typed.buffer))];
+    return {
+        payload: { tree, buffers },
+        transfer
+    };
+}
+
+/**
+ * Unpack a payload back into RideColumns and typed arrays.
+ * Columns packed once are shared again in the unpacked tree.
+ * @param {Object} payload - { tree, buffers } from packTransferable
+ * @returns {*} Unpacked value tree
+ */
+export function unpackTransferable(payload) {
+    const { tree, buffers } = payload;
+    const columns = new Map(); // packed node → RideColumn
+
+    const unpack = (node) => {
+        if (Array.isArray(node)) {
+            return node.map(unpack);
+        }
+        if (node && typeof node === 'object') {
+            if (node.__packed === 'column') {
+                if (!columns.has(node)) {
+                    columns.set(node, new RideColumn(buffers[node.values], buffers[node.validity], node.offset, node.length));
+                }
+                return columns.get(node);
+            }
+            if (node.__packed === 'typed') {
+                return buffers[node.index];
+            }
+
+            const out = {};
+            for (const [key, child] of Object.entries(node)) {
+                out[key] = unpack(child);
+            }
+            return out;
+        }
+        return node;
+    };
+
+    return unpack(tree);
+}
@@ -5,6 +5,8 @@
  */
 
 import { BaseProcessor } from './base-processor.js';
+import { registerProcessor } from './processor-registry.js';
+import { createRideModel } from './ride-columns.js';
 
 export class WheelLogProcessor extends BaseProcessor {
     constructor() {
@@ -90,12 +92,7 @@ export class WheelLogProcessor extends BaseProcessor {
 
         try {
             // Extract timestamps from date + time columns
-            const timestamps = parsedData.map(row => {
-                const dateStr = row.date;
-                const timeStr = row.time;
-                const combined = `${dateStr} ${timeStr}`;
-                return new Date(combined).getTime();
-            });
+            const timestamps = parsedData.map(row => this.parseDateTime(row.date, row.time).getTime());
 
             // Map and extract all series
             const series = this.extractAllSeries(parsedData);
@@ -123,7 +120,7 @@ export class WheelLogProcessor extends BaseProcessor {
             console.log(`[WHEELLOG] Successfully processed ${parsedData.length} rows`);
             console.log('='.repeat(80) + '\n');
 
-            return {
+            return createRideModel({
                 formatName: this.getFormatName(),
                 dataCount: parsedData.length,
                 timestamps: timestamps,
@@ -132,7 +129,7 @@ export class WheelLogProcessor extends BaseProcessor {
                 gpsRoute: gpsRoute,
                 metadata: metadata,
                 supportedFeatures: this.getSupportedFeatures()
-            };
+            });
 
         } catch (error) {
             console.error('[WHEELLOG] Processing error:', error);
@@ -280,29 +277,37 @@ export class WheelLogProcessor extends BaseProcessor {
         const latData = this.extractSeries(parsedData, 'latitude');
         const lonData = this.extractSeries(parsedData, 'longitude');
 
-        if (!latData || !lonData) {
-            return { has_gps: false, coordinates: [] };
-        }
-
-        // Filter valid coordinates
-        const coordinates = [];
-        for (let i = 0; i < Math.min(latData.length, lonData.length); i++) {
-            const lat = latData[i];
-            const lon = lonData[i];
-
-            if (lat !== null && lon !== null && !isNaN(lat) && !isNaN(lon)) {
-                if (lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180) {
-                    coordinates.push([lat, lon]);
-                }
-            }
-        }
-
-        return {
-            has_gps: coordinates.length > 0,
-            coordinates: coordinates,
-            total_points: coordinates.length
-        };
+        return this.buildGPSRoute(latData, lonData);
     }
 }
 
+/**
+ * WheelLog detection:
+ * - Separate 'date' and 'time' columns (lowercase)
+ * - NO 'extra' column
+ * - NO 'datetime' column
+ * - Has typical WheelLog columns like 'speed', 'voltage', etc.
+ */
+registerProcessor({
+    id: 'WheelLog',
+    displayName: 'WheelLog',
+    shortName: 'WL',
+    icon: 'assets/icons/wl.png',
+    priority: 30,
+    detect: (columns) => {
+        const hasDate = columns.includes('date');
+        const hasTime = columns.includes('time');
+        const noExtra = !columns.includes('extra');
+        const noDatetime = !columns.includes('datetime');
+
+        // Require at least one WheelLog-specific column
+        const hasWheelLogCols = columns.some(col =>
+            ['speed', 'voltage', 'current', 'battery_level', 'pwm'].includes(col)
+        );
+
+        return hasDate && hasTime && noExtra && noDatetime && hasWheelLogCols;
+    },
+    ProcessorClass: WheelLogProcessor
+});
+
 export default WheelLogProcessor;
@@ -0,0 +1,245 @@
+/**
+ * Ride Comparison
+ * Overlays a second ride on the one being viewed (same route, different wheel or
+ * tire pressure). The comparison ride is resampled onto the viewed ride's rows,
+ * aligned by elapsed time or by distance from the start, so chart series can be
+ * drawn on the same axis; overview stats are listed with their deltas.
+ *
+ * @module ride-compare
+ */
+
+import { RideColumn, upperBound } from './processors/ride-columns.js';
+import { formatDuration } from './format-utils.js';
+
+export const ALIGN_MODES = {
+    time: 'Elapsed time',
+    distance: 'Distance'
+};
+
+// Do not interpolate the comparison ride across recording gaps longer than this
+const MAX_TIME_GAP_MS = 30000;
+
+/**
+ * Elapsed time of each row since the ride's first timestamp
+ * @param {Object} data - Ride model
+ * @returns {Float64Array} Seconds (NaN for rows without a timestamp)
+ */
+function elapsedSeconds(data) {
+    const { timestamps } = data;
+    const result = new Float64Array(timestamps.length).fill(NaN);
+    let start = null;
+    for (let i = 0; i < timestamps.length; i++) {
+        if (!timestamps[i]) continue;
+        if (start === null) start = timestamps[i];
+        result[i] = (timestamps[i] - start) / 1000;
+    }
+    return result;
+}
+
+/**
+ * Distance of each row from the ride's start
+ * From the trip counter when there is one (made non-decreasing, so counter resets
+ * and GPS jitter do not step back), otherwise integrated from speed.
+ * @param {Object} data - Ride model
+ * @returns {Float64Array|null} km (NaN before the first value), null without distance or speed
+ */
+export function cumulativeDistance(data) {
+    const { timestamps, series } = data;
+    const result = new Float64Array(timestamps.length).fill(NaN);
+    const counter = series.distance || series.gps_distance;
+
+    if (counter && counter.hasValues()) {
+        let first = null, last = null;
+        for (let i = 0; i < timestamps.length; i++) {
+            const v = counter.get(i);
+            if (v !== null) {
+                if (first === null) first = v;
+                last = Math.max(last ?? v, v);
+            }
+            if (last !== null) result[i] = last - first;
+        }
+        return result;
+    }
+
+    const speed = series.speed || series.gps_speed;
+    if (!speed || !speed.hasValues()) return null;
+
+    let km = 0;
+    let prev = -1;
+    for (let i = 0; i < timestamps.length; i++) {
+        if (!timestamps[i]) continue;
+        if (prev >= 0) {
+            const dt = timestamps[i] - timestamps[prev];
+            const a = speed.get(prev), b = speed.get(i);
+            if (dt > 0 && dt <= MAX_TIME_GAP_MS && a !== null && b !== null) {
+                km += ((a + b) / 2) * (dt / 3600000);
+            }
+        }
+        result[i] = km;
+        prev = i;
+    }
+    return result;
+}
+
+/**
+ * Fractional comparison row for each row of the viewed ride
+ * @param {Object} primary - Viewed ride (may be trimmed; aligned from its first row)
+ * @param {Object} comparison - Comparison ride
+ * @param {string} mode - Key of ALIGN_MODES
+ * @returns {Float64Array|null} Positions (NaN where the comparison ride has no data),
+ *   null when the rides cannot be aligned this way
+ */
+export function alignRides(primary, comparison, mode) {
+    const byDistance = mode === 'distance';
+    const primaryCoords = byDistance ? cumulativeDistance(primary) : elapsedSeconds(primary);
+    const compareCoords = byDistance ? cumulativeDistance(comparison) : elapsedSeconds(comparison);
+    if (!primaryCoords || !compareCoords) return null;
+
+    // Rows of the comparison ride with a coordinate, in (non-decreasing) coordinate order
+    const rows = [];
+    for (let j = 0; j < compareCoords.length; j++) {
+        if (!isNaN(compareCoords[j])) rows.push(j);
+    }
+    if (rows.length === 0) return null;
+    const coords = Float64Array.from(rows, j => compareCoords[j]);
+
+    const positions = new Float64Array(primaryCoords.length).fill(NaN);
+    for (let i = 0; i < primaryCoords.length; i++) {
+        const x = primaryCoords[i];
+        if (isNaN(x)) continue;
+
+        const after = upperBound(coords, x);
+        if (after === 0) continue;
+        if (coords[after - 1] === x || after === coords.length) {
+            // Exact match, or past the end of the comparison ride (only an exact end match counts)
+            if (coords[after - 1] === x) positions[i] = rows[after - 1];
+            continue;
+        }
+
+        const j0 = rows[after - 1], j1 = rows[after];
+        if (!byDistance && (coords[after] - coords[after - 1]) * 1000 > MAX_TIME_GAP_MS) continue;
+        positions[i] = j0 + ((x - coords[after - 1]) / (coords[after] - coords[after - 1])) * (j1 - j0);
+    }
+    return positions;
+}
+
+/**
+ * Comparison column values at the aligned positions (linear between rows)
+ * @param {RideColumn} column - Comparison ride column
+ * @param {Float64Array} positions - From alignRides()
+ * @returns {RideColumn} Column row-aligned with the viewed ride
+ */
+export function resampleColumn(column, positions) {
+    const values = new Array(positions.length).fill(null);
+    for (let i = 0; i < positions.length; i++) {
+        const p = positions[i];
+        if (isNaN(p)) continue;
+        const j0 = Math.floor(p);
+        const f = p - j0;
+        const a = column.get(j0);
+        if (f === 0) {
+            values[i] = a;
+            continue;
+        }
+        const b = column.get(j0 + 1);
+        if (a !== null && b !== null) {
+            values[i] = a + (b - a) * f;
+        } else {
+            // Nearest row when one side has no value
+            values[i] = f < 0.5 ? a : b;
+        }
+    }
+    return RideColumn.fromArray(values);
+}
+
+/**
+ * Comparison chart series per chart group of the viewed ride
+ * Series keep the name of the matching series of the viewed ride (comparisonOf), so
+ * both rides share axes and hover labels.
+ * @param {Object} primary - Viewed ride
+ * @param {Object} comparison - Comparison ride
+ * @param {Float64Array} positions - From alignRides()
+ * @returns {Object} { [groupKey]: [{ name, comparisonOf, data, color, unit, secondaryY }] }
+ */
+export function buildComparisonSeries(primary, comparison, positions) {
+    const result = {};
+    for (const [key, group] of Object.entries(primary.chartGroups)) {
+        const compareGroup = comparison.chartGroups?.[key];
+        if (!compareGroup) continue;
+
+        const series = [];
+        for (const s of compareGroup.series) {
+            if (!s.data || !s.data.hasValues()) continue;
+            const match = group.series.find(p => p.name === s.name);
+            series.push({
+                name: `${s.name} (B)`,
+                comparisonOf: s.name,
+                data: resampleColumn(s.data, positions),
+                color: match ? match.color : s.color,
+                unit: s.unit,
+                secondaryY: match ? match.secondaryY : s.secondaryY
+            });
+        }
+        if (series.length > 0) result[key] = series;
+    }
+    return result;
+}
+
+/**
+ * Journey time of a ride (first to last timestamp)
+ * @returns {number|null} Seconds
+ */
+function journeySeconds(data) {
+    const elapsed = elapsedSeconds(data);
+    for (let i = elapsed.length - 1; i >= 0; i--) {
+        if (!isNaN(elapsed[i])) return elapsed[i];
+    }
+    return null;
+}
+
+// Stats listed in the comparison column: label, unit, decimals, value from (rideStats, data)
+const COMPARED_STATS = [
+    { label: '⏰ Journey Time', duration: true, value: (s, data) => journeySeconds(data) },
+    { label: '🛣️ Distance', unit: ' km', decimals: 2, value: s => s.distance?.trip ?? s.gpsDistance?.trip },
+    { label: '🚀 Max Speed', unit: ' km/h', value: s => s.speed?.max?.value ?? s.speedGPS?.max?.value },
+    { label: '⚡ Avg Speed', unit: ' km/h', value: s => s.speed?.avg ?? s.speedGPS?.avg },
+    { label: '⚡ Max Power', unit: ' W', decimals: 0, value: s => s.power?.max?.value },
+    { label: '⚡ Avg Power', unit: ' W', decimals: 0, value: s => s.power?.avg },
+    { label: '⚡ Avg Wh/km', unit: ' Wh/km', value: s => s.energyConsumption?.avg },
+    { label: '🔋 Battery Min', unit: '%', value: s => s.battery?.min?.value },
+    { label: '⚡ Voltage Min', unit: ' V', value: s => s.voltage?.min?.value },
+    { label: '🌡️ Motor Temp Max', unit: '°C', value: s => s.tempMotor?.max?.value },
+    { label: '🌡️ Controller Temp Max', unit: '°C', value: s => s.tempController?.max?.value },
+    {
+        label: '⛰️ Elevation Diff', unit: ' m',
+        value: s => (s.elevation?.max && s.elevation?.min ? s.elevation.max.value - s.elevation.min.value : null)
+    }
+];
+
+/**
+ * Overview stats of the comparison ride with deltas against the viewed ride
+ * @param {Object} primary - { data, rideStats } of the viewed ride
+ * @param {Object} comparison - { data, rideStats } of the comparison ride
+ * @returns {Array} Stat objects { label, value, group, isZeroOrNA } for an overview column
+ */
+export function buildComparisonStats(primary, comparison) {
+    return COMPARED_STATS.map(stat => {
+        const a = stat.value(primary.rideStats, primary.data);
+        const b = stat.value(comparison.rideStats, comparison.data);
+        const has = v => v !== null && v !== undefined && !isNaN(v);
+
+        if (!has(b)) {
+            return { label: stat.label, value: 'N/A', group: 'comparison', isZeroOrNA: true };
+        }
+
+        const decimals = stat.decimals ?? 1;
+        const format = v => (stat.duration ? formatDuration(Math.abs(v)) : `${Math.abs(v).toFixed(decimals)}${stat.unit}`);
+        let value = stat.duration ? formatDuration(b) : `${b.toFixed(decimals)}${stat.unit}`;
+        if (has(a)) {
+            const delta = b - a;
+            const sign = delta > 0 ? '+' : delta < 0 ? '−' : '±';
+            value += ` (${sign}${format(delta)})`;
+        }
+        return { label: stat.label, value, group: 'comparison', isZeroOrNA: false };
+    });
+}
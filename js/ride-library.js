@@ -0,0 +1,212 @@
+/**
+ * Ride Library
+ * Keeps loaded rides in the browser's IndexedDB so they can be reopened without
+ * dropping the file again. Nothing leaves the device: each entry is the raw CSV
+ * plus a small summary (from calculateRideStats) for the library list.
+ *
+ * Two object stores, so listing never reads the CSV text:
+ * - rides:   summaries (id, filename, format, job, size, summary, ...)
+ * - content: raw CSV text by ride id (an array of texts for a merged ride)
+ *
+ * The same database caches the file browser's ride summaries (summaries store),
+ * keyed by file identity so a changed file is summarized again.
+ *
+ * @module ride-library
+ */
+
+const DB_NAME = 'euc-ride-library';
+const DB_VERSION = 2;
+const RIDES_STORE = 'rides';
+const CONTENT_STORE = 'content';
+const SUMMARY_STORE = 'summaries';
+
+let dbPromise = null;
+
+/**
+ * @returns {boolean} True if the browser has IndexedDB
+ */
+export function isLibraryAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} req
+ * @returns {Promise<*>} Request result
+ */
+function promisify(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Resolve when a transaction commits
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Open (and on first use create) the library database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = (event) => {
+                const db = req.result;
+                if (event.oldVersion < 1) {
+                    const rides = db.createObjectStore(RIDES_STORE, { keyPath: 'id', autoIncrement: true });
+                    rides.createIndex('signature', 'signature');
+                    db.createObjectStore(CONTENT_STORE);
+                }
+                if (event.oldVersion < 2) {
+                    db.createObjectStore(SUMMARY_STORE);
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => {
+                dbPromise = null;
+                reject(req.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Save a ride (replaces an existing entry for the same file and start time)
+ * @param {Object} entry - { filename, format, job, size, lastModified, summary }
+ * @param {string|Array<string>} csvContent - Raw CSV text
+ * @returns {Promise<number>} Ride id
+ */
+export async function saveRide(entry, csvContent) {
+    const db = await openDatabase();
+    const signature = `${entry.filename}|${entry.size}|${entry.summary.startTime}`;
+
+    const tx = db.transaction([RIDES_STORE, CONTENT_STORE], 'readwrite');
+    const rides = tx.objectStore(RIDES_STORE);
+    const existing = await promisify(rides.index('signature').get(signature));
+
+    const record = {
+        ...entry,
+        signature,
+        addedAt: existing ? existing.addedAt : Date.now(),
+        openedAt: Date.now()
+    };
+    if (existing) {
+        record.id = existing.id;
+    }
+    const id = await promisify(rides.put(record));
+    tx.objectStore(CONTENT_STORE).put(csvContent, id);
+    await transactionDone(tx);
+    return id;
+}
+
+/**
+ * All library entries, newest ride first
+ * @returns {Promise<Array>} Ride entries (without CSV content)
+ */
+export async function listRides() {
+    const db = await openDatabase();
+    const tx = db.transaction(RIDES_STORE, 'readonly');
+    const rides = await promisify(tx.objectStore(RIDES_STORE).getAll());
+    return rides.sort((a, b) => (b.summary.startTime || 0) - (a.summary.startTime || 0));
+}
+
+/**
+ * Load a ride for reopening
+ * @param {number} id - Ride id
+ * @returns {Promise<Object>} { entry, csvContent }
+ */
+export async function loadRide(id) {
+    const db = await openDatabase();
+    const tx = db.transaction([RIDES_STORE, CONTENT_STORE], 'readwrite');
+    const rides = tx.objectStore(RIDES_STORE);
+    const entry = await promisify(rides.get(id));
+    const csvContent = await promisify(tx.objectStore(CONTENT_STORE).get(id));
+    if (!entry || csvContent === undefined) {
+        throw new Error('Ride not found in library');
+    }
+    entry.openedAt = Date.now();
+    rides.put(entry);
+    await transactionDone(tx);
+    return { entry, csvContent };
+}
+
+/**
+ * Delete a ride and its CSV content
+ * @param {number} id - Ride id
+ * @returns {Promise<void>}
+ */
+export async function deleteRide(id) {
+    const db = await openDatabase();
+    const tx = db.transaction([RIDES_STORE, CONTENT_STORE], 'readwrite');
+    tx.objectStore(RIDES_STORE).delete(id);
+    tx.objectStore(CONTENT_STORE).delete(id);
+    await transactionDone(tx);
+}
+
+/**
+ * Cached file browser summary
+ * @param {string} key - File identity (source, path, size and modified time)
+ * @returns {Promise<Object|undefined>} Summary from buildRideSummary(), or undefined
+ */
+export async function getCachedSummary(key) {
+    const db = await openDatabase();
+    const tx = db.transaction(SUMMARY_STORE, 'readonly');
+    return promisify(tx.objectStore(SUMMARY_STORE).get(key));
+}
+
+/**
+ * Cache a file browser summary
+ * @param {string} key - File identity
+ * @param {Object} summary - From buildRideSummary()
+ * @returns {Promise<void>}
+ */
+export async function putCachedSummary(key, summary) {
+    const db = await openDatabase();
+    const tx = db.transaction(SUMMARY_STORE, 'readwrite');
+    tx.objectStore(SUMMARY_STORE).put(summary, key);
+    await transactionDone(tx);
+}
+
+/**
+ * Storage used by the library and by this site overall
+ * @param {Array} rides - From listRides()
+ * @returns {Promise<Object>} { rideBytes, usage, quota } (usage/quota null when the browser does not report them)
+ */
+export async function getLibraryUsage(rides) {
+    const rideBytes = rides.reduce((sum, ride) => sum + (ride.size || 0), 0);
+    let usage = null, quota = null;
+    if (navigator.storage && navigator.storage.estimate) {
+        try {
+            ({ usage, quota } = await navigator.storage.estimate());
+        } catch (error) {
+            console.warn('[LIBRARY] Storage estimate unavailable:', error);
+        }
+    }
+    return { rideBytes, usage, quota };
+}
+
+/**
+ * Ask the browser not to evict the library under storage pressure (best effort)
+ * @returns {Promise<boolean>} True if storage is persistent
+ */
+export async function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) return false;
+    try {
+        return (await navigator.storage.persisted()) || (await navigator.storage.persist());
+    } catch (error) {
+        return false;
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * Ride Playback
+ * Replays the current view by moving the shared cursor across the map and all charts
+ * through window.eucChartSync (the same path a chart hover takes), in real time or
+ * faster. Playback covers the current (trimmed) range and can loop over it; the
+ * optional follow camera keeps the map's position marker centered.
+ *
+ * @module ride-playback
+ */
+
+import { upperBound } from './processors/ride-columns.js';
+import { formatTimestamp, formatDuration } from './format-utils.js';
+
+// Ride seconds per real second
+export const PLAYBACK_SPEEDS = [1, 2, 5, 10, 30, 60];
+
+// Longest step taken in one frame (requestAnimationFrame pauses in background tabs)
+const MAX_FRAME_MS = 250;
+
+/**
+ * Create the playback controller for the playback bar in the GPS Map card
+ * @returns {Object} { load, pause, hide }
+ */
+export function createRidePlayback() {
+    const row = document.getElementById('playback-row');
+    const playBtn = document.getElementById('playback-play-btn');
+    const stepBackBtn = document.getElementById('playback-step-back-btn');
+    const stepForwardBtn = document.getElementById('playback-step-forward-btn');
+    const speedSelect = document.getElementById('playback-speed-select');
+    const loopToggle = document.getElementById('playback-loop-toggle');
+    const followToggle = document.getElementById('playback-follow-toggle');
+    const seekInput = document.getElementById('playback-seek');
+    const timeLabel = document.getElementById('playback-time');
+
+    speedSelect.innerHTML = PLAYBACK_SPEEDS.map(speed => `<option value="${speed}">${speed}×</option>`).join('');
+
+    let timestamps = null; // Current view's timestamps
+    let excluded = []; // Intervals cut out of the current view (skipped, not played through)
+    let playhead = null; // Ride time in milliseconds
+    let rowIndex = -1; // Row the cursor is on
+    let frameId = null;
+    let lastFrameTime = null;
+
+    const startTime = () => timestamps[0];
+    const endTime = () => timestamps[timestamps.length - 1];
+
+    /**
+     * Show the playhead on the seek slider and time label
+     */
+    function updateBar() {
+        seekInput.value = playhead - startTime();
+        timeLabel.textContent = `${formatTimestamp(playhead)} · ` +
+            `${formatDuration((playhead - startTime()) / 1000)} / ${formatDuration((endTime() - startTime()) / 1000)}`;
+    }
+
+    /**
+     * Move the cursor to the row at the playhead and update the bar
+     * @param {boolean} force - Sync even if the row has not changed
+     */
+    function showPlayhead(force = false) {
+        const index = Math.max(0, upperBound(timestamps, playhead) - 1);
+        if (index !== rowIndex || force) {
+            rowIndex = index;
+            const sync = window.eucChartSync;
+            if (sync) {
+                const follow = followToggle.checked;
+                sync.syncHover({ index, timestamp: timestamps[index] }, 'playback', {
+                    center: follow,
+                    centerIfNearEdge: !follow,
+                    animate: !follow,
+                    showPopup: true
+                });
+            }
+        }
+        updateBar();
+    }
+
+    /**
+     * Advance the playhead by the real time since the last frame
+     * @param {DOMHighResTimeStamp} now - From requestAnimationFrame
+     */
+    function tick(now) {
+        const elapsed = Math.min(now - lastFrameTime, MAX_FRAME_MS);
+        lastFrameTime = now;
+        playhead += elapsed * Number(speedSelect.value);
+        const cut = excluded.find(interval => playhead > interval.start && playhead < interval.end);
+        if (cut) {
+            playhead = cut.end;
+        }
+
+        if (playhead >= endTime()) {
+            if (loopToggle.checked) {
+                playhead = startTime();
+            } else {
+                playhead = endTime();
+                showPlayhead();
+                pause();
+                return;
+            }
+        }
+
+        showPlayhead();
+        frameId = requestAnimationFrame(tick);
+    }
+
+    function play() {
+        if (!timestamps || frameId !== null) return;
+        if (playhead >= endTime()) {
+            playhead = startTime();
+        }
+        lastFrameTime = performance.now();
+        frameId = requestAnimationFrame(tick);
+        playBtn.textContent = '⏸ Pause';
+    }
+
+    function pause() {
+        if (frameId !== null) {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+        playBtn.textContent = '▶ Play';
+    }
+
+    /**
+     * Step one row back or forward (pauses playback)
+     * @param {number} direction - -1 or 1
+     */
+    function step(direction) {
+        if (!timestamps) return;
+        pause();
+        const current = Math.max(0, upperBound(timestamps, playhead) - 1);
+        const index = Math.min(timestamps.length - 1, Math.max(0, current + direction));
+        playhead = timestamps[index];
+        showPlayhead(true);
+    }
+
+    playBtn.addEventListener('click', () => (frameId !== null ? pause() : play()));
+    stepBackBtn.addEventListener('click', () => step(-1));
+    stepForwardBtn.addEventListener('click', () => step(1));
+    seekInput.addEventListener('input', () => {
+        if (!timestamps) return;
+        playhead = startTime() + Number(seekInput.value);
+        showPlayhead();
+    });
+    followToggle.addEventListener('change', () => {
+        if (timestamps && rowIndex >= 0) showPlayhead(true);
+    });
+
+    /**
+     * Play over a (new) view of the ride
+     * Keeps playing after a re-render; the playhead is kept if it is inside the new range.
+     * @param {Object} data - Current view (ride model)
+     */
+    function load(data) {
+        if (!data || !data.timestamps || data.timestamps.length < 2) {
+            hide();
+            return;
+        }
+
+        timestamps = data.timestamps;
+        excluded = data.excluded || [];
+        if (playhead === null || playhead < startTime() || playhead > endTime()) {
+            playhead = startTime();
+        }
+        rowIndex = -1;
+
+        seekInput.max = endTime() - startTime();
+        row.style.display = '';
+        if (frameId !== null) {
+            showPlayhead(true);
+        } else {
+            // The cursor only moves once playback starts
+            updateBar();
+        }
+    }
+
+    /**
+     * Stop playback and hide the bar (no ride loaded)
+     */
+    function hide() {
+        pause();
+        timestamps = null;
+        excluded = [];
+        playhead = null;
+        rowIndex = -1;
+        row.style.display = 'none';
+    }
+
+    return { load, pause, hide };
+}
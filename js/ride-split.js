@@ -0,0 +1,137 @@
+/**
+ * Ride Split Detection
+ *
+ * Finds the separate rides in a log that covers several (e.g. a whole day).
+ * A ride ends at a recording gap or when the wheel stands still for a long time;
+ * stationary rows at either end of a ride are left out.
+ *
+ * @module ride-split
+ */
+
+// Default thresholds (editable in the Ride Split card)
+export const SPLIT_DEFAULTS = {
+    gapMinutes: 5,        // Recording gap that always ends a ride
+    stopMinutes: 10,      // Stationary period that ends a ride
+    movingSpeed: 3,       // km/h; slower counts as stationary
+    minRideSeconds: 60,   // Shorter candidates are dropped (pushing the wheel around)
+    minRideDistance: 0.1  // km; shorter candidates are dropped
+};
+
+/**
+ * Distance covered over rows [start, end)
+ * Uses the trip distance counter when it increases over the range, otherwise
+ * integrates speed over time (skipping recording gaps).
+ * @returns {number|null} Distance in km
+ */
+function rideDistance(data, start, end, gapMs) {
+    const { timestamps, series } = data;
+    const counter = series.distance || series.gps_distance;
+    if (counter) {
+        let first = null, last = null;
+        for (let i = start; i < end; i++) {
+            const v = counter.get(i);
+            if (v === null) continue;
+            if (first === null) first = v;
+            last = v;
+        }
+        if (first !== null && last > first) {
+            return last - first;
+        }
+    }
+
+    const speed = series.speed || series.gps_speed;
+    if (!speed) return null;
+
+    let km = 0;
+    for (let i = start + 1; i < end; i++) {
+        const dt = timestamps[i] - timestamps[i - 1];
+        const a = speed.get(i - 1);
+        const b = speed.get(i);
+        if (!(dt > 0) || dt > gapMs || a === null || b === null) continue;
+        km += ((a + b) / 2) * (dt / 3600000);
+    }
+    return km;
+}
+
+/**
+ * Detect rides in a log
+ * @param {Object} data - Ride model (the full, untrimmed log)
+ * @param {Object} options - Thresholds, see SPLIT_DEFAULTS
+ * @returns {Array} Rides in time order:
+ *   { number, startIndex, endIndex (exclusive), startTime, endTime, durationSeconds, distance (km|null), maxSpeed (km/h|null) }
+ */
+export function detectRides(data, options = {}) {
+    const { gapMinutes, stopMinutes, movingSpeed, minRideSeconds, minRideDistance } = { ...SPLIT_DEFAULTS, ...options };
+    const gapMs = gapMinutes * 60000;
+    const stopMs = stopMinutes * 60000;
+    const { timestamps, series } = data;
+    // Without a speed series only recording gaps split the log
+    const speed = series.speed || series.gps_speed || null;
+
+    const ranges = [];
+    let rideStart = -1;
+    let lastMoving = -1;
+    let lastTime = null;
+
+    const closeRide = () => {
+        if (rideStart >= 0) {
+            ranges.push([rideStart, lastMoving + 1]);
+        }
+        rideStart = -1;
+        lastMoving = -1;
+    };
+
+    for (let i = 0; i < timestamps.length; i++) {
+        const time = timestamps[i];
+        if (!time) continue;
+
+        if (lastTime !== null && time - lastTime > gapMs) {
+            closeRide();
+        }
+        lastTime = time;
+
+        const moving = speed ? (speed.get(i) ?? 0) >= movingSpeed : true;
+        if (!moving) continue;
+
+        if (rideStart >= 0 && time - timestamps[lastMoving] >= stopMs) {
+            closeRide();
+        }
+        if (rideStart < 0) {
+            rideStart = i;
+        }
+        lastMoving = i;
+    }
+    closeRide();
+
+    const rides = [];
+    for (const [startIndex, endIndex] of ranges) {
+        const startTime = timestamps[startIndex];
+        const endTime = timestamps[endIndex - 1];
+        const durationSeconds = (endTime - startTime) / 1000;
+        const distance = rideDistance(data, startIndex, endIndex, gapMs);
+        if (durationSeconds < minRideSeconds || (distance !== null && distance < minRideDistance)) {
+            continue;
+        }
+
+        let maxSpeed = null;
+        if (speed) {
+            for (let i = startIndex; i < endIndex; i++) {
+                const v = speed.get(i);
+                if (v !== null && (maxSpeed === null || v > maxSpeed)) maxSpeed = v;
+            }
+        }
+
+        rides.push({
+            number: rides.length + 1,
+            startIndex,
+            endIndex,
+            startTime,
+            endTime,
+            durationSeconds,
+            distance,
+            maxSpeed
+        });
+    }
+
+    return rides;
+}
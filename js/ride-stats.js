@@ -7,12 +7,14 @@
  * @module ride-stats
  */
 
+import { valueAt } from './processors/ride-columns.js';
+
 // Module loaded
 
 /**
  * Calculate comprehensive statistics for a single metric/data array
  *
- * @param {Array} dataArray - Array of numeric values (may contain nulls/NaN)
+ * @param {RideColumn|Array} dataArray - Column or array of numeric values (may contain nulls/NaN)
  * @param {Object} options - Configuration options
  * @param {boolean} options.skipZeros - Filter out zero values (for distance/odometer)
  * @param {number} options.maxValue - Filter out values above this (for PWM filtering)
@@ -44,8 +46,8 @@ export function calculateMetricStats(dataArray, options = {}) {
     let validIndices = [];
 
     for (let i = 0; i < dataArray.length; i++) {
-        const val = dataArray[i];
-        if (val !== null && val !== undefined && !isNaN(val)) {
+        const val = valueAt(dataArray, i);
+        if (val !== null) {
             // Apply filters
             if (skipZeros && val === 0) continue;
             if (val > maxValue) continue;
@@ -111,7 +113,7 @@ export function calculateMetricStats(dataArray, options = {}) {
  * Find all indices where a condition is true
  * Used for finding all zero safety points (PWM = 0 or 100)
  *
- * @param {Array} dataArray - Array to search
+ * @param {RideColumn|Array} dataArray - Column or array to search
  * @param {Function} condition - Function that returns true for matching values
  * @returns {Array} Array of indices where condition is true
  */
@@ -123,8 +125,8 @@ export function findAllIndices(dataArray, condition) {
     }
 
     for (let i = 0; i < dataArray.length; i++) {
-        const val = dataArray[i];
-        if (val !== null && val !== undefined && !isNaN(val)) {
+        const val = valueAt(dataArray, i);
+        if (val !== null) {
             if (condition(val)) {
                 indices.push(i);
             }
@@ -137,7 +139,7 @@ export function findAllIndices(dataArray, condition) {
 /**
  * Calculate first and last non-zero values (for distance/odometer)
  *
- * @param {Array} dataArray - Array of distance/odometer values
+ * @param {RideColumn|Array} dataArray - Column or array of distance/odometer values
  * @returns {Object} {start, end, startIndex, endIndex}
  */
 export function calculateDistanceRange(dataArray) {
@@ -149,8 +151,8 @@ export function calculateDistanceRange(dataArray) {
     let start = null;
     let startIndex = null;
     for (let i = 0; i < dataArray.length; i++) {
-        const val = dataArray[i];
-        if (val !== null && val !== undefined && !isNaN(val) && val > 0) {
+        const val = valueAt(dataArray, i);
+        if (val !== null && val > 0) {
             start = val;
             startIndex = i;
             break;
@@ -161,8 +163,8 @@ export function calculateDistanceRange(dataArray) {
     let end = null;
     let endIndex = null;
     for (let i = dataArray.length - 1; i >= 0; i--) {
-        const val = dataArray[i];
-        if (val !== null && val !== undefined && !isNaN(val) && val > 0) {
+        const val = valueAt(dataArray, i);
+        if (val !== null && val > 0) {
             end = val;
             endIndex = i;
             break;
@@ -358,10 +360,10 @@ export function calculateRideStats(fullData, options = {}) {
         const cvData = series.battery_corrected_voltage;
         let start = null, end = null;
         for (let i = 0; i < cvData.length; i++) {
-            if (cvData[i] !== null && !isNaN(cvData[i])) { start = cvData[i]; break; }
+            if (valueAt(cvData, i) !== null) { start = valueAt(cvData, i); break; }
         }
         for (let i = cvData.length - 1; i >= 0; i--) {
-            if (cvData[i] !== null && !isNaN(cvData[i])) { end = cvData[i]; break; }
+            if (valueAt(cvData, i) !== null) { end = valueAt(cvData, i); break; }
         }
         stats.correctedVoltage = {
             start,
@@ -418,3 +420,37 @@ export function calculateRideStats(fullData, options = {}) {
 
     return stats;
 }
+
+/**
+ * Short ride summary for file lists (ride library, file browser)
+ * @param {Object} data - Full (untrimmed) ride model
+ * @param {Object} rideStats - From calculateRideStats()
+ * @returns {Object} { startTime, endTime, durationSeconds, distance, maxSpeed, avgSpeed, make, model, source, points, hasGPS }
+ */
+export function buildRideSummary(data, rideStats) {
+    const { timestamps } = data;
+    let startTime = null, endTime = null;
+    for (let i = 0; i < timestamps.length; i++) {
+        if (timestamps[i]) {
+            if (startTime === null) startTime = timestamps[i];
+            endTime = timestamps[i];
+        }
+    }
+
+    const metadata = data.metadata || {};
+    const known = (value) => (value && value !== 'N/A' ? value : null);
+
+    return {
+        startTime,
+        endTime,
+        durationSeconds: startTime !== null ? (endTime - startTime) / 1000 : null,
+        distance: rideStats.distance?.trip ?? rideStats.gpsDistance?.trip ?? null,
+        maxSpeed: rideStats.speed?.max?.value ?? null,
+        avgSpeed: rideStats.speed?.avg ?? null,
+        make: known(metadata.make),
+        model: known(metadata.model),
+        source: known(metadata.source),
+        points: timestamps.length,
+        hasGPS: !!data.gpsRoute?.has_gps
+    };
+}
@@ -49,9 +49,10 @@ let activeManagerInstance = null;
  * @param {Object} gpsMapInstance - GPS map instance for marker updates
  * @param {Function} onApplyCallback - Callback when trim is applied
  * @param {Function} onResetCallback - Callback when trim is reset
+ * @param {Function} onExcludeCallback - Callback when the selection is cut out (startMs, endMs)
  * @returns {Object} Time range manager instance
  */
-export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetCallback) {
+export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetCallback, onExcludeCallback) {
     console.log('[TIME RANGE MANAGER] Creating time range manager...');
 
     // Cleanup previous instance listeners if exists
@@ -66,6 +67,7 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
     let currentRange = null; // [startTimestamp, endTimestamp] in milliseconds
     let fullRange = null; // [startTimestamp, endTimestamp] in milliseconds
     let isDragging = false;
+    let restingBadgeText = ''; // Duration badge without a selection ("Full Ride"/"Trimmed")
 
     // DOM elements
     const sliderElement = document.getElementById('time-range-slider');
@@ -75,6 +77,7 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
     const durationBadge = document.getElementById('time-duration-badge');
     const applyBtn = document.getElementById('apply-time-btn');
     const resetBtn = document.getElementById('reset-time-btn');
+    const excludeBtn = document.getElementById('exclude-time-btn');
 
     /**
      * Initialize time range slider with data
@@ -102,9 +105,12 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
         // Update labels
         startLabel.textContent = formatTimestamp(startTimestamp);
         endLabel.textContent = formatTimestamp(endTimestamp);
-        // Update duration badge
-        const durationSeconds = (endTimestamp - startTimestamp) / 1000;
-        durationBadge.textContent = `Full Ride (${formatDuration(durationSeconds)})`;
+        // Update duration badge (time cut out of the middle does not count)
+        const excluded = data.excluded || [];
+        const excludedMs = excluded.reduce((sum, cut) => sum + cut.end - cut.start, 0);
+        const durationSeconds = (endTimestamp - startTimestamp - excludedMs) / 1000;
+        setRestingBadge(`Full Ride (${formatDuration(durationSeconds)}` +
+            (excluded.length > 0 ? `, ${excluded.length} cut out)` : ')'));
 
         // Generate time marks
         const marks = generateTimeMarks(startTimestamp, endTimestamp);
@@ -155,10 +161,20 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
         sectionElement.style.display = 'block';
 
         applyBtn.disabled = true;
+        excludeBtn.disabled = true;
 
         console.log('[TIME RANGE MANAGER] Initialized successfully');
     }
 
+    /**
+     * Set the duration badge text shown while the whole range is selected
+     * @param {string} text - Badge text
+     */
+    function setRestingBadge(text) {
+        restingBadgeText = text;
+        durationBadge.textContent = text;
+    }
+
     /**
      * Handle drag start
      */
@@ -182,6 +198,21 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
         }
     }
 
+    /**
+     * Show trim in/out markers on the GPS map (cleared for the full range)
+     * @param {number} trimInMs - Trim start in ms
+     * @param {number} trimOutMs - Trim end in ms
+     */
+    function updateMapMarkers(trimInMs, trimOutMs) {
+        if (!gpsMapInstance) return;
+        const isFullRange = trimInMs <= fullRange[0] + 1000 && trimOutMs >= fullRange[1] - 1000;
+        if (isFullRange) {
+            gpsMapInstance.clearTimeRangeMarkers();
+        } else {
+            gpsMapInstance.updateTimeRangeMarkers(trimInMs, trimOutMs);
+        }
+    }
+
     /**
      * Handle slider update (real-time during drag)
      * @param {Array} values - [trimInSeconds, trimOutSeconds]
@@ -189,19 +220,23 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
     function handleSlide(values) {
         if (!isDragging) return;
 
-        const trimInMs = parseInt(values[0]) * 1000;
-        const trimOutMs = parseInt(values[1]) * 1000;
-        const isFullRange = trimInMs <= fullRange[0] + 1000 && trimOutMs >= fullRange[1] - 1000;
-
         // Update GPS markers in real-time (preview)
-        if (gpsMapInstance) {
-            if (isFullRange) {
-                gpsMapInstance.clearTimeRangeMarkers();
-            } else {
-                gpsMapInstance.updateTimeRangeMarkers(trimInMs, trimOutMs);
-            }
-        }
+        updateMapMarkers(parseInt(values[0]) * 1000, parseInt(values[1]) * 1000);
+    }
 
+    /**
+     * Move both handles to a range selected elsewhere (e.g. brushed on a chart).
+     * The slider's update handler shows the chart trim preview; Apply Trim works as after a drag.
+     * @param {number} startMs - Range start in ms (clamped to the slider)
+     * @param {number} endMs - Range end in ms (clamped to the slider)
+     */
+    function setRange(startMs, endMs) {
+        if (!sliderInstance || !fullRange) return;
+
+        const start = Math.max(fullRange[0], Math.min(startMs, endMs));
+        const end = Math.min(fullRange[1], Math.max(startMs, endMs));
+        sliderInstance.set([Math.floor(start / 1000), Math.ceil(end / 1000)]);
+        updateMapMarkers(currentRange[0], currentRange[1]);
     }
 
     /**
@@ -218,11 +253,14 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
         // Use 1s tolerance for full-range check since slider works in whole seconds
         const isFullRange = trimInMs <= fullRange[0] + 1000 && trimOutMs >= fullRange[1] - 1000;
         applyBtn.disabled = isFullRange;
+        excludeBtn.disabled = isFullRange;
 
         if (isFullRange) {
             broadcastTrimPreview(null, null);
+            durationBadge.textContent = restingBadgeText;
         } else {
             broadcastTrimPreview(trimInMs, trimOutMs);
+            durationBadge.textContent = `Selected (${formatDuration((trimOutMs - trimInMs) / 1000)})`;
         }
     }
 
@@ -240,6 +278,7 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
         }
 
         applyBtn.disabled = isFullRange;
+        excludeBtn.disabled = isFullRange;
     }
 
     /**
@@ -260,7 +299,24 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
         onApplyCallback(currentRange[0], currentRange[1]);
 
         const duration = (currentRange[1] - currentRange[0]) / 1000;
-        durationBadge.textContent = `Trimmed (${formatDuration(duration)})`;
+        setRestingBadge(`Trimmed (${formatDuration(duration)})`);
+    }
+
+    /**
+     * Cut the selected range out of the ride, keeping the rows on both sides
+     */
+    function excludeSelection() {
+        if (!currentRange || !onExcludeCallback) {
+            console.warn('[TIME RANGE MANAGER] Cannot cut out selection - missing range or callback');
+            return;
+        }
+
+        console.log(`[TIME RANGE MANAGER] Cutting out: ${formatTimestamp(currentRange[0])} → ${formatTimestamp(currentRange[1])}`);
+
+        // Clear chart trim preview (charts will re-render without the interval)
+        broadcastTrimPreview(null, null);
+
+        onExcludeCallback(currentRange[0], currentRange[1]);
     }
 
     /**
@@ -292,8 +348,9 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
 
         // Update status
         const duration = (fullRange[1] - fullRange[0]) / 1000;
-        durationBadge.textContent = `Full Ride (${formatDuration(duration)})`;
+        setRestingBadge(`Full Ride (${formatDuration(duration)})`);
         applyBtn.disabled = true;
+        excludeBtn.disabled = true;
     }
 
     /**
@@ -331,6 +388,7 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
     // Store listener references for proper cleanup
     let applyListener = null;
     let resetListener = null;
+    let excludeListener = null;
 
     /**
      * Attach event listeners with cleanup
@@ -343,14 +401,19 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
         if (resetListener) {
             resetBtn.removeEventListener('click', resetListener);
         }
+        if (excludeListener) {
+            excludeBtn.removeEventListener('click', excludeListener);
+        }
 
         // Create new listener references
         applyListener = applyTrim;
         resetListener = resetTrim;
+        excludeListener = excludeSelection;
 
         // Attach new listeners
         applyBtn.addEventListener('click', applyListener);
         resetBtn.addEventListener('click', resetListener);
+        excludeBtn.addEventListener('click', excludeListener);
     }
 
     // Attach listeners on creation
@@ -361,8 +424,10 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
         initialize,
         applyTrim,
         resetTrim,
+        excludeSelection,
         hide,
         getCurrentRange,
+        setRange,
         cleanup: function() {
             // Remove listeners on cleanup
             if (applyListener) {
@@ -371,6 +436,9 @@ export function createTimeRangeManager(gpsMapInstance, onApplyCallback, onResetC
             if (resetListener) {
                 resetBtn.removeEventListener('click', resetListener);
             }
+            if (excludeListener) {
+                excludeBtn.removeEventListener('click', excludeListener);
+            }
 
             // Original cleanup
             cleanup();
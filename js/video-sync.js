@@ -0,0 +1,254 @@
+/**
+ * Video Sync
+ * Plays a local dashcam/action-cam video next to the telemetry. The video is placed on
+ * the ride's clock by an offset (log start to video start), set by hand or by matching
+ * a paused video frame to a chart point. While locked, the video and the shared
+ * cursor (window.eucChartSync) follow each other: playing or scrubbing the video moves
+ * the map marker and chart cursor, and moving the cursor (chart hover, map hover,
+ * ride playback) seeks the video.
+ *
+ * @module video-sync
+ */
+
+import { upperBound } from './processors/ride-columns.js';
+import { formatTimestamp } from './format-utils.js';
+
+const SYNC_SOURCE = 'video';
+
+// Smaller cursor/video differences are not worth a seek
+const SEEK_TOLERANCE_S = 0.05;
+
+/**
+ * Create the video sync panel controller (Video Sync card)
+ * @returns {Object} { load, reset }
+ */
+export function createVideoSync() {
+    const section = document.getElementById('video-section');
+    const video = document.getElementById('video-player');
+    const fileInput = document.getElementById('video-file-input');
+    const offsetInput = document.getElementById('video-offset-input');
+    const alignBtn = document.getElementById('video-align-btn');
+    const lockToggle = document.getElementById('video-lock-toggle');
+    const status = document.getElementById('video-status');
+    const chartsContainer = document.getElementById('charts-container');
+
+    let videoURL = null;
+    let videoName = null;
+    let timestamps = null; // Current view's timestamps
+    let rideStartTime = null; // First timestamp of the full ride (offset origin)
+    let videoStartTime = null; // Ride time at video 0:00, in milliseconds
+    let cursorTime = null; // Last cursor timestamp from any source
+    let matching = false; // Waiting for a chart click (Match Chart Point)
+    let seekingToCursor = false; // Seek started by the cursor, not by the user
+    let cursorIndex = -1; // Row last sent to the cursor
+    let frameId = null;
+
+    const isLocked = () => lockToggle.checked && !matching && videoURL !== null && timestamps !== null;
+
+    function updateStatus() {
+        if (matching) {
+            status.textContent = `Video paused at ${video.currentTime.toFixed(1)} s — now click the matching point on any chart.`;
+            return;
+        }
+        if (!videoURL) {
+            status.textContent = 'Load a video of this ride to review it against the charts and map.';
+            return;
+        }
+        const end = videoStartTime + (video.duration || 0) * 1000;
+        status.textContent = `${videoName}: ${formatTimestamp(videoStartTime)} – ${formatTimestamp(end)} on the log clock` +
+            (lockToggle.checked ? '' : ' (unlocked)');
+    }
+
+    /**
+     * Move the chart/map cursor to the video's current frame
+     * @param {boolean} force - Sync even if the frame is still on the same row
+     */
+    function syncCursorToVideo(force = true) {
+        if (!isLocked() || !window.eucChartSync) return;
+        const time = videoStartTime + video.currentTime * 1000;
+        if (time < timestamps[0] || time > timestamps[timestamps.length - 1]) return;
+
+        const index = Math.max(0, upperBound(timestamps, time) - 1);
+        if (index === cursorIndex && !force) return;
+        cursorIndex = index;
+        window.eucChartSync.syncHover({ index, timestamp: timestamps[index] }, SYNC_SOURCE);
+    }
+
+    /**
+     * Seek the video to a cursor timestamp (when the video covers it)
+     * @param {number} timestamp - Ride time in milliseconds
+     */
+    function seekVideoTo(timestamp) {
+        if (!isLocked() || !video.duration) return;
+        const target = (timestamp - videoStartTime) / 1000;
+        if (target < 0 || target > video.duration) return;
+        if (Math.abs(target - video.currentTime) < SEEK_TOLERANCE_S) return;
+
+        seekingToCursor = true;
+        video.currentTime = target;
+    }
+
+    function followVideo() {
+        syncCursorToVideo(false);
+        frameId = requestAnimationFrame(followVideo);
+    }
+
+    function stopFollowing() {
+        if (frameId !== null) {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+    }
+
+    function setVideoStartTime(time) {
+        videoStartTime = time;
+        offsetInput.value = ((videoStartTime - rideStartTime) / 1000).toFixed(1);
+        updateStatus();
+    }
+
+    function endMatching() {
+        matching = false;
+        alignBtn.classList.remove('active');
+        updateStatus();
+    }
+
+    // Cursor moved by a chart, the map or ride playback
+    if (window.eucChartSync) {
+        window.eucChartSync.addCursorListener((cursor, sourceId) => {
+            if (sourceId === SYNC_SOURCE || !cursor.timestamp) return;
+            cursorTime = cursor.timestamp;
+            seekVideoTo(cursor.timestamp);
+        });
+    }
+
+    // A click on a chart while matching pins the hovered point to the paused frame
+    chartsContainer.addEventListener('click', () => {
+        if (!matching || cursorTime === null) return;
+        setVideoStartTime(cursorTime - video.currentTime * 1000);
+        console.log(`[VIDEO SYNC] Matched ${video.currentTime.toFixed(2)} s to ${formatTimestamp(cursorTime)}`);
+        endMatching();
+    });
+
+    video.addEventListener('play', () => {
+        if (frameId === null) frameId = requestAnimationFrame(followVideo);
+    });
+    video.addEventListener('pause', stopFollowing);
+    video.addEventListener('ended', stopFollowing);
+    video.addEventListener('seeked', () => {
+        if (seekingToCursor) {
+            seekingToCursor = false;
+            return;
+        }
+        if (matching) updateStatus();
+        syncCursorToVideo();
+    });
+    video.addEventListener('loadedmetadata', updateStatus);
+    video.addEventListener('error', () => {
+        if (videoURL) status.textContent = `${videoName}: this browser cannot play this video format.`;
+    });
+
+    document.getElementById('video-load-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        event.target.value = ''; // Allow picking the same file again
+        if (file) {
+            loadVideo(file);
+        }
+    });
+
+    offsetInput.addEventListener('change', () => {
+        const seconds = parseFloat(offsetInput.value) || 0;
+        setVideoStartTime(rideStartTime + seconds * 1000);
+        syncCursorToVideo();
+    });
+
+    alignBtn.addEventListener('click', () => {
+        if (matching) {
+            endMatching();
+            return;
+        }
+        video.pause();
+        matching = true;
+        alignBtn.classList.add('active');
+        updateStatus();
+    });
+
+    lockToggle.addEventListener('change', () => {
+        updateStatus();
+        syncCursorToVideo();
+    });
+
+    /**
+     * Play a local video file (kept across trims, replaced by the next one)
+     * @param {File} file - Video file
+     */
+    function loadVideo(file) {
+        if (videoURL) {
+            URL.revokeObjectURL(videoURL);
+        }
+        stopFollowing();
+        endMatching();
+
+        videoURL = URL.createObjectURL(file);
+        videoName = file.name;
+        video.src = videoURL;
+        video.style.display = '';
+        offsetInput.disabled = false;
+        alignBtn.disabled = false;
+        lockToggle.disabled = false;
+
+        // Until matched, assume the video starts with the log
+        setVideoStartTime(rideStartTime);
+    }
+
+    /**
+     * Show the panel for a (new) view of the ride
+     * @param {Object} data - Current view (ride model)
+     * @param {number} fullRideStartTime - First timestamp of the untrimmed ride (offset origin)
+     */
+    function load(data, fullRideStartTime) {
+        if (!data || !data.timestamps || data.timestamps.length === 0) {
+            reset();
+            return;
+        }
+        timestamps = data.timestamps;
+        rideStartTime = fullRideStartTime;
+        cursorIndex = -1;
+        section.style.display = '';
+        if (videoURL && video.paused) {
+            syncCursorToVideo();
+        }
+    }
+
+    /**
+     * Remove the video and hide the panel (new ride or no ride loaded)
+     */
+    function reset() {
+        stopFollowing();
+        if (videoURL) {
+            video.pause();
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(videoURL);
+        }
+        videoURL = null;
+        videoName = null;
+        timestamps = null;
+        rideStartTime = null;
+        videoStartTime = null;
+        cursorTime = null;
+        cursorIndex = -1;
+        matching = false;
+        alignBtn.classList.remove('active');
+
+        video.style.display = 'none';
+        offsetInput.value = 0;
+        offsetInput.disabled = true;
+        alignBtn.disabled = true;
+        lockToggle.disabled = true;
+        section.style.display = 'none';
+        updateStatus();
+    }
+
+    return { load, reset };
+}
@@ -0,0 +1,129 @@
+/**
+ * View History
+ * Undo/redo over the view settings of the loaded ride: trim range, cut-out intervals,
+ * PWM flip and the map's route overlay and privacy settings. Each entry is a snapshot
+ * of those settings; undo and redo hand a snapshot back to the app, which rebuilds the
+ * view from originalData (no file reload).
+ *
+ * @module view-history
+ */
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 50;
+
+/**
+ * @param {EventTarget} target - Keydown target
+ * @returns {boolean} True for fields where Ctrl+Z edits text
+ */
+function isTextField(target) {
+    if (!target || !target.tagName) return false;
+    if (target.isContentEditable) return true;
+    const tag = target.tagName.toLowerCase();
+    if (tag === 'textarea' || tag === 'select') return true;
+    return tag === 'input' && !['checkbox', 'radio', 'range', 'button'].includes(target.type);
+}
+
+/**
+ * Create the undo/redo history for the Undo and Redo navbar buttons (and Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y)
+ * @param {Function} restore - Called with a snapshot to show after undo or redo
+ * @returns {Object} { reset, record, clear, undo, redo }
+ */
+export function createViewHistory(restore) {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+
+    let current = null; // Snapshot of what is shown now
+    let undoStack = []; // [{ label, state }] - state before the labelled change
+    let redoStack = []; // [{ label, state }] - state after the labelled change
+
+    function updateButtons() {
+        const visible = current !== null;
+        undoBtn.style.display = visible ? '' : 'none';
+        redoBtn.style.display = visible ? '' : 'none';
+
+        const lastUndo = undoStack[undoStack.length - 1];
+        const lastRedo = redoStack[redoStack.length - 1];
+        undoBtn.disabled = !lastUndo;
+        redoBtn.disabled = !lastRedo;
+        undoBtn.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        redoBtn.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    }
+
+    /**
+     * Start a new history (ride loaded)
+     * @param {Object} state - Snapshot of the initial view
+     */
+    function reset(state) {
+        current = state;
+        undoStack = [];
+        redoStack = [];
+        updateButtons();
+    }
+
+    /**
+     * Record a change made by the user (clears redo)
+     * @param {string} label - What changed, shown in the button tooltip (e.g. 'Trim')
+     * @param {Object} state - Snapshot after the change
+     */
+    function record(label, state) {
+        if (current === null) return;
+        if (JSON.stringify(state) === JSON.stringify(current)) return; // Nothing changed
+
+        undoStack.push({ label, state: current });
+        if (undoStack.length > MAX_ENTRIES) {
+            undoStack.shift();
+        }
+        redoStack = [];
+        current = state;
+        updateButtons();
+    }
+
+    /**
+     * Forget the history and hide the buttons (no ride loaded)
+     */
+    function clear() {
+        current = null;
+        undoStack = [];
+        redoStack = [];
+        updateButtons();
+    }
+
+    function undo() {
+        const entry = undoStack.pop();
+        if (!entry) return;
+        redoStack.push({ label: entry.label, state: current });
+        current = entry.state;
+        updateButtons();
+        console.log(`[VIEW HISTORY] Undo ${entry.label}`);
+        restore(current);
+    }
+
+    function redo() {
+        const entry = redoStack.pop();
+        if (!entry) return;
+        undoStack.push({ label: entry.label, state: current });
+        current = entry.state;
+        updateButtons();
+        console.log(`[VIEW HISTORY] Redo ${entry.label}`);
+        restore(current);
+    }
+
+    undoBtn.addEventListener('click', undo);
+    redoBtn.addEventListener('click', redo);
+
+    document.addEventListener('keydown', (event) => {
+        if (current === null || !(event.ctrlKey || event.metaKey) || event.altKey) return;
+        if (isTextField(event.target)) return; // Leave text editing undo to the field
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            undo();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            redo();
+        }
+    });
+
+    return { reset, record, clear, undo, redo };
+}
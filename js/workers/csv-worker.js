@@ -0,0 +1,54 @@
+/**
+ * CSV Processing Worker
+ * Runs the CSV pipeline (Papa Parse → processor → ride stats) off the main thread.
+ * Classic worker so Papa Parse can be loaded with importScripts; the ES module
+ * pipeline is loaded with dynamic import().
+ *
+ * Messages in:  { id, csvContent, job }   (csvContent: one text, or an array for a merged ride)
+ * Messages out: { id, type: 'progress', stage, percent }
+ *               { id, type: 'done', result }   (result packed by ride-transfer.js,
+ *                                               or { summary } for a job.summaryOnly job)
+ *               { id, type: 'error', message, boot? }
+ */
+
+importScripts('../../vendor/js/papaparse.min.js');
+
+const modulesReady = Promise.all([
+    import('../processors/csv-pipeline.js'),
+    import('../processors/ride-transfer.js'),
+    import('../ride-stats.js')
+]);
+
+self.onmessage = async (event) => {
+    const { id, csvContent, job } = event.data;
+
+    let modules;
+    try {
+        modules = await modulesReady;
+    } catch (error) {
+        // Lets the client fall back to main-thread processing
+        self.postMessage({ id, type: 'error', message: `Worker failed to load modules: ${error.message}`, boot: true });
+        return;
+    }
+
+    try {
+        const [{ runCSVPipeline }, { packTransferable }, { buildRideSummary }] = modules;
+
+        const result = runCSVPipeline(csvContent, job, (progress) => {
+            self.postMessage({ id, type: 'progress', ...progress });
+        });
+
+        if (job.summaryOnly) {
+            const { processedData } = result;
+            self.postMessage({ id, type: 'done', result: { summary: buildRideSummary(processedData, processedData.rideStats) } });
+            return;
+        }
+
+        const { payload, transfer } = packTransferable(result);
+        self.postMessage({ id, type: 'done', result: payload }, transfer);
+
+    } catch (error) {
+        console.error('[CSV WORKER] Processing error:', error);
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
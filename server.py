@@ -25,58 +25,36 @@ CSV_DIR = os.path.join(os.path.dirname(__file__), 'csv')
 # Ensure CSV directory exists
 os.makedirs(CSV_DIR, exist_ok=True)
 
-# Format detection cache (path -> format)
-format_cache = {}
+# Bytes of each file sent with the listing: the header line and a few rows, enough for
+# the browser to detect the format and CSV dialect (see js/processors/format-detector.js)
+HEAD_BYTES = 4096
 
-def detect_csv_format(filepath):
+# File head cache (path -> (mtime, head))
+head_cache = {}
+
+def read_csv_head(filepath, mtime):
     """
-    Detect CSV format by reading only the header line.
-    Returns: 'eucworld', 'wheellog', 'darknessbot', or 'unknown'
+    Read the start of a CSV file for format detection in the browser.
+    The text is cut after the last complete line and decoded as-is (a BOM is kept;
+    the browser's detector strips it along with quotes and whitespace).
+    Returns: the head text, or '' when the file cannot be read
     """
-    # Check cache first
-    if filepath in format_cache:
-        return format_cache[filepath]
+    cached = head_cache.get(filepath)
+    if cached and cached[0] == mtime:
+        return cached[1]
 
     try:
-        # Read only first line (header) - lightweight operation
-        with open(filepath, 'r', encoding='utf-8', errors='ignore') as f:
-            header_line = f.readline().strip()
-
-        # Parse columns from header
-        columns = [col.strip().lower() for col in header_line.split(',')]
-        columns_set = set(columns)
-
-        # Detection logic (matching format-detector.js)
-
-        # EUC World: has 'extra' + 'datetime'
-        if 'extra' in columns_set and 'datetime' in columns_set:
-            format_cache[filepath] = 'eucworld'
-            return 'eucworld'
-
-        # DarknessBot: has 'Date' + specific columns (Pitch, Total mileage, Battery level)
-        # Note: We need case-sensitive check for 'Date' vs 'date'
-        columns_original = [col.strip() for col in header_line.split(',')]
-        columns_original_set = set(columns_original)
-
-        if ('Date' in columns_original_set and
-            'Battery level' in columns_original_set and
-            'Pitch' in columns_original_set and
-            'Total mileage' in columns_original_set):
-            format_cache[filepath] = 'darknessbot'
-            return 'darknessbot'
-
-        # WheelLog: has separate 'date' and 'time' columns (not 'datetime' or 'Date')
-        if 'date' in columns_set and 'time' in columns_set and 'extra' not in columns_set:
-            format_cache[filepath] = 'wheellog'
-            return 'wheellog'
-
-        # Unknown format
-        format_cache[filepath] = 'unknown'
-        return 'unknown'
-
+        with open(filepath, 'rb') as f:
+            data = f.read(HEAD_BYTES)
+        if len(data) == HEAD_BYTES and b'\n' in data:
+            data = data[:data.rindex(b'\n') + 1]
+        head = data.decode('utf-8', errors='replace')
     except Exception as e:
-        print(f"[SERVER] Format detection error for {filepath}: {e}")
-        return 'unknown'
+        print(f"[SERVER] Could not read {filepath}: {e}")
+        return ''
+
+    head_cache[filepath] = (mtime, head)
+    return head
 
 @app.route('/')
 def index():
@@ -102,8 +80,8 @@ def list_csv_files():
                     # Get relative path from CSV_DIR
                     rel_path = os.path.relpath(filepath, CSV_DIR)
 
-                    # Detect CSV format (lightweight - only reads header)
-                    csv_format = detect_csv_format(filepath)
+                    # Start of the file (lightweight) - the browser detects the format from it
+                    head = read_csv_head(filepath, stat.st_mtime)
 
                     files.append({
                         'name': filename,
@@ -112,7 +90,7 @@ def list_csv_files():
                         'size': stat.st_size,
                         'modified': stat.st_mtime,
                         'modified_date': datetime.fromtimestamp(stat.st_mtime).strftime('%Y-%m-%d %H:%M:%S'),
-                        'format': csv_format  # Add format field
+                        'head': head
                     })
 
         # Sort by folder, then by filename
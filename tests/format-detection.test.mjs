@@ -0,0 +1,49 @@
+/**
+ * Format detection for file lists: the start of each file (as the server sends it or a
+ * folder scan reads it) is classified in the browser with the processor registry.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import './helpers.mjs';
+import { FormatDetector } from '../js/processors/index.js';
+
+const HEAD_BYTES = 4096;
+
+/**
+ * Start of a test-data fixture, cut after the last complete line like server.py does
+ * @param {string} name - File name in test-data/
+ * @returns {string}
+ */
+function readHead(name) {
+    const text = readFileSync(new URL(`../test-data/${name}`, import.meta.url), 'utf8').slice(0, HEAD_BYTES);
+    return text.slice(0, text.lastIndexOf('\n') + 1);
+}
+
+/**
+ * Quote every header name, as spreadsheet programs do when they re-save a file
+ * @param {string} csv
+ * @returns {string}
+ */
+function quoteHeaders(csv) {
+    const newline = csv.indexOf('\n');
+    return csv.slice(0, newline).split(',').map(name => `"${name}"`).join(',') + csv.slice(newline);
+}
+
+for (const [fixture, format] of [['test-eucworld-mode1.csv', 'EUCWorld'], ['test-wheellog-mode1.csv', 'WheelLog']]) {
+    test(`listing detection: ${fixture}`, () => {
+        const head = readHead(fixture);
+        assert.deepEqual(FormatDetector.detectListingFormat(head), { format, guessed: false });
+    });
+
+    test(`listing detection ignores a BOM and quoted headers: ${fixture}`, () => {
+        const head = '\uFEFF' + quoteHeaders(readHead(fixture));
+        assert.deepEqual(FormatDetector.detectListingFormat(head), { format, guessed: false });
+    });
+}
+
+test('listing detection reports unrecognized headers as unknown', () => {
+    assert.deepEqual(FormatDetector.detectListingFormat('a,b,c\n1,2,3\n'), { format: 'unknown', guessed: false });
+    assert.deepEqual(FormatDetector.detectListingFormat(''), { format: 'unknown', guessed: false });
+});
@@ -0,0 +1,32 @@
+/**
+ * Test Helpers
+ * Loads the test-data fixtures through the same pipeline the app uses (Papa Parse from
+ * vendor/, format detection, processor, ride model). Run the tests with `node --test`.
+ */
+
+import { createRequire } from 'node:module';
+import { readFileSync } from 'node:fs';
+
+globalThis.window = globalThis;
+globalThis.Papa = createRequire(import.meta.url)('../vendor/js/papaparse.min.js');
+
+const { runCSVPipeline } = await import('../js/processors/csv-pipeline.js');
+const { FormatDetector } = await import('../js/processors/index.js');
+
+export const FIXTURES = [
+    'test-darknessbot-mode2.csv',
+    'test-eucworld-mode1.csv',
+    'test-eucworld-mode2.csv',
+    'test-wheellog-mode1.csv'
+];
+
+/**
+ * Process a test-data fixture
+ * @param {string} name - File name in test-data/
+ * @returns {Object} Ride model (processedData)
+ */
+export function loadFixture(name) {
+    const csv = readFileSync(new URL(`../test-data/${name}`, import.meta.url), 'utf8');
+    const { format } = FormatDetector.analyze(csv);
+    return runCSVPipeline(csv, { format }).processedData;
+}
@@ -0,0 +1,77 @@
+/**
+ * Cutting intervals out of a ride: the rows and joins left, trip counters continued
+ * across the cuts, and the columns the cut ride is built from.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './helpers.mjs';
+import { RideColumn } from '../js/processors/ride-columns.js';
+import { excludeRideIntervals, continueCounter } from '../js/processors/ride-exclusion.js';
+
+const FIXTURE = 'test-eucworld-mode1.csv';
+
+test('RideColumn.concat joins values and validity, including sliced views', () => {
+    const first = RideColumn.fromArray([1, null, 3]).slice(1, 3);
+    const second = RideColumn.fromArray([null, 5]);
+    const column = RideColumn.concat([first, second]);
+
+    assert.equal(column.length, 4);
+    assert.deepEqual(column.toArray(), [null, 3, null, 5]);
+    assert.equal(column.isValid(0), false);
+    assert.equal(column.isValid(3), true);
+    assert.equal(RideColumn.concat([]).length, 0);
+});
+
+test('continueCounter shifts each part to continue from the previous one', () => {
+    const column = RideColumn.fromArray([0, 1, 2, 10, 11, 3, 4]);
+    // Second part starts at 10 (shifted down to 2); the third already continues from the shifted 3
+    assert.deepEqual(continueCounter(column, [3, 5]).toArray(), [0, 1, 2, 2, 3, 3, 4]);
+});
+
+test('continueCounter skips missing values around a cut', () => {
+    const column = RideColumn.fromArray([0, 1, null, null, 5, 6]);
+    assert.deepEqual(continueCounter(column, [3]).toArray(), [0, 1, null, null, 1, 2]);
+});
+
+test('continueCounter returns null when the parts already continue', () => {
+    assert.equal(continueCounter(RideColumn.fromArray([0, 1, 1, 2]), [2]), null);
+    assert.equal(continueCounter(RideColumn.fromArray([null, null, 1, 2]), [2]), null);
+});
+
+test('excludeRideIntervals cuts the rows and adds a join and an excluded interval', () => {
+    const model = loadFixture(FIXTURE);
+    const t0 = model.timestamps[0];
+    const view = excludeRideIntervals(model, [{ start: t0 + 5000, end: t0 + 9000 }]);
+
+    assert.equal(view.timestamps.length, model.timestamps.length - 5);
+    assert.equal(view.timestamps[4], t0 + 4000);
+    assert.equal(view.timestamps[5], t0 + 10000);
+    assert.deepEqual(view.joins, [{ time: t0 + 10000, gapMs: 6000, excluded: true }]);
+    assert.deepEqual(view.excluded, [{ start: t0 + 5000, end: t0 + 9000 }]);
+
+    // Distance ridden while cut out is not counted
+    const distance = view.series.distance;
+    assert.equal(distance.get(5), distance.get(4));
+    assert.equal(distance.get(view.timestamps.length - 1) - distance.get(5),
+        model.series.distance.get(19) - model.series.distance.get(10));
+    assert.ok(view.chartGroups && Object.values(view.chartGroups).every(group =>
+        group.series.every(s => s.data !== model.series.distance)));
+});
+
+test('excludeRideIntervals only shortens the ride for cuts at either end', () => {
+    const model = loadFixture(FIXTURE);
+    const t0 = model.timestamps[0];
+    const view = excludeRideIntervals(model, [{ start: t0 - 1000, end: t0 + 2000 }, { start: t0 + 18000, end: t0 + 60000 }]);
+
+    assert.equal(view.timestamps.length, 15);
+    assert.equal(view.timestamps[0], t0 + 3000);
+    assert.equal(view.joins, undefined);
+    assert.equal(view.excluded, undefined);
+});
+
+test('excludeRideIntervals returns null when every row is cut out', () => {
+    const model = loadFixture(FIXTURE);
+    const t0 = model.timestamps[0];
+    assert.equal(excludeRideIntervals(model, [{ start: t0, end: t0 + 19000 }]), null);
+});